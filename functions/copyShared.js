@@ -0,0 +1,21 @@
+// 함수가 앱과 함께 쓰는 모듈(src/ 의 날짜 파서·iCalendar·대상 분류·변경 이력)을 shared/ 로 복사합니다.
+// 배포(firebase.json 의 predeploy)와 에뮬레이터 실행 전(npm run build, functions 에서 npm install 할 때의 prepare)에 실행합니다.
+// 배포된 소스에서 npm install 할 때는 ../src 가 없으므로, 함께 올라간 shared/ 를 그대로 둡니다.
+import { copyFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SHARED_FILES = ['ical.js', 'periodParser.js', 'targets.js', 'auditDiff.js', 'summarizers/schema.js'];
+
+const functionsDir = dirname(fileURLToPath(import.meta.url));
+const sourceDir = join(functionsDir, '..', 'src');
+const sharedDir = join(functionsDir, 'shared');
+
+if (existsSync(sourceDir)) {
+    for (const file of SHARED_FILES) {
+        mkdirSync(dirname(join(sharedDir, file)), { recursive: true });
+        copyFileSync(join(sourceDir, file), join(sharedDir, file));
+    }
+} else if (!existsSync(sharedDir)) {
+    throw new Error('공용 모듈을 찾을 수 없습니다: src/ 가 없고 shared/ 도 없습니다.');
+}
@@ -0,0 +1,161 @@
+// 시간대 지정(timezone.js)은 날짜 파서보다 먼저 평가되도록 첫 번째로 import 합니다.
+import './timezone.js';
+import { timingSafeEqual } from 'node:crypto';
+import { onRequest } from 'firebase-functions/v2/https';
+import { onDocumentWritten, onDocumentWrittenWithAuthContext } from 'firebase-functions/v2/firestore';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { buildAuditEntry } from './shared/auditDiff.js';
+import { buildCalendar } from './shared/ical.js';
+import { createTargetMapper, targetGroupsOf } from './shared/targets.js';
+
+initializeApp();
+const db = getFirestore();
+
+// --- 구독용 iCalendar 피드 ---
+// GET /calendar.ics?app={appId}&uid={사용자}&token={구독 토큰}&target={연수 대상 그룹}
+// 게시물은 학교 구성원만 볼 수 있으므로, 앱에서 만든 사용자별 비밀 토큰(users/{uid}/settings/calendarFeed)이 맞고
+// 그 사용자가 아직 학교에 등록되어 있을 때만 피드를 돌려줍니다.
+// 보관(삭제)된 게시물은 buildCalendar 가 빼므로, 구독한 캘린더에서도 다음 새로고침 때 사라집니다.
+
+const sameToken = (expected, actual) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual));
+    return a.length === b.length && timingSafeEqual(a, b);
+};
+
+const isSubscriberAllowed = async (appId, uid, token) => {
+    if (!uid || !token) return false;
+    const appRef = db.collection('artifacts').doc(appId);
+    const [feedToken, profile] = await Promise.all([
+        appRef.collection('users').doc(uid).collection('settings').doc('calendarFeed').get(),
+        appRef.collection('public').doc('data').collection('users').doc(uid).get(),
+    ]);
+    return feedToken.exists && !!feedToken.data().token && sameToken(feedToken.data().token, token) && profile.exists;
+};
+
+// 학교가 교육청(tenants/{appId}.districtId)에 속하고 교육청 공지를 받는다면, 우리 학교에 보내진 공지 중 숨기지 않은 것을 돌려줍니다.
+const loadDistrictPosts = async (appId, dataRef) => {
+    const [tenant, feedSettings] = await Promise.all([
+        db.collection('tenants').doc(appId).get(),
+        dataRef.collection('settings').doc('districtFeed').get(),
+    ]);
+    const districtId = tenant.exists ? tenant.data().districtId : null;
+    const settings = feedSettings.exists ? feedSettings.data() : {};
+    if (!districtId || settings.enabled === false) return [];
+
+    const hiddenPostIds = settings.hiddenPostIds || [];
+    const snapshot = await dataRef.collection('district_posts').get();
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(post => !hiddenPostIds.includes(post.id));
+};
+
+export const calendarFeed = onRequest({ region: 'asia-northeast3' }, async (req, res) => {
+    const appId = String(req.query.app || 'default-app-id');
+    const target = req.query.target ? String(req.query.target) : null;
+
+    try {
+        if (!await isSubscriberAllowed(appId, String(req.query.uid || ''), String(req.query.token || ''))) {
+            res.status(403).send('구독 주소가 올바르지 않습니다. 앱에서 캘린더 구독 주소를 다시 복사해주세요.');
+            return;
+        }
+        const dataRef = db.collection('artifacts').doc(appId).collection('public').doc('data');
+        const [snapshot, taxonomy, districtPosts] = await Promise.all([
+            dataRef.collection('training_posts').get(),
+            dataRef.collection('settings').doc('targets').get(),
+            loadDistrictPosts(appId, dataRef),
+        ]);
+        // 앱과 같은 대상 분류표로 그룹을 찾아, 여러 그룹에 속한 게시물은 각 그룹 피드에 모두 넣습니다.
+        const groups = taxonomy.exists ? taxonomy.data().groups || [] : [];
+        const mapper = createTargetMapper(groups);
+        const posts = [...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), ...districtPosts]
+            .filter(post => !target || targetGroupsOf(post, groups, mapper).includes(target));
+
+        const name = target ? `연수 알리미 - ${target}` : '연수 알리미';
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=900');
+        res.send(buildCalendar(posts, { appId, name }));
+    } catch (error) {
+        console.error('캘린더 피드 생성 실패:', error);
+        res.status(500).send('캘린더 피드를 만들지 못했습니다.');
+    }
+});
+
+// --- 게시물 변경 이력 ---
+// 게시물 문서가 바뀔 때마다 바뀌기 전·후를 비교해 audit_log 에 남깁니다. 앱은 이력을 직접 쓸 수 없습니다(보안 규칙).
+// 작업자는 쓰기 요청의 인증 정보에서 가져오고, 앱이 적은 changeSource 는 출처(AI 추출, 자동 정리 등) 표시에만 씁니다.
+// 이벤트가 다시 전달되어도 이벤트 ID 를 문서 ID 로 써서 같은 항목이 두 번 남지 않습니다.
+
+const SYSTEM_ACTOR = { uid: null, name: '시스템' };
+
+const actorOf = async (event) => {
+    if (event.authType !== 'app_user' || !event.authId) return SYSTEM_ACTOR;
+    const profile = await db.collection('artifacts').doc(event.params.appId).collection('public').doc('data')
+        .collection('users').doc(event.authId).get();
+    const data = profile.exists ? profile.data() : {};
+    return { uid: event.authId, name: data.displayName || data.email || '' };
+};
+
+export const auditPostChanges = onDocumentWrittenWithAuthContext({
+    document: 'artifacts/{appId}/public/data/training_posts/{postId}',
+    region: 'asia-northeast3',
+}, async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    const entry = buildAuditEntry(before, after);
+    if (!entry) return;
+
+    const actor = await actorOf(event);
+    await db.collection('artifacts').doc(event.params.appId).collection('public').doc('data')
+        .collection('audit_log').doc(event.id)
+        .set({ ...entry, postId: event.params.postId, actor, createdAt: FieldValue.serverTimestamp() });
+});
+
+// --- 교육청 공지 배포 ---
+// 교육청 게시물은 교육청 구성원만 읽을 수 있으므로, 받는 학교(audienceSchools)마다 public/data/district_posts 에 사본을 두고
+// 원본 PDF 도 artifacts/{학교}/district_posts/{postId}/original.pdf 로 복사합니다. 학교 구성원은 자기 학교의 사본만 읽습니다.
+// 교육청에 속한 학교(tenants 의 districtId)에만 보내고, 대상에서 빠진 학교나 영구 삭제된 공지의 사본은 지웁니다.
+// 이벤트 순서가 뒤바뀌어도 마지막 상태로 맞춰지도록 이벤트 내용 대신 게시물을 다시 읽습니다.
+// 배포 전에 올린 공지는 한 번 저장(수정)하면 사본이 만들어집니다.
+
+const schoolDataRef = (schoolId) => db.collection('artifacts').doc(schoolId).collection('public').doc('data');
+const districtPdfPath = (schoolId, postId) => `artifacts/${schoolId}/district_posts/${postId}/original.pdf`;
+
+const copyToSchool = async (bucket, schoolId, postId, post, districtId) => {
+    let attachment = null;
+    if (post.attachment?.path) {
+        attachment = { ...post.attachment, path: districtPdfPath(schoolId, postId) };
+        await bucket.file(post.attachment.path).copy(bucket.file(attachment.path));
+    } else {
+        await bucket.file(districtPdfPath(schoolId, postId)).delete({ ignoreNotFound: true });
+    }
+    await schoolDataRef(schoolId).collection('district_posts').doc(postId).set({ ...post, attachment, districtId });
+};
+
+const removeFromSchool = (bucket, schoolId, postId) => Promise.all([
+    schoolDataRef(schoolId).collection('district_posts').doc(postId).delete(),
+    bucket.file(districtPdfPath(schoolId, postId)).delete({ ignoreNotFound: true }),
+]);
+
+export const distributeDistrictPost = onDocumentWritten({
+    document: 'artifacts/{appId}/public/data/training_posts/{postId}',
+    region: 'asia-northeast3',
+}, async (event) => {
+    const { appId: districtId, postId } = event.params;
+    const wasDistrictPost = Array.isArray(event.data.before.data()?.audienceSchools);
+    const isDistrictPost = Array.isArray(event.data.after.data()?.audienceSchools);
+    if (!wasDistrictPost && !isDistrictPost) return;
+
+    const [current, schools] = await Promise.all([
+        event.data.after.ref.get(),
+        db.collection('tenants').where('districtId', '==', districtId).get(),
+    ]);
+    const post = current.exists ? current.data() : null;
+    const audience = new Set(Array.isArray(post?.audienceSchools) ? post.audienceSchools : []);
+    const bucket = getStorage().bucket();
+    await Promise.all(schools.docs.map(school => (audience.has(school.id)
+        ? copyToSchool(bucket, school.id, postId, post, districtId)
+        : removeFromSchool(bucket, school.id, postId))));
+});
@@ -0,0 +1,3 @@
+// 서버는 UTC 로 동작하므로, 날짜 파서가 공문의 날짜를 한국 시간으로 해석하도록 시간대를 지정합니다.
+// ES 모듈은 import 한 모듈을 적힌 순서대로 먼저 평가하므로, index.js 의 첫 번째 import 로 두어야 합니다.
+process.env.TZ = 'Asia/Seoul';
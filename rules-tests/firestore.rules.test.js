@@ -0,0 +1,208 @@
+// Firestore 보안 규칙 테스트: npm run test:rules (Firebase 에뮬레이터 위에서 실행합니다)
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch, increment } = require('firebase/firestore');
+
+const APP_ID = 'test-school';
+const SCHOOL_DOMAIN = 'school.example.kr';
+const dataPath = (...segments) => ['artifacts', APP_ID, 'public', 'data', ...segments].join('/');
+
+let testEnv;
+
+// 규칙은 Google 로그인과 이메일 인증을 요구하므로 같은 토큰을 만들어 씁니다.
+const contextFor = (uid, email = `${uid}@${SCHOOL_DOMAIN}`) => testEnv.authenticatedContext(uid, {
+    email,
+    email_verified: true,
+    firebase: { sign_in_provider: 'google.com' },
+});
+const dbFor = (uid, email) => contextFor(uid, email).firestore();
+
+const seed = (docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [docPath, data] of Object.entries(docs)) {
+        await setDoc(doc(db, docPath), data);
+    }
+});
+
+const profile = (uid, role) => ({ email: `${uid}@${SCHOOL_DOMAIN}`, displayName: uid, role });
+
+const post = (authorId, extra = {}) => ({
+    title: '2024 디지털 교육 연수',
+    authorId,
+    archived: false,
+    ...extra,
+});
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-training-rules',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+    });
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+        [`tenants/${APP_ID}`]: { name: '테스트학교', kind: 'school', districtId: null, emailDomain: SCHOOL_DOMAIN },
+        [dataPath('users', 'viewer')]: profile('viewer', 'viewer'),
+        [dataPath('users', 'uploader')]: profile('uploader', 'uploader'),
+        [dataPath('users', 'other-uploader')]: profile('other-uploader', 'uploader'),
+        [dataPath('users', 'admin')]: profile('admin', 'admin'),
+        [dataPath('training_posts', 'post-1')]: post('uploader'),
+        [dataPath('training_posts', 'archived-post')]: post('uploader', { archived: true }),
+    });
+});
+
+describe('가입', () => {
+    test('학교 도메인 계정은 viewer 로만 가입할 수 있습니다', async () => {
+        const db = dbFor('newcomer');
+        await assertSucceeds(setDoc(doc(db, dataPath('users', 'newcomer')), profile('newcomer', 'viewer')));
+        await assertFails(setDoc(doc(dbFor('greedy'), dataPath('users', 'greedy')), profile('greedy', 'admin')));
+    });
+
+    test('다른 도메인 계정은 가입할 수 없습니다', async () => {
+        const db = dbFor('outsider', 'outsider@gmail.com');
+        await assertFails(setDoc(doc(db, dataPath('users', 'outsider')), { email: 'outsider@gmail.com', role: 'viewer' }));
+    });
+
+    test('학교 등록 문서나 그 emailDomain 이 없으면 아무도 가입할 수 없습니다', async () => {
+        const db = dbFor('newcomer');
+        await seed({ [`tenants/${APP_ID}`]: { name: '테스트학교', kind: 'school', districtId: null } });
+        await assertFails(setDoc(doc(db, dataPath('users', 'newcomer')), profile('newcomer', 'viewer')));
+        await testEnv.withSecurityRulesDisabled((context) => deleteDoc(doc(context.firestore(), `tenants/${APP_ID}`)));
+        await assertFails(setDoc(doc(db, dataPath('users', 'newcomer')), profile('newcomer', 'viewer')));
+    });
+});
+
+describe('게시물 열람', () => {
+    test('프로필이 있는 viewer 는 게시물을 읽을 수 있습니다', async () => {
+        await assertSucceeds(getDoc(doc(dbFor('viewer'), dataPath('training_posts', 'post-1'))));
+    });
+
+    test('프로필이 없는 계정은 게시물을 읽을 수 없습니다', async () => {
+        await assertFails(getDoc(doc(dbFor('stranger'), dataPath('training_posts', 'post-1'))));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), dataPath('training_posts', 'post-1'))));
+    });
+});
+
+describe('게시물 작성', () => {
+    test('업로더는 본인을 작성자로 한 게시물만 만들 수 있습니다', async () => {
+        const db = dbFor('uploader');
+        await assertSucceeds(setDoc(doc(db, dataPath('training_posts', 'new-post')), post('uploader')));
+        await assertFails(setDoc(doc(db, dataPath('training_posts', 'forged-post')), post('other-uploader')));
+    });
+
+    test('viewer 는 게시물을 만들 수 없습니다', async () => {
+        await assertFails(setDoc(doc(dbFor('viewer'), dataPath('training_posts', 'new-post')), post('viewer')));
+    });
+
+    test('다른 업로더의 게시물은 고칠 수 없고, 관리자는 고칠 수 있습니다', async () => {
+        await assertFails(updateDoc(doc(dbFor('other-uploader'), dataPath('training_posts', 'post-1')), { title: '변경' }));
+        await assertSucceeds(updateDoc(doc(dbFor('admin'), dataPath('training_posts', 'post-1')), { title: '변경' }));
+    });
+});
+
+describe('역할', () => {
+    test('본인이 역할을 올릴 수 없습니다', async () => {
+        await assertFails(updateDoc(doc(dbFor('viewer'), dataPath('users', 'viewer')), { role: 'admin' }));
+        await assertFails(updateDoc(doc(dbFor('uploader'), dataPath('users', 'uploader')), { role: 'admin' }));
+    });
+
+    test('본인은 역할을 유지한 채 접속 정보만 바꿀 수 있습니다', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('viewer'), dataPath('users', 'viewer')), { displayName: '새 이름' }));
+    });
+
+    test('관리자는 다른 사용자의 역할을 바꿀 수 있습니다', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('admin'), dataPath('users', 'viewer')), { role: 'uploader' }));
+    });
+});
+
+describe('영구 삭제', () => {
+    test('보관된 게시물은 관리자만 영구 삭제할 수 있습니다', async () => {
+        await assertFails(deleteDoc(doc(dbFor('uploader'), dataPath('training_posts', 'archived-post'))));
+        await assertSucceeds(deleteDoc(doc(dbFor('admin'), dataPath('training_posts', 'archived-post'))));
+    });
+
+    test('보관되지 않은 게시물은 관리자도 바로 지울 수 없습니다', async () => {
+        await assertFails(deleteDoc(doc(dbFor('admin'), dataPath('training_posts', 'post-1'))));
+    });
+});
+
+describe('댓글 수', () => {
+    const commentPath = (commentId) => dataPath('training_posts', 'post-1', 'comments', commentId);
+    const comment = (authorId, extra = {}) => ({ text: '질문', parentId: null, authorId, deleted: false, ...extra });
+
+    beforeEach(() => seed({
+        [commentPath('c1')]: comment('viewer'),
+        [dataPath('training_posts', 'post-1')]: post('uploader', { commentCount: 1, pinnedCommentId: 'c1' }),
+    }));
+
+    test('댓글을 달면서 commentCount 를 1 올릴 수 있습니다', async () => {
+        const db = dbFor('viewer');
+        const batch = writeBatch(db);
+        batch.set(doc(db, commentPath('c2')), comment('viewer'));
+        batch.update(doc(db, dataPath('training_posts', 'post-1')), { commentCount: increment(1), lastCommentId: 'c2' });
+        await assertSucceeds(batch.commit());
+    });
+
+    test('댓글 없이 commentCount 만 바꿀 수 없습니다', async () => {
+        const db = dbFor('viewer');
+        await assertFails(updateDoc(doc(db, dataPath('training_posts', 'post-1')), { commentCount: increment(1), lastCommentId: 'c9' }));
+        await assertFails(updateDoc(doc(db, dataPath('training_posts', 'post-1')), { commentCount: increment(-1), lastCommentId: 'c1' }));
+        await assertFails(updateDoc(doc(db, dataPath('training_posts', 'post-1')), { commentCount: increment(1) }));
+    });
+
+    test('고정된 답변을 지우면서 고정을 해제할 수 있습니다', async () => {
+        const db = dbFor('viewer');
+        const batch = writeBatch(db);
+        batch.update(doc(db, commentPath('c1')), { deleted: true, text: '', deletedAt: new Date(), deletedBy: 'viewer' });
+        batch.update(doc(db, dataPath('training_posts', 'post-1')), { commentCount: increment(-1), lastCommentId: 'c1', pinnedCommentId: null });
+        await assertSucceeds(batch.commit());
+    });
+
+    test('다른 댓글을 지우면서 고정을 해제할 수는 없습니다', async () => {
+        await seed({ [commentPath('c2')]: comment('viewer') });
+        const db = dbFor('viewer');
+        const batch = writeBatch(db);
+        batch.update(doc(db, commentPath('c2')), { deleted: true, text: '', deletedAt: new Date(), deletedBy: 'viewer' });
+        batch.update(doc(db, dataPath('training_posts', 'post-1')), { commentCount: increment(-1), lastCommentId: 'c2', pinnedCommentId: null });
+        await assertFails(batch.commit());
+    });
+});
+
+describe('변경 이력', () => {
+    test('앱에서는 관리자도 이력을 직접 쓸 수 없고, 관리자만 읽을 수 있습니다', async () => {
+        const entry = { action: 'update', source: 'manual', postId: 'post-1', actor: { uid: 'admin', name: 'admin' } };
+        await assertFails(setDoc(doc(dbFor('admin'), dataPath('audit_log', 'forged')), entry));
+        await assertFails(setDoc(doc(dbFor('uploader'), dataPath('audit_log', 'forged')), { ...entry, actor: { uid: 'uploader' } }));
+        await seed({ [dataPath('audit_log', 'entry-1')]: entry });
+        await assertSucceeds(getDoc(doc(dbFor('admin'), dataPath('audit_log', 'entry-1'))));
+        await assertFails(getDoc(doc(dbFor('viewer'), dataPath('audit_log', 'entry-1'))));
+    });
+});
+
+describe('교육청 공지', () => {
+    const districtPath = (...segments) => ['artifacts', 'test-district', 'public', 'data', ...segments].join('/');
+
+    beforeEach(() => seed({
+        [districtPath('users', 'district-admin')]: profile('district-admin', 'admin'),
+        [districtPath('training_posts', 'notice-1')]: post('district-admin', { audienceSchools: [APP_ID] }),
+        [dataPath('district_posts', 'notice-1')]: post('district-admin', { audienceSchools: [APP_ID], districtId: 'test-district' }),
+    }));
+
+    test('학교 구성원은 교육청 게시물 원본이 아니라 우리 학교로 온 사본을 읽습니다', async () => {
+        await assertFails(getDoc(doc(dbFor('viewer'), districtPath('training_posts', 'notice-1'))));
+        await assertSucceeds(getDoc(doc(dbFor('viewer'), dataPath('district_posts', 'notice-1'))));
+        await assertSucceeds(getDoc(doc(dbFor('district-admin'), districtPath('training_posts', 'notice-1'))));
+    });
+
+    test('다른 학교 계정은 사본을 읽을 수 없고, 앱에서는 아무도 사본을 쓸 수 없습니다', async () => {
+        await assertFails(getDoc(doc(dbFor('stranger'), dataPath('district_posts', 'notice-1'))));
+        await assertFails(setDoc(doc(dbFor('admin'), dataPath('district_posts', 'forged')), post('admin')));
+    });
+});
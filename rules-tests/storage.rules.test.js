@@ -0,0 +1,86 @@
+// Storage 보안 규칙 테스트: npm run test:rules (Firestore 문서를 읽는 규칙이라 두 에뮬레이터를 함께 씁니다)
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { doc, setDoc } = require('firebase/firestore');
+
+const APP_ID = 'test-school';
+const SCHOOL_DOMAIN = 'school.example.kr';
+const dataPath = (...segments) => ['artifacts', APP_ID, 'public', 'data', ...segments].join('/');
+const pdfPath = (postId) => `artifacts/${APP_ID}/training_posts/${postId}/original.pdf`;
+const districtPdfPath = (postId) => `artifacts/${APP_ID}/district_posts/${postId}/original.pdf`;
+const PDF_METADATA = { contentType: 'application/pdf' };
+const PDF_BYTES = new Uint8Array([0x25, 0x50, 0x44, 0x46]);
+
+let testEnv;
+
+const storageFor = (uid) => testEnv.authenticatedContext(uid, {
+    email: `${uid}@${SCHOOL_DOMAIN}`,
+    email_verified: true,
+    firebase: { sign_in_provider: 'google.com' },
+}).storage();
+
+beforeAll(async () => {
+    const rulesPath = (name) => fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-training-rules',
+        firestore: { rules: rulesPath('firestore.rules') },
+        storage: { rules: rulesPath('storage.rules') },
+    });
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, dataPath('users', 'uploader')), { role: 'uploader' });
+        await setDoc(doc(db, dataPath('users', 'other-uploader')), { role: 'uploader' });
+        await setDoc(doc(db, dataPath('users', 'admin')), { role: 'admin' });
+        await setDoc(doc(db, dataPath('users', 'viewer')), { role: 'viewer' });
+        await setDoc(doc(db, dataPath('training_posts', 'post-1')), { authorId: 'uploader', archived: false });
+        await context.storage().ref(pdfPath('post-1')).put(PDF_BYTES, PDF_METADATA);
+        await context.storage().ref(districtPdfPath('notice-1')).put(PDF_BYTES, PDF_METADATA);
+    });
+});
+
+describe('원본 PDF', () => {
+    test('학교 구성원은 원본을 열람할 수 있습니다', async () => {
+        await assertSucceeds(storageFor('viewer').ref(pdfPath('post-1')).getMetadata());
+    });
+
+    test('작성자와 관리자는 원본을 바꾸거나 지울 수 있습니다', async () => {
+        await assertSucceeds(storageFor('uploader').ref(pdfPath('post-1')).put(PDF_BYTES, PDF_METADATA));
+        await assertSucceeds(storageFor('admin').ref(pdfPath('post-1')).delete());
+    });
+
+    test('다른 업로더는 남의 원본을 덮어쓰거나 지울 수 없습니다', async () => {
+        await assertFails(storageFor('other-uploader').ref(pdfPath('post-1')).put(PDF_BYTES, PDF_METADATA));
+        await assertFails(storageFor('other-uploader').ref(pdfPath('post-1')).delete());
+    });
+
+    test('아직 문서가 없는 새 게시물에는 업로더가 원본을 먼저 올릴 수 있습니다', async () => {
+        await assertSucceeds(storageFor('other-uploader').ref(pdfPath('new-post')).put(PDF_BYTES, PDF_METADATA));
+        await assertFails(storageFor('viewer').ref(pdfPath('new-post')).put(PDF_BYTES, PDF_METADATA));
+    });
+
+    test('PDF 가 아닌 파일은 올릴 수 없습니다', async () => {
+        await assertFails(storageFor('uploader').ref(pdfPath('post-1')).put(PDF_BYTES, { contentType: 'text/html' }));
+    });
+});
+
+describe('교육청 공지 원본 사본', () => {
+    test('우리 학교 구성원만 열람할 수 있습니다', async () => {
+        await assertSucceeds(storageFor('viewer').ref(districtPdfPath('notice-1')).getMetadata());
+        await assertFails(storageFor('stranger').ref(districtPdfPath('notice-1')).getMetadata());
+    });
+
+    test('앱에서는 관리자도 사본을 바꿀 수 없습니다', async () => {
+        await assertFails(storageFor('admin').ref(districtPdfPath('notice-1')).put(PDF_BYTES, PDF_METADATA));
+        await assertFails(storageFor('admin').ref(districtPdfPath('notice-1')).delete());
+    });
+});
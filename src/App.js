@@ -1,59 +1,47 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, onSnapshot, query, serverTimestamp, deleteDoc, doc } from 'firebase/firestore';
-import { ArrowUpTrayIcon, DocumentTextIcon, CalendarDaysIcon, UserGroupIcon, SparklesIcon, InformationCircleIcon, XCircleIcon, TrashIcon, ClockIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
-
-// --- Firebase 설정 ---
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-
-// --- 헬퍼 함수: 날짜 파싱 ---
-const parseApplicationEndDate = (periodString) => {
-    if (!periodString || typeof periodString !== 'string') return null;
-    
-    const cleanedString = periodString.replace(/[^0-9.~-]/g, ''); 
-    const parts = cleanedString.split('~');
-    const dateStr = parts[parts.length - 1].trim(); 
-
-    const dateParts = dateStr.match(/(\d{2,4})[.-]?(\d{1,2})[.-]?(\d{1,2})/);
-    if (!dateParts) return null;
-
-    let [_, year, month, day] = dateParts;
-    if (year.length === 2) {
-        year = `20${year}`;
-    }
-    
-    month = month.padStart(2, '0');
-    day = day.padStart(2, '0');
-
-    const parsedDate = new Date(`${year}-${month}-${day}T23:59:59`);
-    return isNaN(parsedDate.getTime()) ? null : parsedDate;
-};
-
-// --- 만료된 게시물 자동 삭제 함수 ---
-const cleanupExpiredPosts = async (posts, currentAppId) => {
-    const now = new Date();
-    const postsToDelete = posts
-        .filter(post => {
-            const deadline = parseApplicationEndDate(post.applicationPeriod);
-            return deadline && deadline < now;
-        })
-        .map(post => post.id);
-
-    if (postsToDelete.length > 0) {
-        console.log(`자동 삭제: ${postsToDelete.length}개의 만료된 연수 정보를 삭제합니다.`);
-        const deletePromises = postsToDelete.map(postId => {
-            const postRef = doc(db, 'artifacts', currentAppId, 'public', 'data', 'training_posts', postId);
-            return deleteDoc(postRef).catch(err => console.error(`ID ${postId} 삭제 실패:`, err));
-        });
-        await Promise.all(deletePromises);
-    }
-};
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { doc, setDoc, updateDoc, onSnapshot, query, serverTimestamp, arrayUnion } from 'firebase/firestore';
+import { ArrowUpTrayIcon, DocumentTextIcon, CalendarDaysIcon, UserGroupIcon, SparklesIcon, InformationCircleIcon, XCircleIcon, TrashIcon, ClockIcon, PencilSquareIcon, ArrowRightOnRectangleIcon, SignalSlashIcon, CloudArrowUpIcon, ShieldCheckIcon, ArchiveBoxIcon, ArrowUturnLeftIcon, Cog6ToothIcon, BellIcon, BellAlertIcon, ExclamationTriangleIcon, CalendarIcon, DocumentMagnifyingGlassIcon, AcademicCapIcon, ChartBarIcon, ComputerDesktopIcon, MapPinIcon, BuildingOfficeIcon, UsersIcon, TagIcon, LinkIcon, ChatBubbleLeftRightIcon, ClipboardDocumentListIcon, BuildingLibraryIcon, EyeIcon, EyeSlashIcon, SwatchIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
+import { appId, postsCollection, postDoc } from './firebase';
+import { useAuth, signInWithGoogle, signOut, canUpload, canModifyPost, isAdmin, ROLE_LABELS } from './auth';
+import { schoolDomainOf, isDistrictTenant } from './tenant';
+import { useBranding } from './useBranding';
+import SchoolSettingsModal from './SchoolSettingsModal';
+import { isDistrictPost } from './districtFeed';
+import { useDistrictFeed, useDistrictSchools } from './useDistrictFeed';
+import AudienceModal from './AudienceModal';
+import UserRolesModal from './UserRolesModal';
+import RetentionSettingsModal from './RetentionSettingsModal';
+import { archivePost, restorePost, purgePost, isArchived, runScheduledCleanup, retentionSettingsDoc, DEFAULT_RETENTION_POLICY } from './archive';
+import { parseApplicationEndDate } from './periodParser';
+import { useUrlFilters } from './useUrlFilters';
+import { applyFilters, sortPosts, postStatus, postTargetGroups, DEFAULT_SORT } from './search';
+import { createTargetMapper, targetGroupsOf, findUnmappedTargets, UNCLASSIFIED_GROUP } from './targets';
+import TargetTaxonomyModal, { targetTaxonomyDoc } from './TargetTaxonomyModal';
+import { useTracker } from './useTracker';
+import { TRACKER_STATUS_LABELS } from './tracker';
+import TrackerModal from './TrackerModal';
+import MyTrainingsModal from './MyTrainingsModal';
+import ParticipationModal from './ParticipationModal';
+import FilterBar from './FilterBar';
+import PostEditorModal from './PostEditorModal';
+import { useReminders } from './useReminders';
+import { findClosingSoon, daysUntil } from './reminders';
+import NotificationCenter from './NotificationCenter';
+import CalendarFeedModal from './CalendarFeedModal';
+import { buildCalendar } from './ical';
+import DuplicateModal from './DuplicateModal';
+import { findDuplicateCandidates, findPostsWithHash, mergeFields } from './duplicates';
+import { deletePostPdf } from './attachments';
+import { waitForWrite, uploadOrDeferPdf, syncPendingAttachments } from './offlineSync';
+import { useOnlineStatus } from './useOnlineStatus';
+import PdfViewerModal from './PdfViewerModal';
+import CommentsModal from './CommentsModal';
+import { SCHEMA_VERSION, TRAINING_TYPE_LABELS } from './summarizers/schema';
+import { runPostMigrations } from './migrations';
+import { changeSourceField } from './audit';
+import AuditLogModal from './AuditLogModal';
+import { useUploadQueue } from './useUploadQueue';
+import UploadQueuePanel from './UploadQueuePanel';
 
 // --- 컴포넌트들 ---
 const LoadingSpinner = ({ message }) => (
@@ -83,34 +71,117 @@ const MessageModal = ({ message, type, onClose }) => {
     );
 };
 
-const ConfirmationModal = ({ message, onConfirm, onCancel }) => (
+const ConfirmationModal = ({ title = '삭제 확인', message, confirmLabel = '삭제', onConfirm, onCancel }) => (
     <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
         <div className="bg-white rounded-2xl shadow-2xl max-w-sm w-full mx-auto">
             <div className="p-6">
-                 <h3 className="text-lg font-semibold text-gray-800 mb-2 text-center">삭제 확인</h3>
+                 <h3 className="text-lg font-semibold text-gray-800 mb-2 text-center">{title}</h3>
                  <p className="text-gray-700 text-center">{message}</p>
             </div>
             <div className="flex justify-end items-center px-6 pb-4 space-x-2">
                 <button onClick={onCancel} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors">취소</button>
-                <button onClick={onConfirm} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">삭제</button>
+                <button onClick={onConfirm} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">{confirmLabel}</button>
             </div>
         </div>
     </div>
 );
 
-const TrainingCard = ({ post, onDelete }) => {
+const formatDate = (timestamp) => timestamp?.toDate().toLocaleDateString('ko-KR', { year: 'numeric', month: 'long', day: 'numeric' });
+
+// 외부 링크는 http(s) 주소만 엽니다.
+const isWebUrl = (url) => /^https?:\/\//i.test(url || '');
+
+// 연수 형태, 이수 시간 등 구조화된 필드 (schemaVersion 2)
+const PostDetails = ({ post }) => {
+    const items = [
+        post.trainingType && { Icon: ComputerDesktopIcon, label: '형태', value: TRAINING_TYPE_LABELS[post.trainingType] },
+        post.creditHours != null && { Icon: ClockIcon, label: '이수 시간', value: `${post.creditHours}시간` },
+        post.location && { Icon: MapPinIcon, label: '장소', value: post.location },
+        post.organizer && { Icon: BuildingOfficeIcon, label: '주관', value: post.organizer },
+        post.capacity != null && { Icon: UsersIcon, label: '모집 인원', value: `${post.capacity}명` },
+        post.subjectArea && { Icon: TagIcon, label: '분야', value: post.subjectArea },
+    ].filter(Boolean);
+    const hasApplication = isWebUrl(post.applicationUrl) || post.applicationMethod;
+    if (items.length === 0 && !hasApplication) return null;
+
+    return (
+        <div className="mb-4 space-y-1 text-sm text-gray-600">
+            {items.map(({ Icon, label, value }) => (
+                <p key={label} className="flex items-start"><Icon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0 text-gray-400" /><span className="font-semibold mr-1 flex-shrink-0">{label}</span><span>{value}</span></p>
+            ))}
+            {hasApplication && (
+                <p className="flex items-start">
+                    <LinkIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0 text-gray-400" />
+                    <span className="font-semibold mr-1 flex-shrink-0">신청</span>
+                    <span className="min-w-0 break-words">
+                        {isWebUrl(post.applicationUrl) && <a href={post.applicationUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline mr-1">신청 페이지</a>}
+                        {post.applicationMethod}
+                    </span>
+                </p>
+            )}
+        </div>
+    );
+};
+
+const TrainingCard = ({ post, canModify, canPurge, pendingSync, subscribed, trackerStatus, onToggleSubscribe, onAddToCalendar, onViewOriginal, onTrack, onComments, onShowHistory, onToggleDistrictHidden, onEditAudience, onEdit, onDelete, onRestore, onPurge }) => {
     const { id, summary, applicationPeriod, trainingPeriod, target, createdAt } = post;
-    const date = createdAt?.toDate().toLocaleDateString('ko-KR', { year: 'numeric', month: 'long', day: 'numeric' });
-    const deadline = parseApplicationEndDate(applicationPeriod);
+    const date = formatDate(createdAt);
+    const archived = isArchived(post);
+    const deadline = parseApplicationEndDate(applicationPeriod, createdAt?.toDate());
     const isPast = deadline && deadline < new Date();
 
     return (
-        <div className={`bg-white rounded-2xl shadow-lg hover:shadow-xl transition-shadow duration-300 flex flex-col border h-full ${isPast ? 'opacity-60 bg-gray-50' : 'border-gray-100'}`}>
+        <div id={`post-${id}`} className={`bg-white rounded-2xl shadow-lg hover:shadow-xl transition-shadow duration-300 flex flex-col border h-full ${isPast ? 'opacity-60 bg-gray-50' : 'border-gray-100'}`}>
             <div className="p-6 flex-grow">
                  <div className="flex justify-between items-center text-gray-500 text-sm mb-4">
-                    <span className="flex items-center"><CalendarDaysIcon className="h-4 w-4 mr-2" />게시일: {date || '알 수 없음'}</span>
-                    <button onClick={() => onDelete(id)} className="text-gray-400 hover:text-red-500 transition-colors"><TrashIcon className="h-5 w-5"/></button>
+                    <span className="flex items-center">
+                        <CalendarDaysIcon className="h-4 w-4 mr-2" />게시일: {date || '알 수 없음'}
+                        {pendingSync && <span className="flex items-center ml-2 text-xs font-semibold bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full" title="연결되면 서버에 저장됩니다"><CloudArrowUpIcon className="h-3 w-3 mr-1" />동기화 대기</span>}
+                    </span>
+                    {archived ? (
+                    <div className="flex items-center space-x-2">
+                        {canPurge && <button onClick={() => onShowHistory(id)} className="text-gray-400 hover:text-blue-500 transition-colors" title="변경 이력"><ClipboardDocumentListIcon className="h-5 w-5"/></button>}
+                        {canModify && <button onClick={() => onRestore(id)} className="text-gray-400 hover:text-blue-500 transition-colors" title="복원"><ArrowUturnLeftIcon className="h-5 w-5"/></button>}
+                        {canPurge && <button onClick={() => onPurge(id)} className="text-gray-400 hover:text-red-500 transition-colors" title="영구 삭제"><TrashIcon className="h-5 w-5"/></button>}
+                    </div>
+                    ) : (
+                    <div className="flex items-center space-x-2">
+                        <button onClick={() => onAddToCalendar(post)} className="text-gray-400 hover:text-green-600 transition-colors" title="캘린더에 추가 (.ics)"><CalendarIcon className="h-5 w-5"/></button>
+                        {!isPast && (
+                            <button onClick={() => onToggleSubscribe(id)} className={`transition-colors ${subscribed ? 'text-blue-500 hover:text-blue-700' : 'text-gray-400 hover:text-blue-500'}`} title={subscribed ? '마감 알림 해제' : '마감 알림 받기'}>
+                                {subscribed ? <BellAlertIcon className="h-5 w-5"/> : <BellIcon className="h-5 w-5"/>}
+                            </button>
+                        )}
+                        {onToggleDistrictHidden && (
+                            <button onClick={() => onToggleDistrictHidden(post)} className="text-gray-400 hover:text-blue-500 transition-colors" title={post.hiddenHere ? '우리 학교에 다시 표시' : '우리 학교에서 숨기기'}>
+                                {post.hiddenHere ? <EyeIcon className="h-5 w-5"/> : <EyeSlashIcon className="h-5 w-5"/>}
+                            </button>
+                        )}
+                        {onEditAudience && <button onClick={() => onEditAudience(post)} className="text-gray-400 hover:text-purple-600 transition-colors" title="게시할 학교"><BuildingLibraryIcon className="h-5 w-5"/></button>}
+                        {canPurge && <button onClick={() => onShowHistory(id)} className="text-gray-400 hover:text-blue-500 transition-colors" title="변경 이력"><ClipboardDocumentListIcon className="h-5 w-5"/></button>}
+                        {canModify && <button onClick={() => onEdit(post)} className="text-gray-400 hover:text-blue-500 transition-colors" title="수정"><PencilSquareIcon className="h-5 w-5"/></button>}
+                        {canModify && <button onClick={() => onDelete(id)} className="text-gray-400 hover:text-red-500 transition-colors" title="삭제"><TrashIcon className="h-5 w-5"/></button>}
+                    </div>
+                    )}
                 </div>
+                 {isDistrictPost(post) && (
+                    <div className="flex items-center bg-purple-100 text-purple-800 text-sm font-semibold px-3 py-1 rounded-full mb-4">
+                        <BuildingLibraryIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                        <span>교육청 공지{post.hiddenHere ? ' · 우리 학교에서 숨김' : ''}</span>
+                    </div>
+                 )}
+                 {post.audienceSchools && !isDistrictPost(post) && (
+                    <div className="flex items-center bg-purple-100 text-purple-800 text-sm font-semibold px-3 py-1 rounded-full mb-4">
+                        <BuildingLibraryIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                        <span>{post.audienceSchools.length > 0 ? `${post.audienceSchools.length}개 학교에 게시` : '게시할 학교 없음'}</span>
+                    </div>
+                 )}
+                 {archived && (
+                    <div className="flex items-center bg-gray-200 text-gray-700 text-sm px-3 py-1 rounded-full mb-4">
+                        <ArchiveBoxIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                        <span>{post.archiveReason === 'expired' ? '마감 후 자동 보관' : '보관됨'} · {formatDate(post.archivedAt) || '방금'}{post.archivedBy?.name ? ` · ${post.archivedBy.name}` : ''}</span>
+                    </div>
+                 )}
                  {isPast && (
                     <div className="flex items-center bg-red-100 text-red-700 text-sm font-semibold px-3 py-1 rounded-full mb-4">
                         <ClockIcon className="h-4 w-4 mr-2" />
@@ -129,6 +200,23 @@ const TrainingCard = ({ post, onDelete }) => {
                     <h3 className="font-bold text-lg text-gray-800 flex items-center mb-2"><CalendarDaysIcon className="h-6 w-6 mr-2 text-green-500" />연수 기간</h3>
                     <p className="text-gray-600 bg-green-50 p-3 rounded-lg">{trainingPeriod || '정보 없음'}</p>
                 </div>
+                <PostDetails post={post} />
+                <div className="flex items-center space-x-4">
+                    {post.attachment && (
+                        <button onClick={() => onViewOriginal(post)} className="flex items-center text-sm font-semibold text-blue-600 hover:text-blue-800 transition-colors">
+                            <DocumentMagnifyingGlassIcon className="h-5 w-5 mr-1" />
+                            원문 보기
+                        </button>
+                    )}
+                    <button onClick={() => onTrack(post)} className={`flex items-center text-sm font-semibold transition-colors ${trackerStatus ? 'text-green-700 hover:text-green-900' : 'text-gray-500 hover:text-blue-600'}`}>
+                        <AcademicCapIcon className="h-5 w-5 mr-1" />
+                        {trackerStatus ? `내 기록: ${TRACKER_STATUS_LABELS[trackerStatus]}` : '내 기록'}
+                    </button>
+                    {onComments && <button onClick={() => onComments(post)} className={`flex items-center text-sm font-semibold transition-colors ${post.pinnedCommentId ? 'text-amber-700 hover:text-amber-900' : 'text-gray-500 hover:text-blue-600'}`} title={post.pinnedCommentId ? '고정된 답변이 있습니다' : '질문·댓글'}>
+                        <ChatBubbleLeftRightIcon className="h-5 w-5 mr-1" />
+                        댓글 {post.commentCount || 0}
+                    </button>}
+                </div>
             </div>
              <div className="bg-gray-50 px-6 py-4 mt-auto rounded-b-2xl">
                 <div className="flex items-center justify-between text-sm text-gray-600">
@@ -146,75 +234,149 @@ const TrainingCard = ({ post, onDelete }) => {
     );
 };
 
+// 이번 주에 신청이 마감되는 연수 안내
+const ClosingSoonBanner = ({ items, onSelect }) => {
+    const now = new Date();
+    return (
+        <div className="mb-8 bg-amber-50 border border-amber-200 rounded-xl p-4">
+            <h2 className="flex items-center font-bold text-amber-800 mb-2"><ExclamationTriangleIcon className="h-5 w-5 mr-2" />이번 주 신청 마감 ({items.length})</h2>
+            <ul className="space-y-1">
+                {items.map(({ post, deadline }) => (
+                    <li key={post.id}>
+                        <button onClick={() => onSelect(post.id)} className="text-left text-sm text-amber-900 hover:underline">
+                            <span className="font-semibold mr-2">D-{daysUntil(deadline, now)}</span>{post.summary || '정보 없음'}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// 오프라인이거나 서버에 연결하지 못해 캐시에 남은 게시물을 보여줄 때의 안내
+const StaleDataBanner = ({ online, lastSyncedAt }) => (
+    <div className="mb-8 flex items-start bg-gray-200 border border-gray-300 rounded-xl p-4 text-sm text-gray-700">
+        <SignalSlashIcon className="h-5 w-5 mr-2 flex-shrink-0 text-gray-500" />
+        <p>
+            <span className="font-bold mr-1">{online ? '서버에 연결하는 중입니다.' : '오프라인 상태입니다.'}</span>
+            {lastSyncedAt ? `${lastSyncedAt.toLocaleString('ko-KR')}에 마지막으로 받은 게시물을 보여주고 있어 최신 내용과 다를 수 있습니다.` : '이 기기에 저장된 게시물을 보여주고 있어 최신 내용과 다를 수 있습니다.'}
+            {' '}수정한 내용은 연결되면 자동으로 저장됩니다.
+        </p>
+    </div>
+);
+
+// 마지막으로 서버에서 게시물을 받은 시각 (오프라인 안내에 표시)
+// appId 는 학교를 고른 뒤 정해지므로 키를 그때그때 만듭니다.
+const lastSyncedKey = () => `lastSyncedAt:${appId}`;
+const loadLastSyncedAt = () => {
+    const value = Number(localStorage.getItem(lastSyncedKey()));
+    return value ? new Date(value) : null;
+};
+
+// 게시물 하나를 .ics 파일로 내려받습니다. (신청 마감, 연수 기간 이벤트)
+const downloadPostCalendar = (post) => {
+    const ics = buildCalendar([post], { appId, name: post.summary || '연수 안내' });
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `연수일정_${post.id}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+const scrollToPost = (postId) => {
+    const element = document.getElementById(`post-${postId}`);
+    if (element) element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+const SignInPanel = ({ domain, onSignIn }) => (
+    <div className="text-center py-20 bg-white rounded-xl shadow max-w-lg mx-auto">
+        <ShieldCheckIcon className="mx-auto h-20 w-20 text-blue-200" />
+        <h2 className="mt-4 text-xl font-semibold text-gray-700">학교 계정으로 로그인해주세요.</h2>
+        <p className="mt-2 text-gray-500">{domain ? `@${domain} Google 계정만 사용할 수 있습니다.` : 'Google 계정으로 로그인할 수 있습니다.'}</p>
+        <button onClick={onSignIn} className="mt-6 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg transition-colors">Google 계정으로 로그인</button>
+    </div>
+);
+
+const QUEUED_SAVE_MESSAGE = '연결되면 게시됩니다';
+
 // --- 메인 App 컴포넌트 ---
-export default function App() {
+// tenant: TenantGate 가 정한 학교, onSwitchTenant: 다른 학교로 바꾸기 (주소로 학교가 정해졌으면 null)
+export default function App({ tenant, onSwitchTenant }) {
     const [rawPosts, setRawPosts] = useState([]);
+    const [postsLoaded, setPostsLoaded] = useState(false);
+    const [postsFromCache, setPostsFromCache] = useState(false);
+    const [pendingPostIds, setPendingPostIds] = useState(() => new Set());
+    const [lastSyncedAt, setLastSyncedAt] = useState(loadLastSyncedAt);
+    const online = useOnlineStatus();
     const [loading, setLoading] = useState(true);
     const [loadingMessage, setLoadingMessage] = useState('게시물을 불러오는 중...');
-    const [user, setUser] = useState(null);
+    const schoolDomain = schoolDomainOf(tenant);
+    const { user, profile, authReady, authError } = useAuth({ domain: schoolDomain });
+    const branding = useBranding(tenant);
+    const district = isDistrictTenant(tenant);
+    const [showRolesModal, setShowRolesModal] = useState(false);
     const [modalInfo, setModalInfo] = useState({ show: false, message: '', type: 'info' });
-    const [isPdfJsReady, setIsPdfJsReady] = useState(false);
-    const [confirmDelete, setConfirmDelete] = useState(null);
+    const [confirmAction, setConfirmAction] = useState(null);
+    const [retentionPolicy, setRetentionPolicy] = useState(null);
+    const [showRetentionModal, setShowRetentionModal] = useState(false);
+    const [targetGroups, setTargetGroups] = useState([]);
+    const [showTaxonomyModal, setShowTaxonomyModal] = useState(false);
+    const [trackingPost, setTrackingPost] = useState(null);
+    const [showMyTrainings, setShowMyTrainings] = useState(false);
+    const [showParticipation, setShowParticipation] = useState(false);
+    const [auditLog, setAuditLog] = useState(null);
+    const [showSchoolSettings, setShowSchoolSettings] = useState(false);
+    const [audiencePost, setAudiencePost] = useState(null);
+    const [showCalendarFeed, setShowCalendarFeed] = useState(false);
+    const cleanupStartedRef = useRef(false);
+    const migrationStartedRef = useRef(false);
+    const attachmentSyncRef = useRef(false);
+    const [editingPost, setEditingPost] = useState(null);
+    const [duplicateCheck, setDuplicateCheck] = useState(null);
+    const [viewingPost, setViewingPost] = useState(null);
+    const [commentingPostId, setCommentingPostId] = useState(null);
+    const [dragActive, setDragActive] = useState(false);
     const fileInputRef = useRef(null);
 
-    // 필터링 상태 추가
-    const [filterTarget, setFilterTarget] = useState('all');
-    const [searchTerm, setSearchTerm] = useState('');
+    // 검색/필터 상태는 주소에 담아 링크로 공유할 수 있습니다.
+    const [filters, updateFilters] = useUrlFilters();
+    const showArchive = filters.archive;
     
+    const showError = useCallback((message) => setModalInfo({ show: true, message, type: 'error' }), []);
+
     useEffect(() => {
-        const script = document.createElement('script');
-        script.src = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.11.338/pdf.min.js";
-        script.onload = () => {
-            window.pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${window.pdfjsLib.version}/pdf.worker.min.js`;
-            setIsPdfJsReady(true);
-        };
-        script.onerror = () => {
-             setModalInfo({ show: true, message: 'PDF 라이브러리를 불러오는데 실패했습니다. 페이지를 새로고침 해주세요.', type: 'error' });
-        }
-        document.body.appendChild(script);
-        return () => { document.body.removeChild(script); };
-    }, []);
+        if (authReady && !user) setLoading(false);
+    }, [authReady, user]);
 
     useEffect(() => {
-        const unsubscribeAuth = onAuthStateChanged(auth, async (currentUser) => {
-            if (currentUser) { setUser(currentUser); } 
-            else {
-                try { await signInAnonymously(auth); } 
-                catch (error) {
-                    console.error("익명 로그인 실패:", error);
-                    setModalInfo({ show: true, message: `로그인에 실패했습니다: ${error.message}`, type: 'error' });
-                }
-            }
-        });
-        return () => unsubscribeAuth();
-    }, []);
-    
+        if (authError) showError(`로그인 정보를 확인하는데 실패했습니다: ${authError.message}`);
+    }, [authError, showError]);
+
+    const userIsAdmin = isAdmin(profile);
+    const profileUid = profile?.uid;
+
     useEffect(() => {
-        if(user) {
+        if(profileUid) {
             setLoading(true);
-            const postsCollection = collection(db, 'artifacts', appId, 'public', 'data', 'training_posts');
-            const q = query(postsCollection);
+            const q = query(postsCollection());
             
-            const unsubscribeFirestore = onSnapshot(q, (snapshot) => {
-                const postsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            // 오프라인 캐시에서 온 결과인지, 아직 서버에 가지 않은 변경이 있는지도 함께 받습니다.
+            // 대기 중인 serverTimestamp 는 null 대신 추정값으로 받아 게시일·정렬이 흔들리지 않게 합니다.
+            const unsubscribeFirestore = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+                const postsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
                 setRawPosts(postsData);
-                setLoading(false);
-
-                try {
-                    const cleanupRanKey = `cleanupRan_${appId}`;
-                    const lastRun = localStorage.getItem(cleanupRanKey);
-                    const oneDay = 24 * 60 * 60 * 1000;
-
-                    if (!lastRun || (new Date().getTime() - parseInt(lastRun)) > oneDay) {
-                        cleanupExpiredPosts(postsData, appId).then(() => {
-                            console.log("만료된 게시물 정리 완료.");
-                            localStorage.setItem(cleanupRanKey, new Date().getTime().toString());
-                        });
-                    }
-                } catch (error) {
-                    console.error("로컬 스토리지 접근 중 오류 발생:", error);
+                setPendingPostIds(new Set(snapshot.docs.filter(doc => doc.metadata.hasPendingWrites).map(doc => doc.id)));
+                setPostsFromCache(snapshot.metadata.fromCache);
+                if (!snapshot.metadata.fromCache) {
+                    const now = new Date();
+                    localStorage.setItem(lastSyncedKey(), String(now.getTime()));
+                    setLastSyncedAt(now);
                 }
-
+                setPostsLoaded(true);
+                setLoading(false);
             }, (error) => {
                 console.error("데이터 수신 실패:", error);
                 setModalInfo({ show: true, message: `데이터를 불러오는데 실패했습니다: ${error.message}`, type: 'error' });
@@ -223,240 +385,547 @@ export default function App() {
 
             return () => unsubscribeFirestore();
         }
-    }, [user]);
+    }, [profileUid]);
 
-    const uniqueTargets = useMemo(() => {
-        const targets = new Set(rawPosts.map(post => post.target || '기타'));
-        return ['all', ...Array.from(targets)];
-    }, [rawPosts]);
+    useEffect(() => {
+        if (!profileUid) return;
+        const unsubscribeSettings = onSnapshot(retentionSettingsDoc(), (snapshot) => {
+            setRetentionPolicy({ ...DEFAULT_RETENTION_POLICY, ...(snapshot.exists() ? snapshot.data() : {}) });
+        }, (error) => {
+            console.error("보관 정책 수신 실패:", error);
+            setRetentionPolicy(DEFAULT_RETENTION_POLICY);
+        });
+        return () => unsubscribeSettings();
+    }, [profileUid]);
+
+    useEffect(() => {
+        if (!profileUid) return;
+        const unsubscribeTaxonomy = onSnapshot(targetTaxonomyDoc(), (snapshot) => {
+            setTargetGroups(snapshot.exists() ? snapshot.data().groups || [] : []);
+        }, (error) => console.error("대상 분류 수신 실패:", error));
+        return () => unsubscribeTaxonomy();
+    }, [profileUid]);
+
+    // 오프라인에서 저장한 게시물의 원본 PDF 는 연결되면 이 브라우저에서 이어서 올립니다.
+    const userCanUpload = canUpload(profile);
+    useEffect(() => {
+        if (!online || !userCanUpload || attachmentSyncRef.current) return;
+        attachmentSyncRef.current = true;
+        syncPendingAttachments()
+            .then(count => { if (count > 0) console.log(`대기 중이던 원본 PDF 업로드 완료: ${count}개`); })
+            .catch(error => console.error("대기 중이던 원본 PDF 업로드 실패:", error))
+            .finally(() => { attachmentSyncRef.current = false; });
+    }, [online, userCanUpload]);
+
+    // 만료 게시물 정리는 보관 권한이 있는 관리자 브라우저에서 세션당 한 번 시도합니다.
+    // 실제 실행 여부는 runScheduledCleanup 이 트랜잭션으로 판단하므로 여러 관리자가 동시에 접속해도 안전합니다.
+    useEffect(() => {
+        if (!userIsAdmin || !postsLoaded || !retentionPolicy || cleanupStartedRef.current) return;
+        cleanupStartedRef.current = true;
+        runScheduledCleanup(rawPosts, user, retentionPolicy)
+            .then(result => {
+                if (result) console.log(`만료된 게시물 정리 완료: 보관 ${result.archived}개, 영구 삭제 ${result.purged}개`);
+            })
+            .catch(error => console.error("만료된 게시물 정리 실패:", error));
+    }, [userIsAdmin, postsLoaded, retentionPolicy, rawPosts, user]);
+
+    // 스키마가 바뀐 뒤 처음 접속한 관리자가 기존 게시물에 새 필드를 채웁니다.
+    useEffect(() => {
+        if (!userIsAdmin || !postsLoaded || migrationStartedRef.current) return;
+        migrationStartedRef.current = true;
+        runPostMigrations(rawPosts)
+            .then(count => { if (count > 0) console.log(`게시물 스키마 보정 완료: ${count}개`); })
+            .catch(error => console.error("게시물 스키마 보정 실패:", error));
+    }, [userIsAdmin, postsLoaded, rawPosts]);
+
+    const districtFeed = useDistrictFeed({ tenant, uid: profileUid, onError: showError });
+    const districtSchools = useDistrictSchools({ tenant, onError: showError });
+
+    // 게시물마다 대상 분류표로 찾은 그룹을 붙여 둡니다. 묶기, 필터, 대상 알림은 모두 이 그룹을 기준으로 합니다.
+    // 교육청 공지도 우리 학교 분류표로 묶고, 우리 학교에서 숨긴 공지는 관리자에게만 보여줍니다.
+    const posts = useMemo(() => {
+        const mapper = createTargetMapper(targetGroups);
+        const districtPosts = districtFeed.posts.filter(post => userIsAdmin || !post.hiddenHere);
+        return [...rawPosts, ...districtPosts].map(post => ({ ...post, targetGroups: targetGroupsOf(post, targetGroups, mapper) }));
+    }, [rawPosts, districtFeed.posts, userIsAdmin, targetGroups]);
+    const unmappedTargets = useMemo(() => (userIsAdmin ? findUnmappedTargets(rawPosts, targetGroups) : []), [userIsAdmin, rawPosts, targetGroups]);
+
+    const activePosts = useMemo(() => posts.filter(post => !isArchived(post)), [posts]);
+    const archivedPosts = useMemo(() => posts.filter(isArchived), [posts]);
+    const visiblePosts = showArchive ? archivedPosts : activePosts;
+    // 댓글 창은 게시물 ID 만 기억하고 최신 게시물을 넘겨 고정 답변 변경이 바로 보이게 합니다.
+    const commentingPost = commentingPostId ? posts.find(post => post.id === commentingPostId) : null;
+    const closingSoon = useMemo(() => findClosingSoon(activePosts, new Date()), [activePosts]);
+
+    const reminders = useReminders({ uid: profileUid, posts: activePosts, onError: showError });
+    const uploadQueue = useUploadQueue({ online, findDuplicates: (contentHash) => findPostsWithHash(contentHash, activePosts) });
+    const tracker = useTracker({ user, onError: showError });
+
+    const targetOptions = useMemo(() => {
+        const counts = visiblePosts.reduce((acc, post) => {
+            postTargetGroups(post).forEach(group => { acc[group] = (acc[group] || 0) + 1; });
+            return acc;
+        }, {});
+        return Object.keys(counts).sort((a, b) => a.localeCompare(b, 'ko')).map(target => ({ value: target, label: target, count: counts[target] }));
+    }, [visiblePosts]);
+
+    const statusCounts = useMemo(() => visiblePosts.reduce((acc, post) => {
+        const status = postStatus(post, new Date());
+        acc[status] = (acc[status] || 0) + 1;
+        return acc;
+    }, {}), [visiblePosts]);
 
     const filteredAndSortedPosts = useMemo(() => {
-        const filtered = rawPosts.filter(post => {
-            const targetMatch = filterTarget === 'all' || post.target === filterTarget;
-            const term = searchTerm.toLowerCase();
-            const searchMatch = !term ||
-                (post.summary && post.summary.toLowerCase().includes(term)) ||
-                (post.target && post.target.toLowerCase().includes(term));
-            return targetMatch && searchMatch;
-        });
+        const filtered = applyFilters(visiblePosts, filters, new Date());
+        // 보관함의 기본 정렬은 최근 보관 순입니다.
+        const sorted = showArchive && filters.sort === DEFAULT_SORT
+            ? [...filtered].sort((a, b) => (b.archivedAt?.toMillis() || 0) - (a.archivedAt?.toMillis() || 0))
+            : sortPosts(filtered, filters.sort, new Date());
+
+        // 여러 그룹에 속한 게시물은 각 그룹에 모두 보여줍니다.
+        const grouped = sorted.reduce((acc, post) => {
+            postTargetGroups(post).forEach(targetGroup => {
+                if (!acc[targetGroup]) acc[targetGroup] = [];
+                acc[targetGroup].push(post);
+            });
+            return acc;
+        }, {});
+        if (targetGroups.length === 0) return grouped;
 
-        const sorted = [...filtered].sort((a, b) => {
-            const dateA = parseApplicationEndDate(a.applicationPeriod);
-            const dateB = parseApplicationEndDate(b.applicationPeriod);
-            const now = new Date();
-            const aIsPast = dateA && dateA < now;
-            const bIsPast = dateB && dateB < now;
-
-            if (aIsPast && !bIsPast) return 1;
-            if (!aIsPast && bIsPast) return -1;
-            if (dateA && dateB) {
-                 if(aIsPast && bIsPast) return dateB - dateA;
-                 return dateA - dateB;
-            }
-            if (dateA) return -1;
-            if (dateB) return 1;
-            return (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0);
-        });
-        
-        return sorted.reduce((acc, post) => {
-            const targetGroup = post.target || '기타';
-            if (!acc[targetGroup]) acc[targetGroup] = [];
-            acc[targetGroup].push(post);
+        // 분류표가 있으면 관리자가 정한 그룹 순서대로, 기타는 맨 뒤에 둡니다.
+        const order = [...targetGroups.map(group => group.name), UNCLASSIFIED_GROUP];
+        return order.reduce((acc, name) => {
+            if (grouped[name]) acc[name] = grouped[name];
             return acc;
         }, {});
-    }, [rawPosts, filterTarget, searchTerm]);
+    }, [visiblePosts, showArchive, filters, targetGroups]);
+
+    const handleFileUpload = (event) => {
+        uploadQueue.enqueueFiles(event.target.files);
+        if (fileInputRef.current) fileInputRef.current.value = "";
+    };
+
+    // 파일을 화면 어디에 끌어다 놓아도 업로드 대기열에 추가합니다.
+    const isFileDrag = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    const handleDragOver = (event) => {
+        if (!canUpload(profile) || !isFileDrag(event)) return;
+        event.preventDefault();
+        setDragActive(true);
+    };
+
+    const handleDragLeave = (event) => {
+        if (!event.relatedTarget) setDragActive(false);
+    };
+
+    const handleDrop = (event) => {
+        if (!canUpload(profile) || !isFileDrag(event)) return;
+        event.preventDefault();
+        setDragActive(false);
+        uploadQueue.enqueueFiles(event.dataTransfer.files);
+    };
 
-    const handleFileUpload = async (event) => {
-        const file = event.target.files[0];
-        if (!file || file.type !== 'application/pdf') {
-             setModalInfo({ show: true, message: 'PDF 파일만 업로드할 수 있습니다.', type: 'info' });
-            return;
+    const handleReviewJob = (job) => {
+        setEditingPost({ mode: 'create', jobId: job.id, file: job.file, ...job.result });
+    };
+
+    // 원본 PDF 는 게시물 ID 경로에 올려야 하므로 문서 ID 를 먼저 정하고, 업로드 후 문서를 씁니다.
+    // 오프라인이면 문서만 먼저 쓰고 원본 PDF 는 연결된 뒤 올립니다. 서버에 바로 저장되지 않으면 'queued' 를 돌려줍니다.
+    const saveSummaryToFirestore = async (summaryData, contentHash, file) => {
+        const postRef = doc(postsCollection());
+        let attachment = null;
+        if (file) {
+            try {
+                attachment = await uploadOrDeferPdf(postRef.id, file, online);
+            } catch (error) { throw new Error(`원본 PDF 업로드 실패: ${error.message}`); }
         }
-        if (!isPdfJsReady) {
-            setModalInfo({ show: true, message: 'PDF 처리 라이브러리가 아직 로딩 중입니다. 잠시 후 다시 시도해주세요.', type: 'info' });
-            return;
+        const postData = {
+            ...summaryData,
+            // 교육청 게시물은 처음에 소속 학교 모두에 보내고, 카드에서 받을 학교를 고칠 수 있습니다.
+            ...(district ? { audienceSchools: districtSchools.map(school => school.id) } : {}),
+            schemaVersion: SCHEMA_VERSION,
+            contentHashes: contentHash ? [contentHash] : [],
+            attachment,
+            authorId: user.uid,
+            authorName: user.displayName || user.email,
+            createdAt: serverTimestamp(),
+            ...changeSourceField('ai-extraction'),
+        };
+        try {
+            return await waitForWrite(setDoc(postRef, postData));
+        } catch (error) {
+            if (attachment) deletePostPdf(attachment).catch(err => console.error("업로드한 원본 PDF 정리 실패:", err));
+            throw new Error(`DB 저장 실패: ${error.message}`);
         }
+    };
 
-        setLoadingMessage('PDF 파일을 처리 중입니다...');
-        setLoading(true);
+    // file 을 넘기면 게시물의 원본 PDF 를 새 파일로 덮어씁니다.
+    // 변경 이력은 서버 트리거가 수정 전후를 비교해 남기고, source 는 그 출처로 기록됩니다.
+    const updatePostInFirestore = async (post, fields, { contentHash, file, source = 'manual' } = {}) => {
+        const postId = post.id;
+        const update = { ...fields, schemaVersion: SCHEMA_VERSION, updatedAt: serverTimestamp(), ...changeSourceField(source) };
+        if (contentHash) update.contentHashes = arrayUnion(contentHash);
+        if (file) {
+            try {
+                const attachment = await uploadOrDeferPdf(postId, file, online);
+                if (attachment) update.attachment = attachment;
+            } catch (error) { throw new Error(`원본 PDF 업로드 실패: ${error.message}`); }
+        }
+        try {
+            return await waitForWrite(updateDoc(postDoc(postId), update));
+        } catch (error) { throw new Error(`DB 수정 실패: ${error.message}`); }
+    };
 
+    const handleSaveAudience = async (post, audienceSchools) => {
         try {
-            const fileReader = new FileReader();
-            fileReader.onload = async (e) => {
-                try {
-                    const typedarray = new Uint8Array(e.target.result);
-                    const pdfDoc = await window.pdfjsLib.getDocument({ data: typedarray }).promise;
-
-                    setLoadingMessage('PDF 내용을 이미지로 변환 중...');
-                    const page = await pdfDoc.getPage(1);
-                    const viewport = page.getViewport({ scale: 1.5 });
-                    const canvas = document.createElement('canvas');
-                    const context = canvas.getContext('2d');
-                    canvas.height = viewport.height;
-                    canvas.width = viewport.width;
-
-                    await page.render({ canvasContext: context, viewport: viewport }).promise;
-                    const base64ImageData = canvas.toDataURL('image/png').split(',')[1];
-                    
-                    setLoadingMessage('AI가 문서를 요약 중입니다...');
-                    await callGeminiAPI(base64ImageData);
-                } catch (loadError) {
-                    console.error('PDF 처리 상세 오류:', loadError);
-                    setModalInfo({ show: true, message: `PDF 파일을 처리하는 중 오류가 발생했습니다. 파일이 손상되었거나 지원하지 않는 형식일 수 있습니다. (오류: ${loadError.message})`, type: 'error' });
-                    setLoading(false);
-                }
-            };
-            fileReader.readAsArrayBuffer(file);
+            const result = await updatePostInFirestore(post, { audienceSchools });
+            if (result === 'queued') setModalInfo({ show: true, message: '오프라인 상태라 게시할 학교는 연결되면 저장됩니다.', type: 'info' });
+            return true;
         } catch (error) {
-            console.error('파일 읽기 오류:', error);
-            setModalInfo({ show: true, message: `파일을 읽는 중 오류가 발생했습니다: ${error.message}`, type: 'error' });
-            setLoading(false);
-        } finally {
-            if (fileInputRef.current) fileInputRef.current.value = "";
+            console.error("게시할 학교 저장 오류:", error);
+            setModalInfo({ show: true, message: error.message, type: 'error' });
+            return false;
         }
     };
 
-    const callGeminiAPI = async (base64ImageData) => {
-        const prompt = `첨부된 연수 안내문 이미지에서 다음 정보를 추출하여 JSON 형식으로 응답해 주세요: 1. summary: 연수 내용에 대한 핵심 요약. 2. applicationPeriod: 연수 신청 기간. 3. trainingPeriod: 실제 연수 이수 기간. 4. target: 연수 대상. 정보가 없으면 빈 문자열로 응답하세요.`;
-        const payload = {
-            contents: [{
-                role: "user",
-                parts: [
-                    { text: prompt },
-                    { inlineData: { mimeType: "image/png", data: base64ImageData } }
-                ]
-            }],
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: "OBJECT", properties: {
-                        "summary": { "type": "STRING" }, "applicationPeriod": { "type": "STRING" },
-                        "trainingPeriod": { "type": "STRING" }, "target": { "type": "STRING" }
-                    }, required: ["summary", "applicationPeriod", "trainingPeriod", "target"]
-                }
-            }
-        };
-        const apiKey = ""; 
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+    const handleEditPost = (post) => { setEditingPost({ mode: 'edit', postId: post.id, data: post, previewPages: [] }); };
 
+    const handleSaveEditedPost = async (fields) => {
         try {
-            const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-            if (!response.ok) throw new Error(`API 요청 실패: ${response.status}`);
-            const result = await response.json();
-            if (result.candidates?.[0]?.content?.parts?.[0]) {
-                const summaryData = JSON.parse(result.candidates[0].content.parts[0].text);
-                await saveSummaryToFirestore(summaryData);
-                setModalInfo({ show: true, message: '연수 정보가 성공적으로 추가되었습니다.', type: 'info' });
-            } else { throw new Error("API에서 유효한 요약 데이터를 받지 못했습니다."); }
+            if (editingPost.mode === 'create') {
+                const candidates = findDuplicateCandidates(fields, editingPost.contentHash, activePosts);
+                if (candidates.length > 0) {
+                    setDuplicateCheck({ fields, candidates });
+                    return;
+                }
+                const result = await saveSummaryToFirestore(fields, editingPost.contentHash, editingPost.file);
+                uploadQueue.markSaved(editingPost.jobId, result === 'queued' ? QUEUED_SAVE_MESSAGE : '');
+            } else {
+                const result = await updatePostInFirestore(editingPost.data, fields);
+                setModalInfo({ show: true, message: result === 'queued' ? '오프라인 상태라 수정 내용은 연결되면 자동으로 저장됩니다.' : '연수 정보가 수정되었습니다.', type: 'info' });
+            }
+            setEditingPost(null);
         } catch (error) {
-            console.error("Gemini API 호출 오류:", error);
-            setModalInfo({ show: true, message: `AI 요약 중 오류가 발생했습니다: ${error.message}`, type: 'error' });
-        } finally { setLoading(false); }
+            console.error("게시물 저장 오류:", error);
+            setModalInfo({ show: true, message: error.message, type: 'error' });
+        }
     };
     
-    const saveSummaryToFirestore = async (summaryData) => {
+    // 중복 후보 처리: 병합/교체는 기존 게시물을 수정하고, 같은 파일 해시를 기존 게시물에 기록합니다.
+    // 원본 PDF 는 교체할 때, 또는 병합 대상에 원본이 없을 때만 새 파일로 올립니다.
+    const resolveDuplicate = async (action, post) => {
+        const { fields } = duplicateCheck;
+        const { contentHash, file } = editingPost;
         try {
-            const postsCollection = collection(db, 'artifacts', appId, 'public', 'data', 'training_posts');
-            await addDoc(postsCollection, { ...summaryData, createdAt: serverTimestamp() });
-        } catch (error) { throw new Error(`DB 저장 실패: ${error.message}`); }
+            if (action === 'merge') {
+                const result = await updatePostInFirestore(post, mergeFields(post, fields), { contentHash, file: post.attachment ? null : file, source: 'ai-extraction' });
+                uploadQueue.markSaved(editingPost.jobId, result === 'queued' ? `기존 게시물에 병합됨 · ${QUEUED_SAVE_MESSAGE}` : '기존 게시물에 병합됨');
+            } else if (action === 'replace') {
+                const result = await updatePostInFirestore(post, fields, { contentHash, file, source: 'ai-extraction' });
+                uploadQueue.markSaved(editingPost.jobId, result === 'queued' ? `기존 게시물을 교체함 · ${QUEUED_SAVE_MESSAGE}` : '기존 게시물을 교체함');
+            } else {
+                const result = await saveSummaryToFirestore(fields, contentHash, file);
+                uploadQueue.markSaved(editingPost.jobId, result === 'queued' ? QUEUED_SAVE_MESSAGE : '');
+            }
+            setDuplicateCheck(null);
+            setEditingPost(null);
+        } catch (error) {
+            console.error("중복 게시물 처리 오류:", error);
+            setModalInfo({ show: true, message: error.message, type: 'error' });
+        }
     };
-    
-    const handleDeletePost = (postId) => { setConfirmDelete(postId); };
 
-    const executeDelete = async () => {
-        if (!confirmDelete) return;
+    // 보관·복원·영구 삭제는 트랜잭션이라 서버에 연결되어 있어야 합니다.
+    const requireOnline = () => {
+        if (online) return true;
+        setModalInfo({ show: true, message: '오프라인 상태에서는 삭제·복원할 수 없습니다. 연결된 뒤 다시 시도해주세요.', type: 'info' });
+        return false;
+    };
+
+    // 삭제는 보관함으로 이동(소프트 삭제)하고, 영구 삭제는 관리자만 보관함에서 할 수 있습니다.
+    const handleDeletePost = (postId) => { if (requireOnline()) setConfirmAction({ type: 'archive', postId }); };
+    const handlePurgePost = (postId) => { if (requireOnline()) setConfirmAction({ type: 'purge', postId }); };
+
+    const executeConfirmedAction = async () => {
+        if (!confirmAction) return;
+        const { type, postId } = confirmAction;
         setLoading(true);
-        setLoadingMessage('게시물을 삭제하는 중...');
+        setLoadingMessage(type === 'purge' ? '게시물을 영구 삭제하는 중...' : '게시물을 보관함으로 옮기는 중...');
         try {
-            const postRef = doc(db, 'artifacts', appId, 'public', 'data', 'training_posts', confirmDelete);
-            await deleteDoc(postRef);
-            setModalInfo({ show: true, message: '게시물이 삭제되었습니다.', type: 'info' });
+            if (type === 'purge') {
+                await purgePost(postId);
+                setModalInfo({ show: true, message: '게시물이 영구 삭제되었습니다.', type: 'info' });
+            } else {
+                await archivePost(postId, user, 'manual');
+                setModalInfo({ show: true, message: '게시물이 보관함으로 이동되었습니다.', type: 'info' });
+            }
         } catch (error) {
             setModalInfo({ show: true, message: `삭제 오류: ${error.message}`, type: 'error' });
         } finally {
-            setConfirmDelete(null);
+            setConfirmAction(null);
             setLoading(false);
         }
     };
 
+    const handleRestorePost = async (postId) => {
+        if (!requireOnline()) return;
+        setLoading(true);
+        setLoadingMessage('게시물을 복원하는 중...');
+        try {
+            await restorePost(postId, user);
+            setModalInfo({ show: true, message: '게시물이 복원되었습니다.', type: 'info' });
+        } catch (error) {
+            setModalInfo({ show: true, message: `복원 오류: ${error.message}`, type: 'error' });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSignIn = async () => {
+        try {
+            await signInWithGoogle(schoolDomain);
+        } catch (error) {
+            if (error.code === 'auth/popup-closed-by-user') return;
+            console.error("로그인 실패:", error);
+            showError(`로그인에 실패했습니다: ${error.message}`);
+        }
+    };
+
+    const handleSignOut = async () => {
+        try {
+            await signOut();
+            setRawPosts([]);
+        } catch (error) {
+            showError(`로그아웃 오류: ${error.message}`);
+        }
+    };
+
     const handleCloseModal = () => setModalInfo({ show: false, message: '', type: 'info' });
 
     return (
-        <div className="bg-gray-100 min-h-screen font-sans">
+        <div className="bg-gray-100 min-h-screen font-sans" onDragOver={handleDragOver} onDragLeave={handleDragLeave} onDrop={handleDrop}>
             {loading && <LoadingSpinner message={loadingMessage} />}
+            {dragActive && (
+                <div className="fixed inset-0 bg-blue-600 bg-opacity-20 border-4 border-dashed border-blue-500 flex items-center justify-center z-50 pointer-events-none">
+                    <p className="bg-white text-blue-700 text-lg font-bold px-6 py-4 rounded-xl shadow-lg">PDF 공문을 놓으면 업로드 대기열에 추가됩니다</p>
+                </div>
+            )}
+            {editingPost && (
+                <PostEditorModal
+                    key={editingPost.postId || `job-${editingPost.jobId}`}
+                    title={editingPost.mode === 'create' ? 'AI 추출 결과 검토' : '연수 정보 수정'}
+                    confirmLabel={editingPost.mode === 'create' ? '확인 후 게시' : '저장'}
+                    initialData={editingPost.data}
+                    referenceDate={editingPost.data.createdAt?.toDate()}
+                    previewPages={editingPost.previewPages}
+                    attachment={editingPost.mode === 'edit' ? editingPost.data.attachment : null}
+                    onSave={handleSaveEditedPost}
+                    onCancel={() => setEditingPost(null)}
+                />
+            )}
+            {duplicateCheck && (
+                <DuplicateModal
+                    candidates={duplicateCheck.candidates}
+                    canModify={(post) => !isDistrictPost(post) && canModifyPost(profile, post)}
+                    onMerge={(post) => resolveDuplicate('merge', post)}
+                    onReplace={(post) => resolveDuplicate('replace', post)}
+                    onAddAnyway={() => resolveDuplicate('add')}
+                    onCancel={() => setDuplicateCheck(null)}
+                />
+            )}
+            {commentingPost && (
+                <CommentsModal
+                    post={commentingPost}
+                    user={user}
+                    canPin={canModifyPost(profile, commentingPost)}
+                    canModerate={userIsAdmin}
+                    onClose={() => setCommentingPostId(null)}
+                    onError={showError}
+                />
+            )}
+            {viewingPost && <PdfViewerModal attachment={viewingPost.attachment} title={viewingPost.summary} onClose={() => setViewingPost(null)} />}
+            {canUpload(profile) && (
+                <UploadQueuePanel
+                    jobs={uploadQueue.jobs}
+                    online={online}
+                    onReview={handleReviewJob}
+                    onRetry={uploadQueue.retryJob}
+                    onSummarizeAnyway={uploadQueue.summarizeAnyway}
+                    onRemove={uploadQueue.removeJob}
+                    onClearFinished={uploadQueue.clearFinished}
+                />
+            )}
             {modalInfo.show && <MessageModal message={modalInfo.message} type={modalInfo.type} onClose={handleCloseModal} />}
-            {confirmDelete && <ConfirmationModal message="정말로 이 게시물을 삭제하시겠습니까?" onConfirm={executeDelete} onCancel={() => setConfirmDelete(null)} />}
-
-            <header className="bg-white shadow-md sticky top-0 z-20">
+            {showRolesModal && <UserRolesModal currentUid={profile.uid} onClose={() => setShowRolesModal(false)} onError={showError} />}
+            {trackingPost && (
+                <TrackerModal
+                    post={trackingPost}
+                    entry={tracker.byPostId[trackingPost.id]}
+                    onSave={tracker.save}
+                    onRemove={tracker.remove}
+                    onClose={() => setTrackingPost(null)}
+                />
+            )}
+            {showMyTrainings && (
+                <MyTrainingsModal
+                    entries={tracker.entries}
+                    userName={profile.displayName || profile.email}
+                    onSelect={(postId) => { setShowMyTrainings(false); updateFilters({ archive: false }); scrollToPost(postId); }}
+                    onClose={() => setShowMyTrainings(false)}
+                    onError={showError}
+                />
+            )}
+            {showParticipation && <ParticipationModal posts={posts} onClose={() => setShowParticipation(false)} onError={showError} />}
+            {showSchoolSettings && <SchoolSettingsModal tenant={tenant} branding={branding} districtFeed={districtFeed} onClose={() => setShowSchoolSettings(false)} onError={showError} />}
+            {audiencePost && <AudienceModal post={audiencePost} schools={districtSchools} onSave={handleSaveAudience} onClose={() => setAudiencePost(null)} />}
+            {auditLog && <AuditLogModal posts={rawPosts} initialPostId={auditLog.postId} onClose={() => setAuditLog(null)} onError={showError} />}
+            {showTaxonomyModal && <TargetTaxonomyModal groups={targetGroups} posts={rawPosts} onClose={() => setShowTaxonomyModal(false)} onError={showError} />}
+            {showRetentionModal && retentionPolicy && <RetentionSettingsModal policy={retentionPolicy} onClose={() => setShowRetentionModal(false)} onError={showError} />}
+            {showCalendarFeed && profileUid && <CalendarFeedModal uid={profileUid} targets={targetOptions.map(option => option.value)} initialTarget={filters.targets.length === 1 ? filters.targets[0] : ''} onClose={() => setShowCalendarFeed(false)} onError={showError} />}
+            {confirmAction && (confirmAction.type === 'purge' ? (
+                <ConfirmationModal title="영구 삭제 확인" message="이 게시물을 영구 삭제하시겠습니까? 삭제 후에는 복원할 수 없습니다." confirmLabel="영구 삭제" onConfirm={executeConfirmedAction} onCancel={() => setConfirmAction(null)} />
+            ) : (
+                <ConfirmationModal message="이 게시물을 삭제하시겠습니까? 삭제한 게시물은 보관함에서 복원할 수 있습니다." onConfirm={executeConfirmedAction} onCancel={() => setConfirmAction(null)} />
+            ))}
+
+            <header className="bg-white shadow-md sticky top-0 z-20 border-t-4" style={{ borderTopColor: branding.themeColor }}>
                 <div className="container mx-auto px-4 sm:px-6 lg:px-8">
                     <div className="flex justify-between items-center py-4">
-                        <h1 className="text-2xl sm:text-3xl font-bold text-gray-800">용강중학교 연수 알리미</h1>
-                        <label htmlFor="pdf-upload" className={`transition-all duration-300 cursor-pointer bg-blue-600 text-white font-bold py-2 px-4 rounded-lg flex items-center shadow-sm ${!isPdfJsReady ? 'opacity-50 cursor-not-allowed' : 'hover:bg-blue-700 hover:shadow-md transform hover:-translate-y-0.5'}`}>
-                            <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
-                            <span>{isPdfJsReady ? 'PDF 공문 업로드' : '준비 중...'}</span>
-                        </label>
-                        <input id="pdf-upload" type="file" className="hidden" accept=".pdf" onChange={handleFileUpload} ref={fileInputRef} disabled={!isPdfJsReady}/>
+                        <h1 className="flex items-center text-2xl sm:text-3xl font-bold text-gray-800">
+                            {branding.logoUrl && <img src={branding.logoUrl} alt="" className="h-9 w-9 mr-3 object-contain" />}
+                            {branding.title}
+                        </h1>
+                        {profile && (
+                            <div className="flex items-center space-x-3">
+                                {canUpload(profile) && (
+                                    <>
+                                        <label htmlFor="pdf-upload" className="transition-all duration-300 cursor-pointer bg-blue-600 text-white font-bold py-2 px-4 rounded-lg flex items-center shadow-sm hover:bg-blue-700 hover:shadow-md transform hover:-translate-y-0.5">
+                                            <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                                            <span>PDF 공문 업로드</span>
+                                        </label>
+                                        <input id="pdf-upload" type="file" className="hidden" accept=".pdf" multiple onChange={handleFileUpload} ref={fileInputRef}/>
+                                    </>
+                                )}
+                                <button onClick={() => setShowMyTrainings(true)} className="text-gray-500 hover:text-blue-600 transition-colors" title="나의 연수"><AcademicCapIcon className="h-6 w-6"/></button>
+                                <NotificationCenter
+                                    notifications={reminders.notifications}
+                                    daysBefore={reminders.daysBefore}
+                                    onChangeDaysBefore={reminders.setDaysBefore}
+                                    permission={reminders.permission}
+                                    onRequestPermission={reminders.requestPermission}
+                                    onMarkAllRead={reminders.markAllRead}
+                                    onSelect={(postId) => { updateFilters({ archive: false }); scrollToPost(postId); }}
+                                />
+                                {userIsAdmin && (
+                                    <>
+                                        <button onClick={() => setShowRolesModal(true)} className="text-gray-500 hover:text-blue-600 transition-colors" title="사용자 권한 관리"><ShieldCheckIcon className="h-6 w-6"/></button>
+                                        <button onClick={() => setAuditLog({ postId: '' })} className="text-gray-500 hover:text-blue-600 transition-colors" title="게시물 변경 이력"><ClipboardDocumentListIcon className="h-6 w-6"/></button>
+                                        <button onClick={() => setShowParticipation(true)} className="text-gray-500 hover:text-blue-600 transition-colors" title="연수 참여 현황"><ChartBarIcon className="h-6 w-6"/></button>
+                                        <button onClick={() => setShowTaxonomyModal(true)} className="relative text-gray-500 hover:text-blue-600 transition-colors" title="연수 대상 분류">
+                                            <TagIcon className="h-6 w-6"/>
+                                            {unmappedTargets.length > 0 && (
+                                                <span className="absolute -top-1 -right-1 bg-amber-500 text-white text-xs font-bold rounded-full h-4 min-w-[1rem] px-1 flex items-center justify-center">{unmappedTargets.length}</span>
+                                            )}
+                                        </button>
+                                        <button onClick={() => setShowSchoolSettings(true)} className="text-gray-500 hover:text-blue-600 transition-colors" title="학교 설정"><SwatchIcon className="h-6 w-6"/></button>
+                                        <button onClick={() => setShowRetentionModal(true)} className="text-gray-500 hover:text-blue-600 transition-colors" title="보관 정책 설정"><Cog6ToothIcon className="h-6 w-6"/></button>
+                                    </>
+                                )}
+                                <div className="hidden sm:block text-right text-sm">
+                                    <p className="font-semibold text-gray-700">{profile.displayName || profile.email}</p>
+                                    <p className="text-gray-500">{ROLE_LABELS[profile.role] || profile.role}</p>
+                                </div>
+                                {onSwitchTenant && <button onClick={onSwitchTenant} className="text-gray-500 hover:text-blue-600 transition-colors" title="다른 학교 선택"><ArrowsRightLeftIcon className="h-6 w-6"/></button>}
+                                <button onClick={handleSignOut} className="text-gray-500 hover:text-red-500 transition-colors" title="로그아웃"><ArrowRightOnRectangleIcon className="h-6 w-6"/></button>
+                            </div>
+                        )}
                     </div>
                 </div>
             </header>
             
-            <div className="bg-gray-50/80 backdrop-blur-sm sticky top-[72px] z-10">
-                <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-3">
-                    <div className="flex flex-col sm:flex-row gap-4">
-                        <div className="relative flex-1">
-                            <label htmlFor="search-term" className="sr-only">검색</label>
-                            <MagnifyingGlassIcon className="pointer-events-none absolute top-1/2 -translate-y-1/2 left-3 h-5 w-5 text-gray-400" />
-                            <input
-                                type="text"
-                                id="search-term"
-                                placeholder="키워드로 검색..."
-                                value={searchTerm}
-                                onChange={(e) => setSearchTerm(e.target.value)}
-                                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            {authReady && !user ? (
+                <main className="container mx-auto p-4 sm:p-6 lg:p-8">
+                    <SignInPanel domain={schoolDomain} onSignIn={handleSignIn} />
+                    {onSwitchTenant && <button onClick={onSwitchTenant} className="block mx-auto mt-4 text-sm text-gray-500 hover:underline">다른 학교 선택</button>}
+                </main>
+            ) : (
+                <>
+                    <div className="bg-gray-50/80 backdrop-blur-sm sticky top-[72px] z-10">
+                        <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-3">
+                            <FilterBar
+                                filters={filters}
+                                onChange={updateFilters}
+                                targetOptions={targetOptions}
+                                statusCounts={statusCounts}
+                                actions={(
+                                    <div className="flex gap-2">
+                                        <button
+                                            onClick={() => setShowCalendarFeed(true)}
+                                            className="flex items-center justify-center px-4 py-2 border border-gray-300 rounded-lg font-semibold bg-white text-gray-700 hover:bg-gray-100 transition-colors"
+                                        >
+                                            <CalendarDaysIcon className="h-5 w-5 mr-2" />
+                                            캘린더 구독
+                                        </button>
+                                        <button
+                                            onClick={() => updateFilters({ archive: !showArchive, targets: [], statuses: [] })}
+                                            className={`flex items-center justify-center px-4 py-2 border rounded-lg font-semibold transition-colors ${showArchive ? 'bg-gray-700 border-gray-700 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                                        >
+                                            <ArchiveBoxIcon className="h-5 w-5 mr-2" />
+                                            {showArchive ? '게시 중인 연수 보기' : `보관함 (${archivedPosts.length})`}
+                                        </button>
+                                    </div>
+                                )}
                             />
                         </div>
-                        <div className="flex-1 sm:flex-grow-0 sm:w-56">
-                            <label htmlFor="filter-target" className="sr-only">연수 대상 필터</label>
-                            <select
-                                id="filter-target"
-                                value={filterTarget}
-                                onChange={(e) => setFilterTarget(e.target.value)}
-                                className="w-full h-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-                            >
-                                {uniqueTargets.map(target => (
-                                    <option key={target} value={target}>
-                                        {target === 'all' ? '전체 대상' : target}
-                                    </option>
-                                ))}
-                            </select>
-                        </div>
                     </div>
-                </div>
-            </div>
 
-            <main className="container mx-auto p-4 sm:p-6 lg:p-8">
-                {Object.keys(filteredAndSortedPosts).length > 0 ? (
-                    <div className="space-y-10">
-                        {Object.entries(filteredAndSortedPosts).map(([target, posts]) => (
-                            <section key={target}>
-                                <h2 className="text-2xl font-bold text-gray-700 mb-4 pb-2 border-b-2 border-blue-200">{target}</h2>
-                                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-                                    {posts.map(post => (
-                                        <TrainingCard key={post.id} post={post} onDelete={handleDeletePost}/>
-                                    ))}
+                    <main className="container mx-auto p-4 sm:p-6 lg:p-8">
+                        {postsLoaded && (postsFromCache || !online) && <StaleDataBanner online={online} lastSyncedAt={lastSyncedAt} />}
+                        {!showArchive && closingSoon.length > 0 && <ClosingSoonBanner items={closingSoon} onSelect={scrollToPost} />}
+                        {Object.keys(filteredAndSortedPosts).length > 0 ? (
+                            <div className="space-y-10">
+                                {Object.entries(filteredAndSortedPosts).map(([target, posts]) => (
+                                    <section key={target}>
+                                        <div className="flex items-center justify-between mb-4 pb-2 border-b-2 border-blue-200">
+                                            <h2 className="text-2xl font-bold text-gray-700">{target}</h2>
+                                            {!showArchive && (
+                                                <button onClick={() => reminders.toggleSubscription('target', target)} className={`flex items-center text-sm transition-colors ${reminders.isSubscribed('target', target) ? 'text-blue-600' : 'text-gray-400 hover:text-blue-500'}`}>
+                                                    {reminders.isSubscribed('target', target) ? <BellAlertIcon className="h-5 w-5 mr-1"/> : <BellIcon className="h-5 w-5 mr-1"/>}
+                                                    {reminders.isSubscribed('target', target) ? '대상 알림 받는 중' : '이 대상 알림 받기'}
+                                                </button>
+                                            )}
+                                        </div>
+                                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                                            {posts.map(post => (
+                                                <TrainingCard
+                                                    key={post.id}
+                                                    post={post}
+                                                    canModify={!isDistrictPost(post) && canModifyPost(profile, post)}
+                                                    canPurge={userIsAdmin && !isDistrictPost(post)}
+                                                    pendingSync={pendingPostIds.has(post.id)}
+                                                    subscribed={reminders.isSubscribed('post', post.id)}
+                                                    trackerStatus={tracker.byPostId[post.id]?.status}
+                                                    onTrack={setTrackingPost}
+                                                    onComments={isDistrictPost(post) ? null : (post) => setCommentingPostId(post.id)}
+                                                    onToggleDistrictHidden={isDistrictPost(post) && userIsAdmin ? (post) => districtFeed.setHidden(post.id, !post.hiddenHere) : null}
+                                                    onEditAudience={district && canModifyPost(profile, post) ? setAudiencePost : null}
+                                                    onShowHistory={(postId) => setAuditLog({ postId })} onToggleSubscribe={(postId) => reminders.toggleSubscription('post', postId)} onAddToCalendar={downloadPostCalendar} onViewOriginal={setViewingPost} onEdit={handleEditPost} onDelete={handleDeletePost} onRestore={handleRestorePost} onPurge={handlePurgePost}/>
+                                            ))}
+                                        </div>
+                                    </section>
+                                ))}
+                            </div>
+                        ) : ( !loading && (
+                                <div className="text-center py-20 bg-white rounded-xl shadow">
+                                    <DocumentTextIcon className="mx-auto h-20 w-20 text-gray-300" />
+                                    <h2 className="mt-4 text-xl font-semibold text-gray-600">일치하는 연수 정보가 없습니다.</h2>
+                                    <p className="mt-2 text-gray-500">다른 키워드로 검색하거나 필터를 조정해보세요.</p>
                                 </div>
-                            </section>
-                        ))}
-                    </div>
-                ) : ( !loading && (
-                        <div className="text-center py-20 bg-white rounded-xl shadow">
-                            <DocumentTextIcon className="mx-auto h-20 w-20 text-gray-300" />
-                            <h2 className="mt-4 text-xl font-semibold text-gray-600">일치하는 연수 정보가 없습니다.</h2>
-                            <p className="mt-2 text-gray-500">다른 키워드로 검색하거나 필터를 조정해보세요.</p>
-                        </div>
-                    )
-                )}
-            </main>
+                            )
+                        )}
+                    </main>
+                </>
+            )}
 
             <footer className="text-center py-6 text-gray-500 text-sm">
                 <p>Made by Sujin Lee (Google Certified Trainer & Innovator)</p>
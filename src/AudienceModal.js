@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { BuildingLibraryIcon } from '@heroicons/react/24/outline';
+
+// --- 교육청 게시물을 받을 학교 선택 ---
+const AudienceModal = ({ post, schools, onSave, onClose }) => {
+    const [selected, setSelected] = useState(() => new Set(post.audienceSchools || []));
+    const [saving, setSaving] = useState(false);
+
+    const toggle = (schoolId) => {
+        const next = new Set(selected);
+        if (next.has(schoolId)) next.delete(schoolId);
+        else next.add(schoolId);
+        setSelected(next);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        // 목록에서 빠진(폐교·이관 등) 학교 ID 는 그대로 두지 않고 현재 학교 목록 기준으로 저장합니다.
+        const saved = await onSave(post, schools.map(school => school.id).filter(id => selected.has(id)));
+        setSaving(false);
+        if (saved) onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <BuildingLibraryIcon className="h-6 w-6 text-blue-500 mr-3 flex-shrink-0" />
+                    <h3 className="text-lg font-bold text-blue-800">게시할 학교</h3>
+                </div>
+                <div className="flex items-center justify-between px-6 py-2 border-b text-sm">
+                    <span className="text-gray-600">{selected.size}/{schools.length}곳 선택</span>
+                    <div className="space-x-3">
+                        <button onClick={() => setSelected(new Set(schools.map(school => school.id)))} className="text-blue-600 hover:underline">모두 선택</button>
+                        <button onClick={() => setSelected(new Set())} className="text-gray-500 hover:underline">모두 해제</button>
+                    </div>
+                </div>
+                <ul className="flex-grow overflow-auto divide-y">
+                    {schools.length === 0 && <li className="px-6 py-6 text-center text-gray-500">소속 학교가 없습니다.</li>}
+                    {schools.map(school => (
+                        <li key={school.id}>
+                            <label className="flex items-center px-6 py-3 cursor-pointer hover:bg-gray-50">
+                                <input type="checkbox" checked={selected.has(school.id)} onChange={() => toggle(school.id)} className="mr-3 h-4 w-4" />
+                                <span className="text-gray-800">{school.name || school.id}</span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+                <div className="flex justify-end items-center px-6 py-4 border-t space-x-2">
+                    <button onClick={onClose} disabled={saving} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">취소</button>
+                    <button onClick={handleSave} disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">저장</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AudienceModal;
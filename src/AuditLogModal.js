@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { onSnapshot, query, where, orderBy, limit } from 'firebase/firestore';
+import { ClipboardDocumentListIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { dataCollection } from './firebase';
+import { auditCollection, AUDIT_ACTION_LABELS, AUDIT_SOURCE_LABELS, AUDIT_FIELD_LABELS } from './audit';
+import { TRAINING_TYPE_LABELS } from './summarizers/schema';
+
+const PAGE_SIZE = 100;
+
+const ACTION_STYLES = {
+    create: 'bg-green-100 text-green-700',
+    update: 'bg-blue-100 text-blue-700',
+    archive: 'bg-gray-200 text-gray-700',
+    restore: 'bg-purple-100 text-purple-700',
+    delete: 'bg-red-100 text-red-700',
+};
+
+const formatTime = (timestamp) => timestamp?.toDate().toLocaleString('ko-KR', { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '(없음)';
+    if (field === 'attachment') return value.name || value.path;
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(없음)';
+    if (field === 'trainingType') return TRAINING_TYPE_LABELS[value] || value;
+    if (field === 'archived') return value ? '보관됨' : '게시 중';
+    if (field === 'archiveReason') return value === 'expired' ? '마감 후 자동 보관' : '직접 삭제';
+    return String(value);
+};
+
+const ChangeTable = ({ entry }) => {
+    const fields = Object.keys({ ...(entry.before || {}), ...(entry.after || {}) });
+    if (fields.length === 0) return <p className="text-gray-500">기록된 필드 변경이 없습니다.</p>;
+    return (
+        <table className="w-full text-xs">
+            <thead className="text-gray-500">
+                <tr><th className="text-left font-semibold py-1 w-28">항목</th><th className="text-left font-semibold py-1">변경 전</th><th className="text-left font-semibold py-1">변경 후</th></tr>
+            </thead>
+            <tbody className="align-top">
+                {fields.map(field => (
+                    <tr key={field}>
+                        <td className="py-1 pr-2 font-semibold text-gray-700">{AUDIT_FIELD_LABELS[field] || field}</td>
+                        <td className="py-1 pr-2 text-red-700 break-words">{entry.before ? formatValue(field, entry.before[field]) : ''}</td>
+                        <td className="py-1 text-green-700 break-words">{entry.after ? formatValue(field, entry.after[field]) : ''}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+// --- 관리자용 게시물 변경 이력 ---
+// 필터가 없으면 최근 항목부터 PAGE_SIZE 개씩, 게시물이나 사용자를 고르면 해당 항목 전체를 불러옵니다.
+// (게시물과 사용자를 함께 고르면 게시물로 불러온 뒤 사용자로 거릅니다)
+const AuditLogModal = ({ posts, initialPostId = '', onClose, onError }) => {
+    const [postId, setPostId] = useState(initialPostId);
+    const [actorUid, setActorUid] = useState('');
+    const [pageSize, setPageSize] = useState(PAGE_SIZE);
+    const [entries, setEntries] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        const q = query(dataCollection('users'), orderBy('email'));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setUsers(snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() })));
+        }, (error) => console.error("사용자 목록 수신 실패:", error));
+        return () => unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        // 필터 조건에는 정렬을 붙이지 않아 복합 색인 없이 조회하고, 화면에서 시간순으로 정렬합니다.
+        const q = postId ? query(auditCollection(), where('postId', '==', postId))
+            : actorUid ? query(auditCollection(), where('actor.uid', '==', actorUid))
+            : query(auditCollection(), orderBy('createdAt', 'desc'), limit(pageSize));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+        }, (error) => {
+            console.error("변경 이력 수신 실패:", error);
+            onError(`변경 이력을 불러오는데 실패했습니다: ${error.message}`);
+        });
+        return () => unsubscribe();
+    }, [postId, actorUid, pageSize, onError]);
+
+    const visibleEntries = useMemo(() => entries
+        .filter(entry => !actorUid || entry.actor?.uid === actorUid)
+        .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)), [entries, actorUid]);
+
+    // 영구 삭제된 게시물은 목록에 없으므로 이력에 남은 제목으로 보여줍니다.
+    const postOptions = useMemo(() => {
+        const options = [...posts]
+            .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0))
+            .map(post => ({ value: post.id, label: post.summary || '연수 안내' }));
+        if (postId && !options.some(option => option.value === postId)) {
+            const entry = entries.find(item => item.postId === postId);
+            options.unshift({ value: postId, label: `(삭제됨) ${entry?.postTitle || postId}` });
+        }
+        return options;
+    }, [posts, postId, entries]);
+
+    const canLoadMore = !postId && !actorUid && entries.length >= pageSize;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <ClipboardDocumentListIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">게시물 변경 이력</h3>
+                </div>
+                <div className="flex flex-col sm:flex-row gap-2 px-6 py-3 border-b">
+                    <select value={postId} onChange={(e) => setPostId(e.target.value)} className="flex-grow min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                        <option value="">모든 게시물</option>
+                        {postOptions.map(option => <option key={option.value} value={option.value}>{option.label.length > 60 ? `${option.label.slice(0, 60)}…` : option.label}</option>)}
+                    </select>
+                    <select value={actorUid} onChange={(e) => setActorUid(e.target.value)} className="sm:w-56 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                        <option value="">모든 사용자</option>
+                        {users.map(user => <option key={user.uid} value={user.uid}>{user.displayName || user.email}</option>)}
+                    </select>
+                </div>
+                <div className="flex-grow overflow-auto">
+                    {visibleEntries.length === 0 ? (
+                        <p className="text-center text-gray-500 py-10">기록이 없습니다.</p>
+                    ) : (
+                        <ul className="divide-y">
+                            {visibleEntries.map(entry => (
+                                <li key={entry.id} className="px-6 py-3 text-sm">
+                                    <div className="flex items-center">
+                                        <button onClick={() => setExpanded(expanded === entry.id ? null : entry.id)} className="mr-2 text-gray-400 hover:text-gray-700" title="변경 내용">
+                                            {expanded === entry.id ? <ChevronDownIcon className="h-4 w-4" /> : <ChevronRightIcon className="h-4 w-4" />}
+                                        </button>
+                                        <span className={`text-xs font-semibold px-2 py-0.5 rounded-full mr-2 flex-shrink-0 ${ACTION_STYLES[entry.action] || 'bg-gray-100 text-gray-700'}`}>{AUDIT_ACTION_LABELS[entry.action] || entry.action}</span>
+                                        <button onClick={() => setPostId(entry.postId)} className="flex-grow min-w-0 text-left truncate text-gray-800 hover:underline" title="이 게시물의 이력만 보기">{entry.postTitle || '연수 안내'}</button>
+                                        <span className="ml-2 text-xs text-gray-500 flex-shrink-0">{formatTime(entry.createdAt)}</span>
+                                    </div>
+                                    <div className="ml-6 mt-1 flex items-center text-xs text-gray-500">
+                                        <button onClick={() => setActorUid(entry.actor?.uid || '')} className="font-semibold text-gray-700 hover:underline" title="이 사용자의 이력만 보기">{entry.actor?.name || entry.actor?.uid}</button>
+                                        <span className="mx-1">·</span>
+                                        <span>{AUDIT_SOURCE_LABELS[entry.source] || entry.source}</span>
+                                    </div>
+                                    {expanded === entry.id && <div className="ml-6 mt-2 bg-gray-50 rounded-lg p-3"><ChangeTable entry={entry} /></div>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {canLoadMore && (
+                        <div className="text-center py-3">
+                            <button onClick={() => setPageSize(pageSize + PAGE_SIZE)} className="text-sm font-semibold text-blue-600 hover:underline">더 보기</button>
+                        </div>
+                    )}
+                </div>
+                <div className="px-6 py-4 border-t">
+                    <button onClick={onClose} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">닫기</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AuditLogModal;
@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarDaysIcon } from '@heroicons/react/24/outline';
+import { calendarFeedUrl, loadOrCreateFeedToken, resetFeedToken } from './calendarFeed';
+
+// --- 캘린더 구독 안내 ---
+const CalendarFeedModal = ({ uid, targets, initialTarget, onClose, onError }) => {
+    const [target, setTarget] = useState(initialTarget === 'all' ? '' : initialTarget);
+    const [copied, setCopied] = useState(false);
+    const [token, setToken] = useState(null);
+    const [isResetting, setIsResetting] = useState(false);
+    const url = token ? calendarFeedUrl({ uid, token, target }) : '';
+
+    useEffect(() => {
+        let cancelled = false;
+        loadOrCreateFeedToken(uid)
+            .then(result => { if (!cancelled) setToken(result); })
+            .catch(error => {
+                console.error("캘린더 구독 주소 불러오기 실패:", error);
+                onError(`캘린더 구독 주소를 만들지 못했습니다: ${error.message}`);
+            });
+        return () => { cancelled = true; };
+    }, [uid, onError]);
+
+    const handleReset = async () => {
+        if (!window.confirm('새 주소를 만들면 지금 주소로 구독한 캘린더는 더 이상 갱신되지 않습니다. 계속할까요?')) return;
+        setIsResetting(true);
+        try {
+            setToken(await resetFeedToken(uid));
+            setCopied(false);
+        } catch (error) {
+            console.error("캘린더 구독 주소 재발급 실패:", error);
+            onError(`캘린더 구독 주소를 다시 만들지 못했습니다: ${error.message}`);
+        } finally {
+            setIsResetting(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(true);
+        } catch (error) {
+            console.error("클립보드 복사 실패:", error);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full mx-auto">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <CalendarDaysIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">캘린더 구독</h3>
+                </div>
+                <div className="p-6 space-y-4">
+                    <p className="text-gray-700 text-sm">아래 주소를 Google 캘린더(다른 캘린더 → URL로 추가)나 iPhone/Outlook 캘린더에 등록하면 게시 중인 연수의 신청 마감일과 연수 기간이 자동으로 표시됩니다. 게시물이 수정되거나 삭제되면 캘린더에도 반영됩니다.</p>
+                    <div>
+                        <label htmlFor="feed-target" className="block font-semibold text-gray-700 mb-1">연수 대상</label>
+                        <select id="feed-target" value={target} onChange={(e) => { setTarget(e.target.value); setCopied(false); }} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500">
+                            <option value="">전체 대상</option>
+                            {targets.filter(t => t !== 'all').map(t => <option key={t} value={t}>{t}</option>)}
+                        </select>
+                    </div>
+                    <div className="flex">
+                        <input readOnly value={url || '주소를 만드는 중...'} onFocus={(e) => e.target.select()} className="flex-grow px-3 py-2 border border-gray-300 rounded-l-lg text-sm text-gray-600 bg-gray-50" />
+                        <button onClick={handleCopy} disabled={!url} className="bg-gray-700 hover:bg-gray-800 text-white text-sm font-bold px-4 rounded-r-lg transition-colors disabled:bg-gray-400">{copied ? '복사됨' : '복사'}</button>
+                    </div>
+                    <p className="text-xs text-gray-500">이 주소는 나만 쓰는 비밀 주소입니다. 다른 사람에게 공유하지 마세요.</p>
+                    {url && <a href={url.replace(/^https?:/, 'webcal:')} className="block text-center text-blue-600 hover:underline text-sm">기본 캘린더 앱에서 바로 구독하기</a>}
+                    <button onClick={handleReset} disabled={!token || isResetting} className="block mx-auto text-xs text-gray-500 hover:text-red-600 hover:underline disabled:opacity-50">
+                        {isResetting ? '새 주소를 만드는 중...' : '주소가 새어 나갔다면 새 주소 만들기'}
+                    </button>
+                </div>
+                <div className="px-6 pb-4">
+                    <button onClick={onClose} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">닫기</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CalendarFeedModal;
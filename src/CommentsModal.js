@@ -0,0 +1,139 @@
+import React, { useState, useMemo } from 'react';
+import { ChatBubbleLeftRightIcon, MapPinIcon, ArrowUturnLeftIcon, TrashIcon, CheckBadgeIcon } from '@heroicons/react/24/outline';
+import { useComments } from './useComments';
+import { buildThreads, findPinnedComment, MAX_COMMENT_LENGTH } from './comments';
+import { isArchived } from './archive';
+
+const formatTime = (timestamp) => timestamp?.toDate().toLocaleString('ko-KR', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const CommentForm = ({ placeholder, submitLabel, autoFocus, onSubmit, onCancel }) => {
+    const [text, setText] = useState('');
+    const [saving, setSaving] = useState(false);
+    const trimmed = text.trim();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!trimmed || trimmed.length > MAX_COMMENT_LENGTH) return;
+        setSaving(true);
+        const saved = await onSubmit(trimmed);
+        setSaving(false);
+        if (saved) setText('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-2">
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={placeholder}
+                rows={2}
+                autoFocus={autoFocus}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+            <div className="flex items-center justify-end space-x-2">
+                {trimmed.length > MAX_COMMENT_LENGTH && <span className="flex-grow text-xs text-red-600">{MAX_COMMENT_LENGTH}자까지 쓸 수 있습니다.</span>}
+                {onCancel && <button type="button" onClick={onCancel} className="text-sm text-gray-500 hover:text-gray-800">취소</button>}
+                <button type="submit" disabled={saving || !trimmed || trimmed.length > MAX_COMMENT_LENGTH} className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-1.5 px-4 rounded-lg transition-colors disabled:opacity-50">{submitLabel}</button>
+            </div>
+        </form>
+    );
+};
+
+const Comment = ({ comment, pinned, canPin, canDelete, onReply, onPin, onDelete }) => {
+    if (comment.deleted) return <p className="text-sm text-gray-400 italic">삭제된 댓글입니다.</p>;
+    return (
+        <div>
+            <div className="flex items-center text-xs text-gray-500 mb-1">
+                <span className="font-semibold text-gray-700 mr-2">{comment.authorName}</span>
+                <span>{comment.pending ? '전송 대기' : formatTime(comment.createdAt)}</span>
+                {pinned && <span className="flex items-center ml-2 font-semibold text-amber-700"><CheckBadgeIcon className="h-4 w-4 mr-0.5" />고정된 답변</span>}
+            </div>
+            <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{comment.text}</p>
+            <div className="flex space-x-3 mt-1 text-xs">
+                {onReply && <button onClick={onReply} className="flex items-center text-gray-500 hover:text-blue-600"><ArrowUturnLeftIcon className="h-3 w-3 mr-1" />답글</button>}
+                {canPin && (
+                    <button onClick={() => onPin(pinned ? null : comment.id)} className="flex items-center text-gray-500 hover:text-amber-700"><MapPinIcon className="h-3 w-3 mr-1" />{pinned ? '고정 해제' : '답변으로 고정'}</button>
+                )}
+                {canDelete && <button onClick={() => onDelete(comment.id)} className="flex items-center text-gray-500 hover:text-red-600"><TrashIcon className="h-3 w-3 mr-1" />삭제</button>}
+            </div>
+        </div>
+    );
+};
+
+// --- 게시물 질문·댓글 ---
+// 게시물 업로더와 관리자는 댓글 하나를 답변으로 고정해 맨 위에 보여줄 수 있습니다.
+// 보관된 게시물의 댓글은 읽기만 할 수 있습니다.
+const CommentsModal = ({ post, user, canPin, canModerate, onClose, onError }) => {
+    const { comments, loaded, add, remove, pin } = useComments({ post, user, onError });
+    const [replyTo, setReplyTo] = useState(null);
+    const threads = useMemo(() => buildThreads(comments), [comments]);
+    const pinnedComment = findPinnedComment(post, comments);
+    const archived = isArchived(post);
+
+    const renderComment = (comment, threadId) => (
+        <Comment
+            comment={comment}
+            pinned={pinnedComment?.id === comment.id}
+            canPin={canPin && !archived}
+            canDelete={!archived && (comment.authorId === user.uid || canModerate)}
+            onReply={archived ? null : () => setReplyTo(threadId)}
+            onPin={pin}
+            onDelete={remove}
+        />
+    );
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <ChatBubbleLeftRightIcon className="h-6 w-6 text-blue-500 mr-3 flex-shrink-0" />
+                    <div className="min-w-0">
+                        <h3 className="text-lg font-bold text-blue-800">질문·댓글</h3>
+                        <p className="text-sm text-gray-600 truncate">{post.summary || '연수 안내'}</p>
+                    </div>
+                </div>
+                <div className="flex-grow overflow-auto p-6 space-y-4">
+                    {pinnedComment && (
+                        <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
+                            {renderComment(pinnedComment, pinnedComment.parentId || pinnedComment.id)}
+                        </div>
+                    )}
+                    {loaded && threads.length === 0 && <p className="text-center text-gray-500 py-6">아직 댓글이 없습니다. 궁금한 점을 남겨주세요.</p>}
+                    {threads.map(({ comment, replies }) => (
+                        <div key={comment.id} className="border-b pb-4 last:border-b-0">
+                            {renderComment(comment, comment.id)}
+                            {(replies.length > 0 || replyTo === comment.id) && (
+                                <div className="mt-3 ml-6 pl-4 border-l-2 border-gray-200 space-y-3">
+                                    {replies.map(reply => <div key={reply.id}>{renderComment(reply, comment.id)}</div>)}
+                                    {replyTo === comment.id && (
+                                        <CommentForm
+                                            placeholder="답글을 입력하세요"
+                                            submitLabel="답글 등록"
+                                            autoFocus
+                                            onSubmit={async (text) => {
+                                                const saved = await add(text, comment.id);
+                                                if (saved) setReplyTo(null);
+                                                return saved;
+                                            }}
+                                            onCancel={() => setReplyTo(null)}
+                                        />
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+                <div className="px-6 py-4 border-t space-y-3">
+                    {archived ? (
+                        <p className="text-sm text-gray-500">보관된 게시물이라 새 댓글을 달 수 없습니다.</p>
+                    ) : (
+                        <CommentForm placeholder="신청 자격, 복무 처리 등 궁금한 점을 남겨주세요" submitLabel="등록" onSubmit={(text) => add(text, null)} />
+                    )}
+                    <button onClick={onClose} className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors">닫기</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CommentsModal;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+
+// --- 중복 공문 확인 ---
+// 업로더는 기존 게시물에 병합하거나, 기존 게시물을 새 내용으로 교체하거나, 그래도 새로 추가할 수 있습니다.
+const DuplicateModal = ({ candidates, canModify, onMerge, onReplace, onAddAnyway, onCancel }) => {
+    const [busy, setBusy] = useState(false);
+
+    const run = (action) => async () => {
+        setBusy(true);
+        try {
+            await action();
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-amber-50">
+                    <DocumentDuplicateIcon className="h-6 w-6 text-amber-500 mr-3" />
+                    <h3 className="text-lg font-bold text-amber-800">이미 등록된 공문 같습니다</h3>
+                </div>
+                <ul className="flex-grow overflow-auto divide-y">
+                    {candidates.map(({ post, reason, score }) => (
+                        <li key={post.id} className="p-4">
+                            <p className="text-xs font-semibold text-amber-700 mb-1">
+                                {reason === 'hash' ? '같은 PDF 파일' : `내용 유사도 ${Math.round(score * 100)}%`}
+                            </p>
+                            <p className="text-gray-800 line-clamp-3">{post.summary || '정보 없음'}</p>
+                            <p className="text-sm text-gray-500 mt-1">{post.target || '대상 미지정'} · 신청 {post.applicationPeriod || '정보 없음'}</p>
+                            {canModify(post) ? (
+                                <div className="flex space-x-2 mt-3">
+                                    <button onClick={run(() => onMerge(post))} disabled={busy} className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-1 px-3 rounded-lg transition-colors disabled:opacity-50" title="기존 내용을 유지하고 비어 있는 항목만 채웁니다.">병합</button>
+                                    <button onClick={run(() => onReplace(post))} disabled={busy} className="bg-gray-700 hover:bg-gray-800 text-white text-sm font-bold py-1 px-3 rounded-lg transition-colors disabled:opacity-50" title="기존 게시물을 새 내용으로 바꿉니다.">교체</button>
+                                </div>
+                            ) : (
+                                <p className="text-xs text-gray-400 mt-2">다른 사람이 올린 게시물이라 병합/교체할 수 없습니다.</p>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+                <div className="flex justify-end items-center px-6 py-4 border-t space-x-2">
+                    <button onClick={onCancel} disabled={busy} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">돌아가기</button>
+                    <button onClick={run(onAddAnyway)} disabled={busy} className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">그래도 새로 추가</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DuplicateModal;
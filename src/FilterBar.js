@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MagnifyingGlassIcon, FunnelIcon, ChevronDownIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { SORT_OPTIONS, POST_STATUSES, POST_STATUS_LABELS, DEFAULT_FILTERS } from './search';
+
+// 바깥을 누르면 닫히는 드롭다운
+const Dropdown = ({ label, activeCount, children }) => {
+    const [open, setOpen] = useState(false);
+    const ref = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    return (
+        <div ref={ref} className="relative">
+            <button onClick={() => setOpen(!open)} className={`w-full flex items-center justify-center px-4 py-2 border rounded-lg font-semibold transition-colors ${activeCount > 0 ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}>
+                {label}{activeCount > 0 && ` (${activeCount})`}
+                <ChevronDownIcon className="h-4 w-4 ml-1" />
+            </button>
+            {open && <div className="absolute left-0 mt-2 w-64 bg-white rounded-xl shadow-2xl border z-30 p-3">{children}</div>}
+        </div>
+    );
+};
+
+const CheckboxList = ({ options, selected, onChange }) => {
+    const toggle = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+    return (
+        <ul className="max-h-64 overflow-auto space-y-1">
+            {options.map(({ value, label, count }) => (
+                <li key={value}>
+                    <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+                        <input type="checkbox" checked={selected.includes(value)} onChange={() => toggle(value)} className="mr-2 rounded" />
+                        <span className="flex-grow">{label}</span>
+                        {count !== undefined && <span className="text-gray-400">{count}</span>}
+                    </label>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+const DateRange = ({ label, from, to, onChange }) => (
+    <div>
+        <p className="text-sm font-semibold text-gray-700 mb-1">{label}</p>
+        <div className="flex items-center space-x-1">
+            <input type="date" value={from} max={to || undefined} onChange={(e) => onChange(e.target.value, to)} className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm" />
+            <span className="text-gray-400">~</span>
+            <input type="date" value={to} min={from || undefined} onChange={(e) => onChange(from, e.target.value)} className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm" />
+        </div>
+    </div>
+);
+
+// --- 검색/필터 막대 ---
+// 대상·상태는 여러 개를 고를 수 있고, 기간은 신청 마감일과 연수 기간으로 나눠 거릅니다.
+const FilterBar = ({ filters, onChange, targetOptions, statusCounts, actions }) => {
+    const dateCount = (filters.deadlineFrom || filters.deadlineTo ? 1 : 0) + (filters.trainingFrom || filters.trainingTo ? 1 : 0);
+    const hasFilters = filters.q || filters.targets.length > 0 || filters.statuses.length > 0 || dateCount > 0;
+
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-col sm:flex-row gap-2 sm:gap-4">
+                <div className="relative flex-1">
+                    <label htmlFor="search-term" className="sr-only">검색</label>
+                    <MagnifyingGlassIcon className="pointer-events-none absolute top-1/2 -translate-y-1/2 left-3 h-5 w-5 text-gray-400" />
+                    <input
+                        type="text"
+                        id="search-term"
+                        placeholder="연수명, 대상, 장소, 기관 등으로 검색..."
+                        value={filters.q}
+                        onChange={(e) => onChange({ q: e.target.value })}
+                        className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </div>
+                <div className="flex gap-2">
+                    <Dropdown label="대상" activeCount={filters.targets.length}>
+                        {targetOptions.length > 0
+                            ? <CheckboxList options={targetOptions} selected={filters.targets} onChange={(targets) => onChange({ targets })} />
+                            : <p className="text-sm text-gray-500">대상이 없습니다.</p>}
+                    </Dropdown>
+                    {!filters.archive && (
+                        <Dropdown label="상태" activeCount={filters.statuses.length}>
+                            <CheckboxList
+                                options={POST_STATUSES.map(status => ({ value: status, label: POST_STATUS_LABELS[status], count: statusCounts[status] }))}
+                                selected={filters.statuses}
+                                onChange={(statuses) => onChange({ statuses })}
+                            />
+                        </Dropdown>
+                    )}
+                    <Dropdown label="기간" activeCount={dateCount}>
+                        <div className="space-y-3">
+                            <DateRange label="신청 마감일" from={filters.deadlineFrom} to={filters.deadlineTo} onChange={(deadlineFrom, deadlineTo) => onChange({ deadlineFrom, deadlineTo })} />
+                            <DateRange label="연수 기간" from={filters.trainingFrom} to={filters.trainingTo} onChange={(trainingFrom, trainingTo) => onChange({ trainingFrom, trainingTo })} />
+                        </div>
+                    </Dropdown>
+                    <label htmlFor="sort-order" className="sr-only">정렬</label>
+                    <select
+                        id="sort-order"
+                        value={filters.sort}
+                        onChange={(e) => onChange({ sort: e.target.value })}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    >
+                        {Object.entries(SORT_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                </div>
+                {actions}
+            </div>
+            {hasFilters && (
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <FunnelIcon className="h-4 w-4 text-gray-400" />
+                    {filters.targets.map(target => (
+                        <button key={`target-${target}`} onClick={() => onChange({ targets: filters.targets.filter(t => t !== target) })} className="flex items-center bg-purple-100 text-purple-800 px-2 py-0.5 rounded-full">
+                            {target}<XMarkIcon className="h-3 w-3 ml-1" />
+                        </button>
+                    ))}
+                    {filters.statuses.map(status => (
+                        <button key={`status-${status}`} onClick={() => onChange({ statuses: filters.statuses.filter(s => s !== status) })} className="flex items-center bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full">
+                            {POST_STATUS_LABELS[status]}<XMarkIcon className="h-3 w-3 ml-1" />
+                        </button>
+                    ))}
+                    <button
+                        onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, archive: filters.archive })}
+                        className="text-gray-500 hover:text-gray-800 underline"
+                    >
+                        필터 초기화
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterBar;
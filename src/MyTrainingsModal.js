@@ -0,0 +1,121 @@
+import React, { useState, useMemo } from 'react';
+import { AcademicCapIcon, ArrowDownTrayIcon, PrinterIcon } from '@heroicons/react/24/outline';
+import { TRACKER_STATUS_LABELS, trackerYears, summarizeYear, buildTrackerCsv } from './tracker';
+
+const STATUS_STYLES = {
+    interested: 'bg-gray-100 text-gray-700',
+    applied: 'bg-blue-100 text-blue-700',
+    completed: 'bg-green-100 text-green-700',
+};
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+const downloadCsv = (summary, year) => {
+    const url = URL.createObjectURL(new Blob([buildTrackerCsv(summary)], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `연수이수현황_${year}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// 새 창에 표만 담아 인쇄합니다. (앱 화면의 헤더/버튼이 함께 인쇄되지 않도록)
+const printSummary = (summary, year, name) => {
+    const rows = summary.entries.map(entry => `
+        <tr>
+            <td>${escapeHtml(TRACKER_STATUS_LABELS[entry.status])}</td>
+            <td>${escapeHtml(entry.title)}</td>
+            <td>${escapeHtml(entry.organizer)}</td>
+            <td>${escapeHtml(entry.trainingPeriod)}</td>
+            <td>${escapeHtml(entry.completedOn || '')}</td>
+            <td class="num">${entry.status === 'completed' && entry.hours != null ? escapeHtml(entry.hours) : ''}</td>
+        </tr>`).join('');
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+    printWindow.document.write(`<!DOCTYPE html><html lang="ko"><head><meta charset="utf-8"><title>${year}년 연수 이수 현황</title>
+        <style>
+            body { font-family: sans-serif; padding: 24px; }
+            h1 { font-size: 20px; margin-bottom: 4px; }
+            p { color: #555; margin-top: 0; }
+            table { width: 100%; border-collapse: collapse; font-size: 13px; }
+            th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+            th { background: #f0f0f0; }
+            .num { text-align: right; }
+        </style></head><body>
+        <h1>${year}년 연수 이수 현황</h1>
+        <p>${escapeHtml(name)} · 이수 ${summary.completedCount}건 · 총 ${summary.totalHours}시간</p>
+        <table>
+            <thead><tr><th>상태</th><th>연수명</th><th>주관 기관</th><th>연수 기간</th><th>이수일</th><th>이수 시간</th></tr></thead>
+            <tbody>${rows}</tbody>
+            <tfoot><tr><th colspan="5">합계</th><th class="num">${summary.totalHours}</th></tr></tfoot>
+        </table>
+    </body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+};
+
+// --- 나의 연수 ---
+// 연도별로 관심/신청/이수한 연수와 이수 시간 합계를 보여주고 CSV 나 인쇄용으로 내보냅니다.
+const MyTrainingsModal = ({ entries, userName, onSelect, onClose, onError }) => {
+    const years = useMemo(() => trackerYears(entries), [entries]);
+    const [year, setYear] = useState(years[0]);
+    const summary = useMemo(() => summarizeYear(entries, year), [entries, year]);
+
+    const handlePrint = () => {
+        if (!printSummary(summary, year, userName)) onError('팝업이 차단되어 인쇄 창을 열 수 없습니다. 팝업을 허용해주세요.');
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center justify-between p-4 border-b rounded-t-2xl bg-blue-50">
+                    <div className="flex items-center">
+                        <AcademicCapIcon className="h-6 w-6 text-blue-500 mr-3" />
+                        <h3 className="text-lg font-bold text-blue-800">나의 연수</h3>
+                    </div>
+                    <select value={year} onChange={(e) => setYear(Number(e.target.value))} className="px-3 py-1 border border-gray-300 rounded-lg">
+                        {years.map(y => <option key={y} value={y}>{y}년</option>)}
+                    </select>
+                </div>
+                <div className="flex items-center justify-between px-6 py-3 border-b text-sm">
+                    <p className="text-gray-700">이수 <span className="font-bold">{summary.completedCount}</span>건 · 총 <span className="font-bold text-blue-700">{summary.totalHours}</span>시간</p>
+                    <div className="flex space-x-3">
+                        <button onClick={() => downloadCsv(summary, year)} disabled={summary.entries.length === 0} className="flex items-center text-gray-600 hover:text-blue-600 disabled:opacity-40"><ArrowDownTrayIcon className="h-5 w-5 mr-1" />CSV</button>
+                        <button onClick={handlePrint} disabled={summary.entries.length === 0} className="flex items-center text-gray-600 hover:text-blue-600 disabled:opacity-40"><PrinterIcon className="h-5 w-5 mr-1" />인쇄</button>
+                    </div>
+                </div>
+                <div className="flex-grow overflow-auto">
+                    {summary.entries.length === 0 ? (
+                        <p className="text-center text-gray-500 py-10">{year}년 기록이 없습니다. 연수 카드의 '내 기록' 버튼으로 관심·신청·이수를 표시할 수 있습니다.</p>
+                    ) : (
+                        <ul className="divide-y">
+                            {summary.entries.map(entry => (
+                                <li key={entry.id}>
+                                    <button onClick={() => onSelect(entry.postId)} className="w-full text-left flex items-center px-6 py-3 hover:bg-gray-50">
+                                        <span className={`text-xs font-semibold px-2 py-0.5 rounded-full mr-3 flex-shrink-0 ${STATUS_STYLES[entry.status]}`}>{TRACKER_STATUS_LABELS[entry.status]}</span>
+                                        <span className="flex-grow min-w-0">
+                                            <span className="block font-semibold text-gray-800 truncate">{entry.title || '연수 안내'}</span>
+                                            <span className="block text-xs text-gray-500 truncate">{[entry.organizer, entry.trainingPeriod].filter(Boolean).join(' · ')}</span>
+                                        </span>
+                                        {entry.status === 'completed' && (
+                                            <span className="ml-3 text-sm text-gray-700 flex-shrink-0 text-right">{entry.hours}시간<span className="block text-xs text-gray-500">{entry.completedOn}</span></span>
+                                        )}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+                <div className="px-6 py-4 border-t">
+                    <button onClick={onClose} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">닫기</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MyTrainingsModal;
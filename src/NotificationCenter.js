@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { BellIcon, BellAlertIcon } from '@heroicons/react/24/outline';
+
+const REMINDER_DAY_OPTIONS = [1, 2, 3, 5, 7];
+
+const formatDeadline = (ms) => new Date(ms).toLocaleDateString('ko-KR', { month: 'long', day: 'numeric', weekday: 'short' });
+
+// --- 헤더의 알림 버튼과 목록 ---
+const NotificationCenter = ({ notifications, daysBefore, onChangeDaysBefore, permission, onRequestPermission, onMarkAllRead, onSelect }) => {
+    const [open, setOpen] = useState(false);
+    const unreadCount = notifications.filter(entry => !entry.read).length;
+
+    const handleToggle = () => {
+        if (open && unreadCount > 0) onMarkAllRead();
+        setOpen(!open);
+    };
+
+    return (
+        <div className="relative">
+            <button onClick={handleToggle} className="relative text-gray-500 hover:text-blue-600 transition-colors" title="마감 알림">
+                {unreadCount > 0 ? <BellAlertIcon className="h-6 w-6 text-blue-600" /> : <BellIcon className="h-6 w-6" />}
+                {unreadCount > 0 && (
+                    <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs font-bold rounded-full h-4 min-w-[1rem] px-1 flex items-center justify-center">{unreadCount}</span>
+                )}
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-2xl border z-30">
+                    <div className="p-4 border-b space-y-2 text-sm">
+                        <label className="flex items-center justify-between text-gray-700">
+                            <span>신청 마감</span>
+                            <select value={daysBefore} onChange={(e) => onChangeDaysBefore(Number(e.target.value))} className="mx-2 px-2 py-1 border border-gray-300 rounded-lg">
+                                {REMINDER_DAY_OPTIONS.map(days => <option key={days} value={days}>{days}일 전</option>)}
+                            </select>
+                            <span className="flex-grow">알림 받기</span>
+                        </label>
+                        {permission === 'default' && (
+                            <button onClick={onRequestPermission} className="text-blue-600 hover:underline">브라우저 알림 허용하기</button>
+                        )}
+                        {permission === 'denied' && <p className="text-gray-500">브라우저 알림이 차단되어 앱 안에서만 알려드립니다.</p>}
+                    </div>
+                    <ul className="max-h-80 overflow-auto divide-y">
+                        {notifications.length === 0 ? (
+                            <li className="p-4 text-sm text-gray-500 text-center">카드나 대상 제목의 종 모양 버튼으로 마감 알림을 구독할 수 있습니다.</li>
+                        ) : notifications.map(entry => (
+                            <li key={entry.key}>
+                                <button onClick={() => { onSelect(entry.postId); setOpen(false); }} className={`w-full text-left p-3 hover:bg-gray-50 ${entry.read ? '' : 'bg-blue-50'}`}>
+                                    <p className="text-sm font-semibold text-gray-800 line-clamp-2">{entry.title}</p>
+                                    <p className="text-xs text-red-600 mt-1">{formatDeadline(entry.deadline)} 신청 마감</p>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationCenter;
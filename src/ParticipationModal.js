@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { ChartBarIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { dataCollection } from './firebase';
+import { TRACKER_STATUSES, TRACKER_STATUS_LABELS } from './tracker';
+
+// --- 관리자용 연수 참여 현황 ---
+// participation 컬렉션(사용자가 '내 기록'을 저장할 때 함께 쓰는 상태 요약)을 게시물별로 집계합니다.
+const ParticipationModal = ({ posts, onClose, onError }) => {
+    const [records, setRecords] = useState([]);
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(dataCollection('participation'), (snapshot) => {
+            setRecords(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("참여 현황 수신 실패:", error);
+            onError(`참여 현황을 불러오는데 실패했습니다: ${error.message}`);
+        });
+        return () => unsubscribe();
+    }, [onError]);
+
+    const rows = useMemo(() => {
+        const titles = posts.reduce((acc, post) => ({ ...acc, [post.id]: post.summary }), {});
+        const byPost = records.reduce((acc, record) => {
+            if (!acc[record.postId]) acc[record.postId] = { postId: record.postId, title: titles[record.postId], people: [], counts: {} };
+            acc[record.postId].people.push(record);
+            acc[record.postId].counts[record.status] = (acc[record.postId].counts[record.status] || 0) + 1;
+            return acc;
+        }, {});
+        return Object.values(byPost).sort((a, b) => (
+            ((b.counts.applied || 0) + (b.counts.completed || 0)) - ((a.counts.applied || 0) + (a.counts.completed || 0))
+        ));
+    }, [records, posts]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <ChartBarIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">연수 참여 현황</h3>
+                </div>
+                <div className="flex-grow overflow-auto">
+                    {rows.length === 0 ? (
+                        <p className="text-center text-gray-500 py-10">아직 기록한 교직원이 없습니다.</p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                                <tr>
+                                    <th className="text-left font-semibold px-4 py-2">연수</th>
+                                    {TRACKER_STATUSES.map(status => <th key={status} className="font-semibold px-3 py-2 w-16">{TRACKER_STATUS_LABELS[status]}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y">
+                                {rows.map(row => (
+                                    <React.Fragment key={row.postId}>
+                                        <tr onClick={() => setExpanded(expanded === row.postId ? null : row.postId)} className="cursor-pointer hover:bg-gray-50">
+                                            <td className="px-4 py-2 text-gray-800">
+                                                <span className="flex items-center">
+                                                    {expanded === row.postId ? <ChevronDownIcon className="h-4 w-4 mr-1 flex-shrink-0" /> : <ChevronRightIcon className="h-4 w-4 mr-1 flex-shrink-0" />}
+                                                    <span className="line-clamp-1">{row.title || '삭제된 게시물'}</span>
+                                                </span>
+                                            </td>
+                                            {TRACKER_STATUSES.map(status => <td key={status} className="px-3 py-2 text-center">{row.counts[status] || 0}</td>)}
+                                        </tr>
+                                        {expanded === row.postId && (
+                                            <tr className="bg-gray-50">
+                                                <td colSpan={TRACKER_STATUSES.length + 1} className="px-10 py-2 text-gray-600">
+                                                    {TRACKER_STATUSES.filter(status => row.counts[status]).map(status => (
+                                                        <p key={status}>
+                                                            <span className="font-semibold mr-2">{TRACKER_STATUS_LABELS[status]}</span>
+                                                            {row.people.filter(person => person.status === status).map(person => person.name).sort((a, b) => a.localeCompare(b, 'ko')).join(', ')}
+                                                        </p>
+                                                    ))}
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+                <div className="px-6 py-4 border-t">
+                    <button onClick={onClose} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">닫기</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ParticipationModal;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { DocumentTextIcon, ChevronLeftIcon, ChevronRightIcon, MagnifyingGlassPlusIcon, MagnifyingGlassMinusIcon, ArrowDownTrayIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { loadPostPdf, getPostPdfUrl } from './attachments';
+import pdfjsLib from './pdfjs';
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+const SCALE_STEP = 0.25;
+
+// --- 원본 공문 보기 ---
+// Storage 에 보관한 원본 PDF 를 pdf.js 로 한 페이지씩 그립니다.
+const PdfViewerModal = ({ attachment, title, onClose }) => {
+    const [pdfDoc, setPdfDoc] = useState(null);
+    const [pageNumber, setPageNumber] = useState(1);
+    const [scale, setScale] = useState(1.25);
+    const [error, setError] = useState(null);
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let loadingTask = null;
+        loadPostPdf(attachment)
+            .then(buffer => {
+                if (cancelled) return null;
+                loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(buffer) });
+                return loadingTask.promise;
+            })
+            .then(doc => { if (doc && !cancelled) setPdfDoc(doc); })
+            .catch(loadError => {
+                console.error("원본 PDF 불러오기 실패:", loadError);
+                if (cancelled) return;
+                if (loadError.code === 'storage/object-not-found') setError('원본 파일이 삭제되었습니다.');
+                else if (!navigator.onLine) setError('오프라인 상태에서는 원본 PDF 를 볼 수 없습니다. 연결된 뒤 다시 열어주세요.');
+                else setError(`원본 PDF 를 불러오지 못했습니다: ${loadError.message}`);
+            });
+        return () => {
+            cancelled = true;
+            if (loadingTask) loadingTask.destroy();
+        };
+    }, [attachment]);
+
+    useEffect(() => {
+        if (!pdfDoc) return;
+        let renderTask = null;
+        let cancelled = false;
+        pdfDoc.getPage(pageNumber).then(page => {
+            if (cancelled || !canvasRef.current) return;
+            const viewport = page.getViewport({ scale });
+            const canvas = canvasRef.current;
+            canvas.height = viewport.height;
+            canvas.width = viewport.width;
+            renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+            return renderTask.promise;
+        }).catch(renderError => {
+            if (renderError?.name !== 'RenderingCancelledException') console.error("PDF 페이지 렌더링 실패:", renderError);
+        });
+        return () => {
+            cancelled = true;
+            if (renderTask) renderTask.cancel();
+        };
+    }, [pdfDoc, pageNumber, scale]);
+
+    const handleDownload = async () => {
+        try {
+            window.open(await getPostPdfUrl(attachment), '_blank', 'noopener');
+        } catch (downloadError) {
+            setError(`다운로드 주소를 가져오지 못했습니다: ${downloadError.message}`);
+        }
+    };
+
+    const pageCount = pdfDoc?.numPages || 0;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full mx-auto flex flex-col max-h-[90vh]">
+                <div className="flex items-center justify-between p-4 border-b rounded-t-2xl bg-blue-50">
+                    <div className="flex items-center min-w-0">
+                        <DocumentTextIcon className="h-6 w-6 text-blue-500 mr-3 flex-shrink-0" />
+                        <div className="min-w-0">
+                            <h3 className="text-lg font-bold text-blue-800 truncate">{title || '원본 공문'}</h3>
+                            <p className="text-xs text-gray-500 truncate">{attachment.name}</p>
+                        </div>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-700 transition-colors" title="닫기"><XMarkIcon className="h-6 w-6"/></button>
+                </div>
+                <div className="flex items-center justify-between px-4 py-2 border-b text-sm text-gray-600">
+                    <div className="flex items-center space-x-2">
+                        <button onClick={() => setPageNumber(pageNumber - 1)} disabled={pageNumber <= 1} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30" title="이전 페이지"><ChevronLeftIcon className="h-5 w-5"/></button>
+                        <span>{pageCount ? `${pageNumber} / ${pageCount}` : '-'}</span>
+                        <button onClick={() => setPageNumber(pageNumber + 1)} disabled={pageNumber >= pageCount} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30" title="다음 페이지"><ChevronRightIcon className="h-5 w-5"/></button>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                        <button onClick={() => setScale(Math.max(MIN_SCALE, scale - SCALE_STEP))} disabled={scale <= MIN_SCALE} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30" title="축소"><MagnifyingGlassMinusIcon className="h-5 w-5"/></button>
+                        <span className="w-12 text-center">{Math.round(scale * 100)}%</span>
+                        <button onClick={() => setScale(Math.min(MAX_SCALE, scale + SCALE_STEP))} disabled={scale >= MAX_SCALE} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30" title="확대"><MagnifyingGlassPlusIcon className="h-5 w-5"/></button>
+                        <button onClick={handleDownload} className="p-1 rounded hover:bg-gray-100" title="원본 내려받기"><ArrowDownTrayIcon className="h-5 w-5"/></button>
+                    </div>
+                </div>
+                <div className="flex-grow overflow-auto bg-gray-100 p-4">
+                    {error ? (
+                        <p className="text-center text-red-600 py-10">{error}</p>
+                    ) : pdfDoc ? (
+                        <canvas ref={canvasRef} className="mx-auto shadow bg-white" />
+                    ) : (
+                        <div className="flex justify-center py-10"><div className="animate-spin rounded-full h-10 w-10 border-t-4 border-b-4 border-blue-500"></div></div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PdfViewerModal;
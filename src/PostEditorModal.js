@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronLeftIcon, ChevronRightIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { parsePeriod } from './periodParser';
+import { PDF_MAX_PAGES, renderPageToImage } from './pdfContent';
+import { loadPostPdf } from './attachments';
+import pdfjsLib from './pdfjs';
+import { NUMBER_FIELDS, TRAINING_TYPES, TRAINING_TYPE_LABELS, SUMMARY_FIELD_LABELS, normalizeSummary } from './summarizers/schema';
+
+// 필수 항목은 위에 넓게, 나머지 상세 항목은 아래 두 칸 격자로 보여줍니다.
+const MAIN_FIELDS = ['summary', 'applicationPeriod', 'trainingPeriod', 'target'];
+const DETAIL_FIELDS = ['trainingType', 'subjectArea', 'creditHours', 'capacity', 'location', 'organizer', 'applicationMethod', 'applicationUrl'];
+
+const FIELD_UNITS = { creditHours: '시간', capacity: '명' };
+
+const PERIOD_FIELDS = ['applicationPeriod', 'trainingPeriod'];
+
+const formatDateTime = (date) => {
+    const text = date.toLocaleDateString('ko-KR', { year: 'numeric', month: 'long', day: 'numeric' });
+    const hasTime = !(date.getHours() === 0 && date.getMinutes() === 0) && !(date.getHours() === 23 && date.getMinutes() === 59);
+    return hasTime ? `${text} ${date.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit' })}` : text;
+};
+
+// 파서가 읽어낸 기간을 필드 아래에 보여줘서 업로더가 저장 전에 확인할 수 있게 합니다.
+const ParsedPeriodHint = ({ parsed }) => {
+    if (!parsed.end) return null;
+    return (
+        <div className="text-sm text-gray-500 mt-1 space-y-0.5">
+            {parsed.rounds.map((round, i) => (
+                <p key={i}>{round.label ? `${round.label}: ` : '인식된 기간: '}{formatDateTime(round.start)} ~ {formatDateTime(round.end)}</p>
+            ))}
+            {parsed.ambiguities.map(({ code, message }) => <p key={code} className="text-amber-600">{message}</p>)}
+        </div>
+    );
+};
+
+// --- 입력값 검증 ---
+export const validatePostFields = (fields, referenceDate) => {
+    const errors = {};
+    if (!fields.summary.trim()) errors.summary = '연수 개요를 입력해주세요.';
+    if (!fields.applicationPeriod.trim()) {
+        errors.applicationPeriod = '신청 기간을 입력해주세요.';
+    } else if (!parsePeriod(fields.applicationPeriod, { referenceDate }).end) {
+        errors.applicationPeriod = '신청 마감일을 읽을 수 없습니다. 예: 2024. 6. 3.(월) ~ 6. 14.(금)';
+    }
+    if (!fields.target.trim()) errors.target = '연수 대상을 입력해주세요.';
+    NUMBER_FIELDS.forEach(field => {
+        const value = fields[field];
+        if (value !== null && value !== undefined && !(Number.isFinite(value) && value >= 0)) errors[field] = '0 이상의 숫자를 입력해주세요.';
+    });
+    if (fields.applicationUrl.trim() && !/^https?:\/\/\S+$/i.test(fields.applicationUrl.trim())) {
+        errors.applicationUrl = 'http:// 또는 https:// 로 시작하는 주소를 입력해주세요.';
+    }
+    return errors;
+};
+
+const PagePreview = ({ pages }) => {
+    const [index, setIndex] = useState(0);
+    const page = pages[index];
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex-grow overflow-auto border rounded-lg bg-gray-100">
+                <img src={`data:image/png;base64,${page.preview}`} alt={`${page.pageNumber}페이지 미리보기`} className="w-full" />
+            </div>
+            {pages.length > 1 && (
+                <div className="flex items-center justify-center mt-2 space-x-4 text-sm text-gray-600">
+                    <button onClick={() => setIndex(index - 1)} disabled={index === 0} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30"><ChevronLeftIcon className="h-5 w-5" /></button>
+                    <span>{page.pageNumber} / {pages.length}</span>
+                    <button onClick={() => setIndex(index + 1)} disabled={index === pages.length - 1} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30"><ChevronRightIcon className="h-5 w-5" /></button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// 기존 게시물을 고칠 때는 Storage 에 보관한 원본 PDF 로 미리보기를 만듭니다. 불러오지 못하면 미리보기 없이 폼만 보여줍니다.
+const useAttachmentPreviews = (attachment) => {
+    const [pages, setPages] = useState([]);
+
+    useEffect(() => {
+        if (!attachment?.path) return undefined;
+        let cancelled = false;
+        let loadingTask = null;
+        const render = async () => {
+            const buffer = await loadPostPdf(attachment);
+            if (cancelled) return;
+            loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(buffer) });
+            const pdfDoc = await loadingTask.promise;
+            const rendered = [];
+            for (let pageNumber = 1; pageNumber <= Math.min(pdfDoc.numPages, PDF_MAX_PAGES) && !cancelled; pageNumber++) {
+                const page = await pdfDoc.getPage(pageNumber);
+                rendered.push({ pageNumber, preview: await renderPageToImage(page, 1.0) });
+                page.cleanup();
+            }
+            if (!cancelled) setPages(rendered);
+        };
+        render()
+            .catch(error => console.error("원본 PDF 미리보기 실패:", error))
+            .finally(() => { if (loadingTask) loadingTask.destroy(); });
+        return () => { cancelled = true; };
+    }, [attachment]);
+
+    return pages;
+};
+
+// AI 추출 결과 검토 및 기존 게시물 수정에 함께 사용하는 편집 폼
+// referenceDate: 연도가 생략된 기간을 해석할 기준일(게시일). 새 게시물은 지금 시각을 사용합니다.
+// previewPages: 새 게시물의 페이지 미리보기, attachment: 기존 게시물의 원본 PDF (previewPages 가 없을 때 씁니다)
+const PostEditorModal = ({ title, initialData, referenceDate, previewPages = [], attachment = null, confirmLabel = '저장', onSave, onCancel }) => {
+    const [fields, setFields] = useState(() => normalizeSummary(initialData));
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const attachmentPages = useAttachmentPreviews(previewPages.length > 0 ? null : attachment);
+    const pages = (previewPages.length > 0 ? previewPages : attachmentPages).filter(page => page.preview);
+    const hasPreview = pages.length > 0;
+
+    const handleChange = (field) => (e) => {
+        const { value } = e.target;
+        const parsed = NUMBER_FIELDS.includes(field) ? (value === '' ? null : Number(value)) : value;
+        setFields({ ...fields, [field]: parsed });
+        if (errors[field]) setErrors({ ...errors, [field]: undefined });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validationErrors = validatePostFields(fields, referenceDate);
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
+        setSaving(true);
+        try {
+            await onSave(normalizeSummary(fields));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = (field) => `w-full px-3 py-2 border rounded-lg focus:ring-blue-500 focus:border-blue-500 ${errors[field] ? 'border-red-400' : 'border-gray-300'}`;
+
+    const renderInput = (field) => {
+        if (field === 'summary') {
+            return <textarea id={`post-${field}`} rows={5} value={fields[field]} onChange={handleChange(field)} className={inputClass(field)} />;
+        }
+        if (field === 'trainingType') {
+            return (
+                <select id={`post-${field}`} value={fields[field]} onChange={handleChange(field)} className={inputClass(field)}>
+                    <option value="">미정</option>
+                    {TRAINING_TYPES.map(type => <option key={type} value={type}>{TRAINING_TYPE_LABELS[type]}</option>)}
+                </select>
+            );
+        }
+        if (NUMBER_FIELDS.includes(field)) {
+            return (
+                <div className="flex items-center">
+                    <input id={`post-${field}`} type="number" min="0" step="any" value={fields[field] ?? ''} onChange={handleChange(field)} className={inputClass(field)} />
+                    <span className="ml-2 text-gray-500 flex-shrink-0">{FIELD_UNITS[field]}</span>
+                </div>
+            );
+        }
+        return <input id={`post-${field}`} type={field === 'applicationUrl' ? 'url' : 'text'} value={fields[field]} onChange={handleChange(field)} className={inputClass(field)} />;
+    };
+
+    const renderField = (field) => (
+        <div key={field}>
+            <label htmlFor={`post-${field}`} className="block font-semibold text-gray-700 mb-1">{SUMMARY_FIELD_LABELS[field]}</label>
+            {renderInput(field)}
+            {errors[field] && <p className="text-sm text-red-600 mt-1">{errors[field]}</p>}
+            {parsedPeriods[field] && !errors[field] && <ParsedPeriodHint parsed={parsedPeriods[field]} />}
+        </div>
+    );
+
+    const parsedPeriods = PERIOD_FIELDS.reduce((acc, field) => {
+        acc[field] = parsePeriod(fields[field], { referenceDate });
+        return acc;
+    }, {});
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className={`bg-white rounded-2xl shadow-2xl w-full mx-auto max-h-[90vh] flex flex-col ${hasPreview ? 'max-w-5xl' : 'max-w-lg'}`}>
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <PencilSquareIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">{title}</h3>
+                </div>
+                <div className={`flex-grow overflow-auto p-6 grid gap-6 ${hasPreview ? 'md:grid-cols-2' : ''}`}>
+                    {hasPreview && <PagePreview pages={pages} />}
+                    <form id="post-editor-form" onSubmit={handleSubmit} className="space-y-4">
+                        {MAIN_FIELDS.map(renderField)}
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 pt-2 border-t">
+                            {DETAIL_FIELDS.map(renderField)}
+                        </div>
+                    </form>
+                </div>
+                <div className="flex justify-end items-center px-6 py-4 border-t space-x-2">
+                    <button type="button" onClick={onCancel} disabled={saving} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">취소</button>
+                    <button type="submit" form="post-editor-form" disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">{saving ? '저장 중...' : confirmLabel}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PostEditorModal;
@@ -0,0 +1,51 @@
+import { validatePostFields } from './PostEditorModal';
+import { normalizeSummary } from './summarizers/schema';
+
+// 편집 폼은 원본 PDF 미리보기를 위해 Firebase 를 초기화하는 모듈을 불러오므로 검증과 상관없는 부분은 대신합니다.
+jest.mock('./attachments', () => ({ loadPostPdf: jest.fn() }));
+jest.mock('./pdfjs', () => ({}));
+
+const REFERENCE_DATE = new Date(2024, 5, 1);
+
+const validFields = (extra = {}) => ({
+    ...normalizeSummary({}),
+    summary: '2024 디지털 교육 연수',
+    applicationPeriod: '2024. 6. 3. ~ 6. 14.',
+    target: '중등 교사',
+    ...extra,
+});
+
+describe('validatePostFields', () => {
+    test('필수 항목이 모두 있으면 오류가 없습니다', () => {
+        expect(validatePostFields(validFields(), REFERENCE_DATE)).toEqual({});
+    });
+
+    test('연수 개요, 신청 기간, 대상은 비워 둘 수 없습니다', () => {
+        const errors = validatePostFields(validFields({ summary: ' ', applicationPeriod: '', target: '\n' }), REFERENCE_DATE);
+        expect(Object.keys(errors).sort()).toEqual(['applicationPeriod', 'summary', 'target']);
+    });
+
+    test('신청 마감일을 읽을 수 없는 기간은 받지 않습니다', () => {
+        expect(validatePostFields(validFields({ applicationPeriod: '상시 모집' }), REFERENCE_DATE)).toHaveProperty('applicationPeriod');
+        expect(validatePostFields(validFields({ applicationPeriod: '2024. 2. 30. ~ 2. 31.' }), REFERENCE_DATE)).toHaveProperty('applicationPeriod');
+    });
+
+    test.each([
+        ['음수', -3],
+        ['숫자가 아님', NaN],
+        ['무한대', Infinity],
+    ])('숫자 항목에 %s 값을 넣으면 오류입니다', (_, value) => {
+        const errors = validatePostFields(validFields({ creditHours: value, capacity: value }), REFERENCE_DATE);
+        expect(Object.keys(errors).sort()).toEqual(['capacity', 'creditHours']);
+    });
+
+    test('숫자 항목은 비워 두거나 0 이상이면 됩니다', () => {
+        expect(validatePostFields(validFields({ creditHours: null, capacity: 0 }), REFERENCE_DATE)).toEqual({});
+        expect(validatePostFields(validFields({ creditHours: 15.5, capacity: 30 }), REFERENCE_DATE)).toEqual({});
+    });
+
+    test('신청 주소는 http(s) 주소만 받습니다', () => {
+        expect(validatePostFields(validFields({ applicationUrl: 'example.com/apply' }), REFERENCE_DATE)).toHaveProperty('applicationUrl');
+        expect(validatePostFields(validFields({ applicationUrl: 'https://example.com/apply' }), REFERENCE_DATE)).toEqual({});
+    });
+});
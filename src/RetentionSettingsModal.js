@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { setDoc, serverTimestamp } from 'firebase/firestore';
+import { Cog6ToothIcon } from '@heroicons/react/24/outline';
+import { retentionSettingsDoc } from './archive';
+
+// --- 관리자용 보관 정책 설정 ---
+const RetentionSettingsModal = ({ policy, onClose, onError }) => {
+    const [graceDays, setGraceDays] = useState(String(policy.autoArchiveGraceDays));
+    const [purgeDays, setPurgeDays] = useState(String(policy.purgeAfterDays));
+    const [saving, setSaving] = useState(false);
+
+    const parseDays = (value) => {
+        const days = Number(value);
+        return Number.isInteger(days) && days >= 0 ? days : null;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const autoArchiveGraceDays = parseDays(graceDays);
+        const purgeAfterDays = parseDays(purgeDays);
+        if (autoArchiveGraceDays === null || purgeAfterDays === null) {
+            onError('일수는 0 이상의 정수로 입력해주세요.');
+            return;
+        }
+        setSaving(true);
+        try {
+            await setDoc(retentionSettingsDoc(), { autoArchiveGraceDays, purgeAfterDays, updatedAt: serverTimestamp() });
+            onClose();
+        } catch (error) {
+            console.error("보관 정책 저장 실패:", error);
+            onError(`보관 정책 저장 오류: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-2xl max-w-md w-full mx-auto">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <Cog6ToothIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">보관 정책 설정</h3>
+                </div>
+                <div className="p-6 space-y-4">
+                    <div>
+                        <label htmlFor="grace-days" className="block font-semibold text-gray-700 mb-1">신청 마감 후 자동 보관까지 (일)</label>
+                        <input id="grace-days" type="number" min="0" value={graceDays} onChange={(e) => setGraceDays(e.target.value)} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500" />
+                    </div>
+                    <div>
+                        <label htmlFor="purge-days" className="block font-semibold text-gray-700 mb-1">보관 후 영구 삭제까지 (일)</label>
+                        <input id="purge-days" type="number" min="0" value={purgeDays} onChange={(e) => setPurgeDays(e.target.value)} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500" />
+                        <p className="text-sm text-gray-500 mt-1">0 으로 두면 보관된 게시물을 삭제하지 않습니다.</p>
+                    </div>
+                </div>
+                <div className="flex justify-end items-center px-6 pb-4 space-x-2">
+                    <button type="button" onClick={onClose} disabled={saving} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">취소</button>
+                    <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">저장</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default RetentionSettingsModal;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { setDoc, serverTimestamp } from 'firebase/firestore';
+import { SwatchIcon } from '@heroicons/react/24/outline';
+import { brandingDoc, appTitle, isHexColor, DEFAULT_THEME_COLOR } from './branding';
+import { setDistrictFeedEnabled } from './districtFeed';
+
+// --- 관리자용 학교 설정 ---
+// 제목·로고·테마 색, 그리고 교육청에 속한 학교라면 교육청 공지를 받을지 정합니다.
+const SchoolSettingsModal = ({ tenant, branding, districtFeed, onClose, onError }) => {
+    const [title, setTitle] = useState(branding.title || '');
+    const [logoUrl, setLogoUrl] = useState(branding.logoUrl || '');
+    const [themeColor, setThemeColor] = useState(isHexColor(branding.themeColor) ? branding.themeColor : DEFAULT_THEME_COLOR);
+    const [feedEnabled, setFeedEnabled] = useState(districtFeed.settings.enabled);
+    const [saving, setSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (logoUrl && !/^https:\/\//i.test(logoUrl)) {
+            onError('로고 주소는 https:// 로 시작해야 합니다.');
+            return;
+        }
+        setSaving(true);
+        try {
+            await setDoc(brandingDoc(), { title: title.trim(), logoUrl: logoUrl.trim(), themeColor, updatedAt: serverTimestamp() });
+            if (districtFeed.available && feedEnabled !== districtFeed.settings.enabled) await setDistrictFeedEnabled(feedEnabled);
+            onClose();
+        } catch (error) {
+            console.error("학교 설정 저장 실패:", error);
+            onError(`학교 설정 저장 오류: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-2xl max-w-md w-full mx-auto">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <SwatchIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">학교 설정</h3>
+                </div>
+                <div className="p-6 space-y-4">
+                    <div>
+                        <label htmlFor="branding-title" className="block font-semibold text-gray-700 mb-1">제목</label>
+                        <input id="branding-title" type="text" value={title} onChange={(e) => setTitle(e.target.value)} placeholder={appTitle(tenant, null)} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500" />
+                        <p className="text-sm text-gray-500 mt-1">비워 두면 '{appTitle(tenant, null)}' 로 표시합니다.</p>
+                    </div>
+                    <div>
+                        <label htmlFor="branding-logo" className="block font-semibold text-gray-700 mb-1">로고 이미지 주소</label>
+                        <input id="branding-logo" type="url" value={logoUrl} onChange={(e) => setLogoUrl(e.target.value)} placeholder="https://" className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500" />
+                    </div>
+                    <div>
+                        <label htmlFor="branding-color" className="block font-semibold text-gray-700 mb-1">테마 색</label>
+                        <input id="branding-color" type="color" value={themeColor} onChange={(e) => setThemeColor(e.target.value)} className="h-10 w-20 border border-gray-300 rounded-lg" />
+                    </div>
+                    {districtFeed.available && (
+                        <label className="flex items-center text-gray-700">
+                            <input type="checkbox" checked={feedEnabled} onChange={(e) => setFeedEnabled(e.target.checked)} className="mr-2 h-4 w-4" />
+                            <span className="font-semibold">교육청 공지 받기</span>
+                        </label>
+                    )}
+                </div>
+                <div className="flex justify-end items-center px-6 pb-4 space-x-2">
+                    <button type="button" onClick={onClose} disabled={saving} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">취소</button>
+                    <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">저장</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default SchoolSettingsModal;
@@ -0,0 +1,111 @@
+import React, { useState, useMemo } from 'react';
+import { setDoc, serverTimestamp } from 'firebase/firestore';
+import { TagIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { dataDoc } from './firebase';
+import { findUnmappedTargets, targetKey } from './targets';
+
+// 대상 분류표는 settings/targets 문서 하나에 { groups: [{ id, name, aliases }] } 로 저장합니다.
+export const targetTaxonomyDoc = () => dataDoc('settings', 'targets');
+
+const newGroupId = () => `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const parseAliases = (text) => text.split(',').map(alias => alias.trim()).filter(Boolean);
+
+// --- 관리자용 연수 대상 분류 관리 ---
+// 위쪽은 아직 그룹에 연결되지 않은 대상 값(확인 대기열), 아래쪽은 그룹과 별칭 목록입니다.
+const TargetTaxonomyModal = ({ groups, posts, onClose, onError }) => {
+    const [draft, setDraft] = useState(() => groups.map(group => ({ ...group, aliasText: (group.aliases || []).join(', ') })));
+    const [assignments, setAssignments] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    const draftGroups = useMemo(() => draft.map(group => ({ ...group, aliases: parseAliases(group.aliasText) })), [draft]);
+    const unmapped = useMemo(() => findUnmappedTargets(posts, draftGroups), [posts, draftGroups]);
+
+    const updateGroup = (id, changes) => setDraft(draft.map(group => (group.id === id ? { ...group, ...changes } : group)));
+
+    const addGroup = (name = '', aliases = []) => setDraft([...draft, { id: newGroupId(), name, aliasText: aliases.join(', ') }]);
+
+    const assignAlias = (value, groupId) => {
+        const group = draft.find(g => g.id === groupId);
+        if (!group) return;
+        updateGroup(groupId, { aliasText: [...parseAliases(group.aliasText), value].join(', ') });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const cleaned = draftGroups.map(({ id, name, aliases }) => ({ id, name: name.trim(), aliases }));
+        if (cleaned.some(group => !group.name)) {
+            onError('그룹 이름을 입력해주세요.');
+            return;
+        }
+        const keys = cleaned.map(group => targetKey(group.name));
+        if (new Set(keys).size !== keys.length) {
+            onError('같은 이름의 그룹이 있습니다.');
+            return;
+        }
+        setSaving(true);
+        try {
+            await setDoc(targetTaxonomyDoc(), { groups: cleaned, updatedAt: serverTimestamp() });
+            onClose();
+        } catch (error) {
+            console.error("대상 분류 저장 실패:", error);
+            onError(`대상 분류 저장 오류: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <TagIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">연수 대상 분류</h3>
+                </div>
+                <div className="flex-grow overflow-auto p-6 space-y-6">
+                    <section>
+                        <h4 className="font-semibold text-gray-700 mb-2">분류되지 않은 대상 ({unmapped.length})</h4>
+                        {unmapped.length === 0 ? (
+                            <p className="text-sm text-gray-500">모든 게시물의 대상이 그룹에 연결되어 있습니다.</p>
+                        ) : (
+                            <ul className="divide-y border rounded-lg">
+                                {unmapped.map(({ key, value, postIds }) => (
+                                    <li key={key} className="flex flex-wrap items-center gap-2 px-3 py-2 text-sm">
+                                        <span className="flex-grow font-semibold text-gray-800">{value}</span>
+                                        <span className="text-gray-400">게시물 {postIds.length}개</span>
+                                        <select value={assignments[key] || ''} onChange={(e) => setAssignments({ ...assignments, [key]: e.target.value })} className="px-2 py-1 border border-gray-300 rounded-lg">
+                                            <option value="">그룹 선택</option>
+                                            {draft.filter(group => group.name.trim()).map(group => <option key={group.id} value={group.id}>{group.name}</option>)}
+                                        </select>
+                                        <button type="button" onClick={() => assignAlias(value, assignments[key])} disabled={!assignments[key]} className="text-blue-600 font-semibold hover:underline disabled:opacity-40">연결</button>
+                                        <button type="button" onClick={() => addGroup(value)} className="text-gray-600 hover:underline">새 그룹으로</button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+                    <section>
+                        <h4 className="font-semibold text-gray-700 mb-2">대상 그룹</h4>
+                        <p className="text-sm text-gray-500 mb-3">별칭은 쉼표로 구분합니다. 띄어쓰기는 무시하고 비교하며, 한 별칭을 여러 그룹에 넣으면 해당 게시물이 모든 그룹에 나타납니다.</p>
+                        <ul className="space-y-3">
+                            {draft.map(group => (
+                                <li key={group.id} className="flex items-start gap-2">
+                                    <input value={group.name} onChange={(e) => updateGroup(group.id, { name: e.target.value })} placeholder="그룹 이름" className="w-36 flex-shrink-0 px-3 py-2 border border-gray-300 rounded-lg font-semibold" />
+                                    <input value={group.aliasText} onChange={(e) => updateGroup(group.id, { aliasText: e.target.value })} placeholder="별칭 (예: 전 교원, 교원 전체)" className="flex-grow min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm" />
+                                    <button type="button" onClick={() => setDraft(draft.filter(g => g.id !== group.id))} className="p-2 text-gray-400 hover:text-red-500" title="그룹 삭제"><TrashIcon className="h-5 w-5" /></button>
+                                </li>
+                            ))}
+                        </ul>
+                        <button type="button" onClick={() => addGroup()} className="mt-3 flex items-center text-sm font-semibold text-blue-600 hover:underline"><PlusIcon className="h-4 w-4 mr-1" />그룹 추가</button>
+                    </section>
+                </div>
+                <div className="flex justify-end items-center px-6 py-4 border-t space-x-2">
+                    <button type="button" onClick={onClose} disabled={saving} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">취소</button>
+                    <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">저장</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default TargetTaxonomyModal;
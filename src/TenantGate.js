@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { BuildingLibraryIcon, AcademicCapIcon } from '@heroicons/react/24/outline';
+import { auth, setAppId, DEFAULT_APP_ID } from './firebase';
+import { signInWithGoogle } from './auth';
+import { DEFAULT_SITE_TITLE } from './branding';
+import { MULTI_TENANT, defaultTenant, tenantIdFromLocation, loadStoredTenantId, rememberTenant, forgetTenant, loadTenant, loadTenants, findTenantsByEmail, isDistrictTenant } from './tenant';
+import App from './App';
+
+const GateLayout = ({ children }) => (
+    <div className="bg-gray-100 min-h-screen font-sans flex items-center justify-center p-4">
+        <div className="bg-white rounded-xl shadow max-w-lg w-full p-8 text-center">
+            <h1 className="text-2xl font-bold text-gray-800 mb-6">{DEFAULT_SITE_TITLE}</h1>
+            {children}
+        </div>
+    </div>
+);
+
+const TenantPicker = ({ tenants, message, onSelect }) => (
+    <>
+        <p className="text-gray-600 mb-4">{message || '학교를 선택해주세요.'}</p>
+        {tenants.length === 0 ? (
+            <p className="text-sm text-gray-500">등록된 학교가 없습니다. 교육청 관리자에게 문의해주세요.</p>
+        ) : (
+            <ul className="divide-y border rounded-lg text-left max-h-80 overflow-auto">
+                {tenants.map(tenant => (
+                    <li key={tenant.id}>
+                        <button onClick={() => onSelect(tenant)} className="w-full flex items-center px-4 py-3 hover:bg-gray-50">
+                            {isDistrictTenant(tenant) ? <BuildingLibraryIcon className="h-5 w-5 mr-3 text-purple-500" /> : <AcademicCapIcon className="h-5 w-5 mr-3 text-blue-500" />}
+                            <span className="font-semibold text-gray-800">{tenant.name || tenant.id}</span>
+                            {isDistrictTenant(tenant) && <span className="ml-2 text-xs text-purple-700">교육청</span>}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </>
+);
+
+// --- 학교(테넌트) 선택 ---
+// 학교가 정해지면 setAppId 로 데이터 경로를 바꾼 뒤 App 을 그립니다. 학교를 바꾸면 App 을 새로 그려 구독을 모두 다시 엽니다.
+// 주소(경로·하위 도메인)로 정해진 학교는 바꿀 수 없고, 고르거나 로그인으로 정한 학교는 기억했다가 다음에 바로 엽니다.
+const TenantGate = () => {
+    const [state, setState] = useState({ status: 'resolving' });
+
+    const select = useCallback((tenant, { remember = true, locked = false } = {}) => {
+        if (remember) rememberTenant(tenant.id);
+        setAppId(tenant.id);
+        setState({ status: 'ready', tenant, locked });
+    }, []);
+
+    const showPicker = useCallback(async (message) => {
+        setState({ status: 'resolving' });
+        try {
+            setState({ status: 'pick', tenants: await loadTenants(), message });
+        } catch (error) {
+            console.error("학교 목록 불러오기 실패:", error);
+            setState({ status: 'error', message: `학교 목록을 불러오지 못했습니다: ${error.message}` });
+        }
+    }, []);
+
+    // 로그인한 계정의 도메인으로 학교를 찾고, 하나로 정해지지 않으면 목록에서 고르게 합니다.
+    const resolveByAccount = useCallback(async (user) => {
+        const matches = await findTenantsByEmail(user.email);
+        if (matches.length === 1) select(matches[0]);
+        else showPicker(matches.length > 1 ? '계정으로 여러 학교를 찾았습니다. 학교를 선택해주세요.' : null);
+    }, [select, showPicker]);
+
+    // 한 학교만 쓰면 기본 appId 로 앱을 엽니다. 로그인 도메인 등 학교 설정은 tenants 문서가 있으면 거기서 가져옵니다.
+    useEffect(() => {
+        if (MULTI_TENANT) return;
+        const open = (tenant) => setState({ status: 'ready', tenant: tenant || defaultTenant(), locked: true });
+        loadTenant(DEFAULT_APP_ID).then(open, (error) => {
+            console.error("학교 정보 불러오기 실패:", error);
+            open(null);
+        });
+    }, []);
+
+    useEffect(() => {
+        if (!MULTI_TENANT) return undefined;
+        let unsubscribeAuth = null;
+        const handleError = (error) => {
+            console.error("학교 확인 실패:", error);
+            setState({ status: 'error', message: `학교 정보를 불러오지 못했습니다: ${error.message}` });
+        };
+        const resolve = async () => {
+            const located = tenantIdFromLocation();
+            const storedId = located ? null : loadStoredTenantId();
+            const tenantId = located?.id || storedId;
+            if (tenantId) {
+                const tenant = await loadTenant(tenantId);
+                if (tenant) {
+                    select(tenant, { remember: !located, locked: !!located });
+                    return;
+                }
+                if (located) {
+                    showPicker(`'${tenantId}' 학교를 찾을 수 없습니다. 학교를 선택해주세요.`);
+                    return;
+                }
+                forgetTenant();
+            }
+            // 처음 접속: 로그인 상태를 한 번 확인해 계정으로 학교를 찾습니다.
+            unsubscribeAuth = onAuthStateChanged(auth, (user) => {
+                unsubscribeAuth();
+                unsubscribeAuth = null;
+                if (user) resolveByAccount(user).catch(handleError);
+                else setState({ status: 'signin' });
+            });
+        };
+        resolve().catch(handleError);
+        return () => { if (unsubscribeAuth) unsubscribeAuth(); };
+    }, [select, showPicker, resolveByAccount]);
+
+    const handleSignIn = async () => {
+        try {
+            const user = await signInWithGoogle('');
+            await resolveByAccount(user);
+        } catch (error) {
+            if (error.code === 'auth/popup-closed-by-user') return;
+            console.error("로그인 실패:", error);
+            setState({ status: 'signin', error: `로그인에 실패했습니다: ${error.message}` });
+        }
+    };
+
+    const handleSwitchTenant = () => {
+        forgetTenant();
+        showPicker();
+    };
+
+    if (state.status === 'ready') {
+        return <App key={state.tenant.id} tenant={state.tenant} onSwitchTenant={state.locked ? null : handleSwitchTenant} />;
+    }
+
+    return (
+        <GateLayout>
+            {state.status === 'resolving' && <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-b-4 border-blue-500 mx-auto"></div>}
+            {state.status === 'signin' && (
+                <>
+                    <p className="text-gray-600">학교 계정으로 로그인하면 소속 학교의 연수 알리미로 이동합니다.</p>
+                    {state.error && <p className="mt-2 text-sm text-red-600">{state.error}</p>}
+                    <button onClick={handleSignIn} className="mt-6 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg transition-colors">Google 계정으로 로그인</button>
+                    <button onClick={() => showPicker()} className="block mx-auto mt-3 text-sm text-gray-500 hover:underline">학교 목록에서 선택</button>
+                </>
+            )}
+            {state.status === 'pick' && <TenantPicker tenants={state.tenants} message={state.message} onSelect={(tenant) => select(tenant)} />}
+            {state.status === 'error' && (
+                <>
+                    <p className="text-red-600">{state.message}</p>
+                    <button onClick={() => window.location.reload()} className="mt-6 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg transition-colors">다시 시도</button>
+                </>
+            )}
+        </GateLayout>
+    );
+};
+
+export default TenantGate;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { AcademicCapIcon } from '@heroicons/react/24/outline';
+import { TRACKER_STATUSES, TRACKER_STATUS_LABELS, defaultCompletedOn } from './tracker';
+
+// --- 게시물 하나에 대한 나의 연수 기록 ---
+// 이수로 표시할 때 이수 시간 기본값은 게시물의 이수 시간(creditHours)입니다.
+const TrackerModal = ({ post, entry, onSave, onRemove, onClose }) => {
+    const [status, setStatus] = useState(entry?.status || 'interested');
+    const [hours, setHours] = useState(String(entry?.hours ?? post.creditHours ?? ''));
+    const [completedOn, setCompletedOn] = useState(entry?.completedOn || defaultCompletedOn(post));
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const parsedHours = hours === '' ? null : Number(hours);
+        if (status === 'completed' && (parsedHours === null || !Number.isFinite(parsedHours) || parsedHours < 0)) {
+            setError('이수 시간을 0 이상의 숫자로 입력해주세요.');
+            return;
+        }
+        if (status === 'completed' && !completedOn) {
+            setError('이수일을 입력해주세요.');
+            return;
+        }
+        setSaving(true);
+        const saved = await onSave(post, { status, hours: parsedHours, completedOn });
+        setSaving(false);
+        if (saved) onClose();
+    };
+
+    const handleRemove = async () => {
+        setSaving(true);
+        const removed = await onRemove(post.id);
+        setSaving(false);
+        if (removed) onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-2xl max-w-md w-full mx-auto">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <AcademicCapIcon className="h-6 w-6 text-blue-500 mr-3 flex-shrink-0" />
+                    <h3 className="text-lg font-bold text-blue-800 truncate">나의 연수 기록</h3>
+                </div>
+                <div className="p-6 space-y-4">
+                    <p className="text-gray-700 text-sm line-clamp-2">{post.summary || '연수 안내'}</p>
+                    <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                        {TRACKER_STATUSES.map(value => (
+                            <button key={value} type="button" onClick={() => { setStatus(value); setError(''); }} className={`flex-1 py-2 font-semibold transition-colors ${status === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>
+                                {TRACKER_STATUS_LABELS[value]}
+                            </button>
+                        ))}
+                    </div>
+                    {status === 'completed' && (
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="tracker-hours" className="block font-semibold text-gray-700 mb-1">이수 시간</label>
+                                <input id="tracker-hours" type="number" min="0" step="any" value={hours} onChange={(e) => { setHours(e.target.value); setError(''); }} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500" />
+                            </div>
+                            <div>
+                                <label htmlFor="tracker-date" className="block font-semibold text-gray-700 mb-1">이수일</label>
+                                <input id="tracker-date" type="date" value={completedOn} onChange={(e) => { setCompletedOn(e.target.value); setError(''); }} className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500" />
+                            </div>
+                        </div>
+                    )}
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    <p className="text-xs text-gray-500">기록은 나만 볼 수 있고, 관리자에게는 신청·이수 여부만 집계됩니다.</p>
+                </div>
+                <div className="flex items-center px-6 pb-4 space-x-2">
+                    {entry && <button type="button" onClick={handleRemove} disabled={saving} className="text-sm text-red-600 hover:underline disabled:opacity-50">기록 지우기</button>}
+                    <div className="flex-grow"></div>
+                    <button type="button" onClick={onClose} disabled={saving} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">취소</button>
+                    <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors disabled:opacity-50">저장</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default TrackerModal;
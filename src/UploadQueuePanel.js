@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { ArrowUpTrayIcon, ArrowPathIcon, CheckCircleIcon, ChevronDownIcon, ChevronUpIcon, ClockIcon, DocumentDuplicateIcon, ExclamationCircleIcon, PencilSquareIcon, SignalSlashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { JOB_STATUS, JOB_STATUS_LABELS } from './useUploadQueue';
+
+const STATUS_STYLES = {
+    queued: 'bg-gray-100 text-gray-600',
+    parsing: 'bg-blue-100 text-blue-700',
+    summarizing: 'bg-blue-100 text-blue-700',
+    duplicate: 'bg-amber-100 text-amber-800',
+    review: 'bg-amber-100 text-amber-800',
+    saved: 'bg-green-100 text-green-700',
+    failed: 'bg-red-100 text-red-700',
+};
+
+const StatusIcon = ({ status }) => {
+    if (status === JOB_STATUS.PARSING || status === JOB_STATUS.SUMMARIZING) {
+        return <div className="animate-spin rounded-full h-4 w-4 border-t-2 border-b-2 border-blue-500 flex-shrink-0"></div>;
+    }
+    if (status === JOB_STATUS.SAVED) return <CheckCircleIcon className="h-4 w-4 text-green-600 flex-shrink-0" />;
+    if (status === JOB_STATUS.FAILED) return <ExclamationCircleIcon className="h-4 w-4 text-red-600 flex-shrink-0" />;
+    if (status === JOB_STATUS.REVIEW) return <PencilSquareIcon className="h-4 w-4 text-amber-600 flex-shrink-0" />;
+    if (status === JOB_STATUS.DUPLICATE) return <DocumentDuplicateIcon className="h-4 w-4 text-amber-600 flex-shrink-0" />;
+    return <ClockIcon className="h-4 w-4 text-gray-400 flex-shrink-0" />;
+};
+
+// --- 화면 오른쪽 아래의 업로드 진행 목록 ---
+// 게시물 목록을 가리지 않도록 접을 수 있고, 검토 대기 중인 파일은 여기서 하나씩 열어 검토합니다.
+const UploadQueuePanel = ({ jobs, online, onReview, onRetry, onSummarizeAnyway, onRemove, onClearFinished }) => {
+    const [collapsed, setCollapsed] = useState(false);
+    if (jobs.length === 0) return null;
+
+    const pendingCount = jobs.filter(job => job.status !== JOB_STATUS.SAVED && job.status !== JOB_STATUS.FAILED).length;
+    const reviewCount = jobs.filter(job => job.status === JOB_STATUS.REVIEW).length;
+    const savedCount = jobs.filter(job => job.status === JOB_STATUS.SAVED).length;
+    const queuedCount = jobs.filter(job => job.status === JOB_STATUS.QUEUED).length;
+
+    return (
+        <div className="fixed bottom-4 right-4 w-96 max-w-[calc(100vw-2rem)] bg-white rounded-xl shadow-2xl border z-30">
+            <div className="flex items-center justify-between px-4 py-3 border-b">
+                <button onClick={() => setCollapsed(!collapsed)} className="flex items-center font-bold text-gray-800">
+                    <ArrowUpTrayIcon className="h-5 w-5 mr-2 text-blue-600" />
+                    업로드 {pendingCount > 0 ? `진행 중 (${pendingCount})` : '완료'}
+                    {reviewCount > 0 && <span className="ml-2 text-xs font-semibold bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full">검토 {reviewCount}</span>}
+                    {collapsed ? <ChevronUpIcon className="h-4 w-4 ml-2" /> : <ChevronDownIcon className="h-4 w-4 ml-2" />}
+                </button>
+                {savedCount > 0 && <button onClick={onClearFinished} className="text-xs text-gray-500 hover:text-gray-800">완료 항목 지우기</button>}
+            </div>
+            {!online && queuedCount > 0 && (
+                <p className="flex items-center px-4 py-2 border-b bg-amber-50 text-xs text-amber-800">
+                    <SignalSlashIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                    오프라인 상태입니다. 대기 중인 파일 {queuedCount}개는 연결되면 이어서 처리합니다.
+                </p>
+            )}
+            {!collapsed && (
+                <ul className="max-h-80 overflow-auto divide-y">
+                    {jobs.map(job => (
+                        <li key={job.id} className="px-4 py-3 text-sm">
+                            <div className="flex items-center">
+                                <StatusIcon status={job.status} />
+                                <span className="ml-2 flex-grow truncate text-gray-800" title={job.file.name}>{job.file.name}</span>
+                                <span className={`ml-2 text-xs font-semibold px-2 py-0.5 rounded-full flex-shrink-0 ${STATUS_STYLES[job.status]}`}>{JOB_STATUS_LABELS[job.status]}</span>
+                            </div>
+                            {(job.message || job.error) && (
+                                <p className={`mt-1 ml-6 text-xs ${job.error ? 'text-red-600' : 'text-gray-500'}`}>{job.error || job.message}</p>
+                            )}
+                            <div className="mt-1 ml-6 flex space-x-3 text-xs">
+                                {job.status === JOB_STATUS.REVIEW && <button onClick={() => onReview(job)} className="font-semibold text-blue-600 hover:underline">검토하기</button>}
+                                {job.status === JOB_STATUS.DUPLICATE && <button onClick={() => onSummarizeAnyway(job.id)} className="font-semibold text-blue-600 hover:underline">그래도 요약하기</button>}
+                                {job.status === JOB_STATUS.FAILED && job.retryable && (
+                                    <button onClick={() => onRetry(job.id)} className="flex items-center font-semibold text-blue-600 hover:underline"><ArrowPathIcon className="h-3 w-3 mr-1" />다시 시도</button>
+                                )}
+                                {job.status !== JOB_STATUS.PARSING && job.status !== JOB_STATUS.SUMMARIZING && (
+                                    <button onClick={() => onRemove(job.id)} className="flex items-center text-gray-500 hover:text-gray-800"><XMarkIcon className="h-3 w-3 mr-1" />{job.status === JOB_STATUS.SAVED ? '닫기' : '취소'}</button>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default UploadQueuePanel;
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, query, orderBy, updateDoc } from 'firebase/firestore';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { dataCollection, dataDoc } from './firebase';
+import { ROLES, ROLE_LABELS } from './auth';
+
+// --- 관리자용 사용자 권한 관리 ---
+const UserRolesModal = ({ currentUid, onClose, onError }) => {
+    const [users, setUsers] = useState([]);
+
+    useEffect(() => {
+        const q = query(dataCollection('users'), orderBy('email'));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setUsers(snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("사용자 목록 수신 실패:", error);
+            onError(`사용자 목록을 불러오는데 실패했습니다: ${error.message}`);
+        });
+        return () => unsubscribe();
+    }, [onError]);
+
+    const handleRoleChange = async (uid, role) => {
+        try {
+            await updateDoc(dataDoc('users', uid), { role });
+        } catch (error) {
+            console.error("권한 변경 실패:", error);
+            onError(`권한 변경 오류: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full mx-auto max-h-[90vh] flex flex-col">
+                <div className="flex items-center p-4 border-b rounded-t-2xl bg-blue-50">
+                    <ShieldCheckIcon className="h-6 w-6 text-blue-500 mr-3" />
+                    <h3 className="text-lg font-bold text-blue-800">사용자 권한 관리</h3>
+                </div>
+                <ul className="flex-grow overflow-auto divide-y">
+                    {users.map(user => (
+                        <li key={user.uid} className="flex items-center justify-between px-6 py-3">
+                            <div className="min-w-0">
+                                <p className="font-semibold text-gray-800 truncate">{user.displayName || user.email}</p>
+                                <p className="text-sm text-gray-500 truncate">{user.email}</p>
+                            </div>
+                            <select
+                                value={user.role}
+                                onChange={(e) => handleRoleChange(user.uid, e.target.value)}
+                                disabled={user.uid === currentUid}
+                                title={user.uid === currentUid ? '자신의 권한은 변경할 수 없습니다.' : undefined}
+                                className="ml-4 px-3 py-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                            >
+                                {ROLES.map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+                            </select>
+                        </li>
+                    ))}
+                </ul>
+                <div className="px-6 py-4 border-t">
+                    <button onClick={onClose} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">닫기</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UserRolesModal;
@@ -0,0 +1,122 @@
+import { runTransaction, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { db, postDoc, dataDoc } from './firebase';
+import { parseApplicationEndDate } from './periodParser';
+import { deletePostPdf } from './attachments';
+import { deleteThread } from './comments';
+import { toActor, changeSourceField } from './audit';
+
+// --- 보관(소프트 삭제) ---
+// 게시물은 지우지 않고 archived 플래그와 보관 시각/보관한 사용자/사유를 남깁니다.
+// archiveReason: 'expired'(신청 마감 후 자동 보관) | 'manual'(사용자가 삭제)
+// 변경 이력은 서버 트리거가 남기고(audit.js), 자동 정리는 changeSource 에 'auto-cleanup' 을 적어 출처를 알립니다.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 관리자가 settings/retention 문서로 조정하는 보관 정책
+// autoArchiveGraceDays: 신청 마감 후 며칠 뒤 자동 보관할지
+// purgeAfterDays: 보관 후 며칠이 지나면 영구 삭제할지 (0 이면 영구 보관)
+export const DEFAULT_RETENTION_POLICY = {
+    autoArchiveGraceDays: 0,
+    purgeAfterDays: 0,
+};
+
+export const retentionSettingsDoc = () => dataDoc('settings', 'retention');
+
+const cleanupLockDoc = () => dataDoc('settings', 'cleanup');
+
+export const isArchived = (post) => post.archived === true;
+
+const removeAttachment = (postId, attachment) => deletePostPdf(attachment)
+    .catch(error => console.error(`ID ${postId} 원본 PDF 삭제 실패:`, error));
+
+// 보관 중에도 원본 PDF 는 그대로 두어 복원하면 원본까지 돌아오게 하고, 파일은 영구 삭제할 때 지웁니다.
+export const archivePost = (postId, user, reason = 'manual') => runTransaction(db, async (transaction) => {
+    const postRef = postDoc(postId);
+    const snapshot = await transaction.get(postRef);
+    if (!snapshot.exists() || isArchived(snapshot.data())) return false;
+    transaction.update(postRef, {
+        archived: true,
+        archiveReason: reason,
+        archivedAt: serverTimestamp(),
+        archivedBy: toActor(user),
+        ...changeSourceField(reason === 'expired' ? 'auto-cleanup' : 'manual'),
+    });
+    return true;
+});
+
+export const restorePost = (postId, user) => runTransaction(db, async (transaction) => {
+    const postRef = postDoc(postId);
+    const snapshot = await transaction.get(postRef);
+    if (!snapshot.exists() || !isArchived(snapshot.data())) return false;
+    transaction.update(postRef, {
+        archived: false,
+        archiveReason: null,
+        archivedAt: null,
+        archivedBy: null,
+        restoredAt: serverTimestamp(),
+        restoredBy: toActor(user),
+    });
+    return true;
+});
+
+// 보관된 게시물만 영구 삭제합니다. 그 사이 다른 사용자가 복원했다면 건너뜁니다.
+// 보관 중에는 댓글과 원본 PDF 를 남겨 두고, 영구 삭제할 때 함께 지웁니다.
+// 문서를 먼저 지우므로 파일 삭제에 실패해도 게시물 상태는 일관됩니다.
+// 영구 삭제 이력에는 게시물 내용을 그대로 남겨 무엇이 지워졌는지 확인할 수 있게 합니다.
+// 삭제 이벤트에는 출처를 실을 수 없으므로, 지우기 직전에 changeSource 를 먼저 적어 둡니다.
+export const purgePost = async (postId, source = 'manual') => {
+    const postRef = postDoc(postId);
+    let attachment = null;
+    const ifStillArchived = (write) => runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(postRef);
+        if (!snapshot.exists() || !isArchived(snapshot.data())) return false;
+        attachment = snapshot.data().attachment || null;
+        write(transaction);
+        return true;
+    });
+    const purged = await ifStillArchived(transaction => transaction.update(postRef, changeSourceField(source)))
+        && await ifStillArchived(transaction => transaction.delete(postRef));
+    if (purged) {
+        await removeAttachment(postId, attachment);
+        await deleteThread(postId).catch(error => console.error(`ID ${postId} 댓글 삭제 실패:`, error));
+    }
+    return purged;
+};
+
+export const isPastGracePeriod = (post, policy, now = new Date()) => {
+    const deadline = parseApplicationEndDate(post.applicationPeriod, post.createdAt?.toDate());
+    return !!deadline && deadline.getTime() + policy.autoArchiveGraceDays * DAY_MS < now.getTime();
+};
+
+export const isPastRetention = (post, policy, now = new Date()) => {
+    if (!policy.purgeAfterDays || !post.archivedAt) return false;
+    return post.archivedAt.toMillis() + policy.purgeAfterDays * DAY_MS < now.getTime();
+};
+
+// 하루 한 번만 정리하도록 settings/cleanup 문서에 실행 시각을 기록합니다.
+// 트랜잭션으로 기록하므로 여러 브라우저가 동시에 시도해도 한 곳에서만 실행됩니다.
+const claimCleanupRun = (user, now) => runTransaction(db, async (transaction) => {
+    const lockRef = cleanupLockDoc();
+    const snapshot = await transaction.get(lockRef);
+    const lastRunAt = snapshot.exists() ? snapshot.data().lastRunAt : null;
+    if (lastRunAt && now.getTime() - lastRunAt.toMillis() < DAY_MS) return false;
+    transaction.set(lockRef, { lastRunAt: Timestamp.fromDate(now), lastRunBy: toActor(user) });
+    return true;
+});
+
+// --- 만료된 게시물 자동 정리 ---
+export const runScheduledCleanup = async (posts, user, policy = DEFAULT_RETENTION_POLICY, now = new Date()) => {
+    if (!(await claimCleanupRun(user, now))) return null;
+
+    const toArchive = posts.filter(post => !isArchived(post) && isPastGracePeriod(post, policy, now));
+    const toPurge = posts.filter(post => isArchived(post) && isPastRetention(post, policy, now));
+
+    const archived = await Promise.all(toArchive.map(post =>
+        archivePost(post.id, user, 'expired').catch(err => { console.error(`ID ${post.id} 보관 실패:`, err); return false; })
+    ));
+    const purged = await Promise.all(toPurge.map(post =>
+        purgePost(post.id, 'auto-cleanup').catch(err => { console.error(`ID ${post.id} 영구 삭제 실패:`, err); return false; })
+    ));
+
+    return { archived: archived.filter(Boolean).length, purged: purged.filter(Boolean).length };
+};
@@ -0,0 +1,35 @@
+import { ref, uploadBytes, deleteObject, getBytes, getDownloadURL } from 'firebase/storage';
+import { appId, storage } from './firebase';
+
+// --- 원본 PDF 첨부 ---
+// 게시물마다 artifacts/{appId}/training_posts/{postId}/original.pdf 에 원본 공문을 보관합니다.
+
+// 업로드 가능한 PDF 최대 크기. 실제 상한은 storage.rules 의 20MB 이고, REACT_APP_MAX_PDF_SIZE_MB 로는 그보다 작게만 줄일 수 있습니다.
+const STORAGE_RULES_MAX_PDF_SIZE_MB = 20;
+export const MAX_PDF_SIZE_MB = Math.min(parseInt(process.env.REACT_APP_MAX_PDF_SIZE_MB, 10) || STORAGE_RULES_MAX_PDF_SIZE_MB, STORAGE_RULES_MAX_PDF_SIZE_MB);
+export const MAX_PDF_BYTES = MAX_PDF_SIZE_MB * 1024 * 1024;
+
+const attachmentPath = (postId) => `artifacts/${appId}/training_posts/${postId}/original.pdf`;
+
+export const uploadPostPdf = async (postId, file) => {
+    const path = attachmentPath(postId);
+    await uploadBytes(ref(storage, path), file, {
+        contentType: 'application/pdf',
+        customMetadata: { originalName: file.name },
+    });
+    return { path, name: file.name, size: file.size, contentType: 'application/pdf' };
+};
+
+// 파일이 이미 없으면(다른 관리자가 먼저 정리한 경우 등) 조용히 넘어갑니다.
+export const deletePostPdf = async (attachment) => {
+    if (!attachment?.path) return;
+    try {
+        await deleteObject(ref(storage, attachment.path));
+    } catch (error) {
+        if (error.code !== 'storage/object-not-found') throw error;
+    }
+};
+
+export const loadPostPdf = (attachment) => getBytes(ref(storage, attachment.path), MAX_PDF_BYTES);
+
+export const getPostPdfUrl = (attachment) => getDownloadURL(ref(storage, attachment.path));
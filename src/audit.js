@@ -0,0 +1,43 @@
+import { serverTimestamp } from 'firebase/firestore';
+import { dataCollection } from './firebase';
+import { SUMMARY_FIELD_LABELS } from './summarizers/schema';
+
+// --- 게시물 변경 이력 (감사 로그) ---
+// 이력은 Cloud Functions 의 auditPostChanges 가 게시물 문서 변경을 보고 public/data/audit_log 에 남깁니다.
+// 앱은 이력을 직접 쓸 수 없고(보안 규칙), 게시물을 쓸 때 changeSourceField 로 변경 출처만 함께 적습니다.
+// 항목: { action, source, postId, postTitle, actor: { uid, name }, before, after, createdAt }
+//   before/after 에는 바뀐 필드만 담습니다. 생성은 after 만, 영구 삭제는 before 만 있습니다.
+// 항목을 만드는 규칙은 auditDiff.js 에 있습니다.
+
+export { AUDIT_ACTIONS, AUDIT_SOURCES, AUDITED_FIELDS, pickAuditedFields, diffAuditedFields } from './auditDiff';
+
+export const AUDIT_ACTION_LABELS = {
+    create: '등록',
+    update: '수정',
+    archive: '보관',
+    restore: '복원',
+    delete: '영구 삭제',
+};
+
+export const AUDIT_SOURCE_LABELS = {
+    manual: '직접',
+    'ai-extraction': 'AI 추출',
+    'auto-cleanup': '자동 정리',
+    migration: '스키마 보정',
+};
+
+export const AUDIT_FIELD_LABELS = {
+    ...SUMMARY_FIELD_LABELS,
+    attachment: '원본 PDF',
+    pinnedCommentId: '고정 답변',
+    archived: '보관',
+    archiveReason: '보관 사유',
+    audienceSchools: '게시 학교',
+};
+
+export const auditCollection = () => dataCollection('audit_log');
+
+export const toActor = (user) => ({ uid: user.uid, name: user.displayName || user.email || '' });
+
+// 게시물 쓰기에 섞어 넣으면 이번 변경의 출처를 이력에 남깁니다. 직접 수정(manual)은 넣지 않아도 됩니다.
+export const changeSourceField = (source) => ({ changeSource: { source, at: serverTimestamp() } });
@@ -0,0 +1,62 @@
+import { SUMMARY_FIELDS } from './summarizers/schema.js';
+
+// --- 게시물 변경 이력 항목 만들기 ---
+// 앱(audit.js)과 Cloud Functions(functions/index.js 의 auditPostChanges)가 함께 씁니다.
+// 이력은 게시물 문서가 바뀔 때 서버 트리거가 바뀌기 전·후 문서를 비교해 남깁니다.
+// 앱은 게시물을 쓸 때 changeSource 에 { source, at } 를 함께 적어 변경 출처만 알려 줍니다.
+// 이번 쓰기에서 changeSource 가 바뀌지 않았으면 사용자가 직접 고친 것(manual)으로 봅니다.
+
+export const AUDIT_ACTIONS = ['create', 'update', 'archive', 'restore', 'delete'];
+
+// manual: 사용자가 직접, ai-extraction: PDF 에서 AI 로 추출한 내용으로(업로드·병합·교체),
+// auto-cleanup: 만료 게시물 자동 정리, migration: 스키마 보정
+export const AUDIT_SOURCES = ['manual', 'ai-extraction', 'auto-cleanup', 'migration'];
+
+// 댓글 수(commentCount)처럼 누구나 바꾸는 집계 값은 기록하지 않습니다.
+export const AUDITED_FIELDS = [...SUMMARY_FIELDS, 'attachment', 'pinnedCommentId', 'archived', 'archiveReason', 'audienceSchools'];
+
+// Firestore 는 undefined 를 저장하지 못하므로 없는 값은 null 로 남깁니다.
+const toStoredValue = (value) => (value === undefined ? null : value);
+
+// 빈 문자열과 값 없음은 같은 것으로 봅니다. (마이그레이션·수정 화면이 빈 필드를 '' 로 채웁니다)
+const toComparable = (value) => (value === undefined || value === '' ? null : value);
+
+export const pickAuditedFields = (data = {}) => AUDITED_FIELDS.reduce((acc, field) => {
+    if (data[field] !== undefined) acc[field] = data[field];
+    return acc;
+}, {});
+
+// changes 에 들어 있는 감사 대상 필드 중 값이 실제로 바뀐 것만 { before, after } 로 돌려줍니다.
+export const diffAuditedFields = (before = {}, changes = {}) => AUDITED_FIELDS.reduce((acc, field) => {
+    if (!(field in changes)) return acc;
+    if (JSON.stringify(toComparable(before[field])) === JSON.stringify(toComparable(changes[field]))) return acc;
+    acc.before[field] = toStoredValue(before[field]);
+    acc.after[field] = toStoredValue(changes[field]);
+    return acc;
+}, { before: {}, after: {} });
+
+const sourceOf = (changeSource) => (AUDIT_SOURCES.includes(changeSource?.source) ? changeSource.source : 'manual');
+
+// 영구 삭제는 삭제 직전에 적어 둔 출처를 씁니다. (archive.js 의 purgePost)
+const writeSource = (before, after) => {
+    if (!after) return sourceOf(before.changeSource);
+    const changed = !before || JSON.stringify(before.changeSource) !== JSON.stringify(after.changeSource);
+    return changed ? sourceOf(after.changeSource) : 'manual';
+};
+
+// 바뀌기 전·후 문서(없으면 null)로 이력 항목을 만듭니다. 감사 대상 필드가 그대로인 수정이면 null 입니다.
+// 항목: { action, source, postTitle, before, after } (postId, actor, createdAt 은 트리거가 채웁니다)
+export const buildAuditEntry = (before, after) => {
+    const postTitle = (after || before).summary || '';
+    const source = writeSource(before, after);
+    if (!before) return { action: 'create', source, postTitle, before: null, after: pickAuditedFields(after) };
+    if (!after) return { action: 'delete', source, postTitle, before: pickAuditedFields(before), after: null };
+
+    const current = AUDITED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: after[field] }), {});
+    const diff = diffAuditedFields(before, current);
+    const wasArchived = before.archived === true;
+    const isArchived = after.archived === true;
+    if (wasArchived !== isArchived) return { action: isArchived ? 'archive' : 'restore', source, postTitle, ...diff };
+    if (Object.keys(diff.after).length === 0) return null;
+    return { action: 'update', source, postTitle, ...diff };
+};
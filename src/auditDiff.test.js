@@ -0,0 +1,49 @@
+import { buildAuditEntry } from './auditDiff';
+
+const post = (extra = {}) => ({ summary: '2024 디지털 교육 연수', authorId: 'uploader', archived: false, ...extra });
+const source = (name, at) => ({ source: name, at });
+
+describe('buildAuditEntry', () => {
+    test('새 게시물은 감사 대상 필드만 after 에 담습니다', () => {
+        const entry = buildAuditEntry(null, post({ commentCount: 0, changeSource: source('ai-extraction', 1) }));
+        expect(entry).toEqual({
+            action: 'create',
+            source: 'ai-extraction',
+            postTitle: '2024 디지털 교육 연수',
+            before: null,
+            after: { summary: '2024 디지털 교육 연수', archived: false },
+        });
+    });
+
+    test('바뀐 필드만 before/after 에 담고, 집계 값만 바뀌면 남기지 않습니다', () => {
+        const before = post({ applicationPeriod: '6. 3. ~ 6. 12.', commentCount: 1 });
+        expect(buildAuditEntry(before, { ...before, applicationPeriod: '6. 3. ~ 6. 14.' })).toMatchObject({
+            action: 'update',
+            before: { applicationPeriod: '6. 3. ~ 6. 12.' },
+            after: { applicationPeriod: '6. 3. ~ 6. 14.' },
+        });
+        expect(buildAuditEntry(before, { ...before, commentCount: 2 })).toBeNull();
+    });
+
+    test('이번 쓰기에서 changeSource 가 바뀌지 않았으면 직접 수정으로 봅니다', () => {
+        const before = post({ changeSource: source('ai-extraction', 1) });
+        expect(buildAuditEntry(before, { ...before, summary: '변경' }).source).toBe('manual');
+        expect(buildAuditEntry(before, { ...before, summary: '변경', changeSource: source('migration', 2) }).source).toBe('migration');
+    });
+
+    test('알 수 없는 출처는 직접 수정으로 남깁니다', () => {
+        expect(buildAuditEntry(null, post({ changeSource: source('forged', 1) })).source).toBe('manual');
+    });
+
+    test('보관과 복원을 구분합니다', () => {
+        const archived = post({ archived: true, archiveReason: 'expired', changeSource: source('auto-cleanup', 1) });
+        expect(buildAuditEntry(post(), archived)).toMatchObject({ action: 'archive', source: 'auto-cleanup' });
+        expect(buildAuditEntry(archived, { ...archived, archived: false, archiveReason: null })).toMatchObject({ action: 'restore', source: 'manual' });
+    });
+
+    test('영구 삭제는 지우기 직전에 적어 둔 출처와 지워진 내용을 남깁니다', () => {
+        const entry = buildAuditEntry(post({ archived: true, changeSource: source('auto-cleanup', 1) }), null);
+        expect(entry).toMatchObject({ action: 'delete', source: 'auto-cleanup', after: null });
+        expect(entry.before).toEqual({ summary: '2024 디지털 교육 연수', archived: true });
+    });
+});
@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { GoogleAuthProvider, signInWithPopup, signOut as firebaseSignOut, onAuthStateChanged } from 'firebase/auth';
+import { getDoc, setDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { auth, dataDoc } from './firebase';
+
+// --- 역할(권한) ---
+// viewer: 열람만 가능, uploader: 게시물 등록 및 본인 게시물 수정/삭제, admin: 모든 게시물 관리와 권한 부여
+export const ROLES = ['viewer', 'uploader', 'admin'];
+
+export const ROLE_LABELS = {
+    viewer: '열람자',
+    uploader: '업로더',
+    admin: '관리자',
+};
+
+export const isAdmin = (profile) => profile?.role === 'admin';
+
+export const canUpload = (profile) => profile?.role === 'uploader' || isAdmin(profile);
+
+// 작성자 본인(업로더 권한 유지 시) 또는 관리자만 게시물을 수정/삭제할 수 있습니다.
+export const canModifyPost = (profile, post) => {
+    if (!profile || !post) return false;
+    if (isAdmin(profile)) return true;
+    return canUpload(profile) && !!post.authorId && post.authorId === profile.uid;
+};
+
+// --- 학교 도메인 제한 ---
+// 학교 등록 문서(tenants/{appId})의 emailDomain 도메인 Google 계정만 사용할 수 있습니다. (tenant.js 의 schoolDomainOf)
+// 보안 규칙도 같은 값으로 가입을 막습니다. REACT_APP_SCHOOL_DOMAIN 은 그 문서가 없는 한 학교 배포의 예비 값입니다.
+export const SCHOOL_DOMAIN = process.env.REACT_APP_SCHOOL_DOMAIN || '';
+
+export const isSchoolAccount = (user, domain = SCHOOL_DOMAIN) => {
+    if (!user || user.isAnonymous || !user.email) return false;
+    if (!domain) return true;
+    return user.emailVerified && user.email.toLowerCase().endsWith(`@${domain.toLowerCase()}`);
+};
+
+export class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+export const signInWithGoogle = async (domain = SCHOOL_DOMAIN) => {
+    const provider = new GoogleAuthProvider();
+    if (domain) provider.setCustomParameters({ hd: domain, prompt: 'select_account' });
+    const { user } = await signInWithPopup(auth, provider);
+    if (!isSchoolAccount(user, domain)) {
+        await firebaseSignOut(auth);
+        throw new AuthError(`${domain} 학교 계정으로만 로그인할 수 있습니다.`);
+    }
+    return user;
+};
+
+export const signOut = () => firebaseSignOut(auth);
+
+// 처음 로그인한 사용자는 viewer 로 등록하고, 이후에는 역할을 건드리지 않고 접속 정보만 갱신합니다.
+const ensureUserProfile = async (user) => {
+    const profileRef = dataDoc('users', user.uid);
+    const snapshot = await getDoc(profileRef);
+    const info = { email: user.email, displayName: user.displayName || '', lastLoginAt: serverTimestamp() };
+    if (snapshot.exists()) {
+        await setDoc(profileRef, info, { merge: true });
+    } else {
+        await setDoc(profileRef, { ...info, role: 'viewer', createdAt: serverTimestamp() });
+    }
+};
+
+// --- 인증 상태 훅 ---
+// user: Firebase 사용자, profile: { uid, email, displayName, role }
+export const useAuth = ({ domain = SCHOOL_DOMAIN } = {}) => {
+    const [user, setUser] = useState(null);
+    const [profile, setProfile] = useState(null);
+    const [authReady, setAuthReady] = useState(false);
+    const [authError, setAuthError] = useState(null);
+
+    useEffect(() => {
+        const unsubscribeAuth = onAuthStateChanged(auth, async (currentUser) => {
+            if (currentUser && !isSchoolAccount(currentUser, domain)) {
+                await firebaseSignOut(auth);
+                return;
+            }
+            setUser(currentUser);
+            if (!currentUser) {
+                setProfile(null);
+                setAuthReady(true);
+                return;
+            }
+            try {
+                await ensureUserProfile(currentUser);
+            } catch (error) {
+                console.error("사용자 정보 등록 실패:", error);
+                setAuthError(error);
+                setAuthReady(true);
+            }
+        });
+        return () => unsubscribeAuth();
+    }, [domain]);
+
+    useEffect(() => {
+        if (!user) return;
+        const unsubscribeProfile = onSnapshot(dataDoc('users', user.uid), (snapshot) => {
+            if (snapshot.exists()) {
+                setProfile({ uid: user.uid, ...snapshot.data() });
+                setAuthReady(true);
+            }
+        }, (error) => {
+            console.error("사용자 권한 조회 실패:", error);
+            setAuthError(error);
+            setAuthReady(true);
+        });
+        return () => unsubscribeProfile();
+    }, [user]);
+
+    return { user, profile, authReady, authError };
+};
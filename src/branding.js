@@ -0,0 +1,24 @@
+import { dataDoc } from './firebase';
+
+// --- 학교별 화면 꾸미기 ---
+// settings/branding: { title, logoUrl, themeColor } — 학교 관리자가 바꿉니다.
+// 제목이 없으면 학교 이름으로 "OO학교 연수 알리미" 를 만들고, 한 학교만 쓰는 배포는 REACT_APP_SITE_TITLE 을 씁니다.
+// 예전 제목(용강중학교 연수 알리미)을 쓰던 배포는 REACT_APP_SITE_TITLE 에 그 제목을 넣습니다. (.env.example 참고)
+
+export const DEFAULT_SITE_TITLE = process.env.REACT_APP_SITE_TITLE || '연수 알리미';
+export const DEFAULT_THEME_COLOR = '#2563eb';
+
+export const brandingDoc = () => dataDoc('settings', 'branding');
+
+export const DEFAULT_BRANDING = {
+    title: '',
+    logoUrl: '',
+    themeColor: DEFAULT_THEME_COLOR,
+};
+
+export const appTitle = (tenant, branding) => {
+    if (branding?.title) return branding.title;
+    return tenant?.name ? `${tenant.name} 연수 알리미` : DEFAULT_SITE_TITLE;
+};
+
+export const isHexColor = (value) => /^#[0-9a-f]{6}$/i.test(value || '');
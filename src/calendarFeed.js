@@ -0,0 +1,33 @@
+import { getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { appId, userDoc } from './firebase';
+
+// --- 캘린더 구독 주소 ---
+// 캘린더 앱은 로그인할 수 없으므로, 사용자마다 비밀 토큰을 만들어 구독 주소에 넣습니다.
+// 토큰은 본인만 읽을 수 있는 users/{uid}/settings/calendarFeed 에 두고, calendarFeed 함수가 같은 문서와 비교합니다.
+// 주소가 새어 나가면 토큰을 다시 만들어 이전 주소를 막습니다.
+
+export const feedTokenDoc = (uid) => userDoc(uid, 'settings', 'calendarFeed');
+
+const createFeedToken = () => {
+    const bytes = new Uint8Array(24);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const resetFeedToken = async (uid) => {
+    const token = createFeedToken();
+    await setDoc(feedTokenDoc(uid), { token, createdAt: serverTimestamp() });
+    return token;
+};
+
+export const loadOrCreateFeedToken = async (uid) => {
+    const snapshot = await getDoc(feedTokenDoc(uid));
+    return snapshot.exists() && snapshot.data().token ? snapshot.data().token : resetFeedToken(uid);
+};
+
+// Firebase Hosting 의 /calendar.ics 는 functions/index.js 의 calendarFeed 로 연결됩니다.
+export const calendarFeedUrl = ({ uid, token, target }) => {
+    const params = new URLSearchParams({ app: appId, uid, token });
+    if (target) params.set('target', target);
+    return `${window.location.origin}/calendar.ics?${params.toString()}`;
+};
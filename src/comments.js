@@ -0,0 +1,80 @@
+import { collection, doc, getDocs, updateDoc, writeBatch, serverTimestamp, increment } from 'firebase/firestore';
+import { db, postDoc } from './firebase';
+
+// --- 게시물 질문·댓글 ---
+// 댓글은 training_posts/{postId}/comments/{commentId} 에 두고, 카드에 보여줄 개수는 게시물의 commentCount 로 함께 셉니다.
+// 답글은 한 단계만 둡니다. (답글에 다시 답하면 같은 댓글 아래에 붙습니다)
+// 답글이 달린 댓글도 지울 수 있도록 삭제는 deleted 플래그로 하고, 게시물을 영구 삭제할 때 스레드 전체를 지웁니다.
+// 보안 규칙이 commentCount 변경을 실제 댓글 추가·삭제와 맞춰 볼 수 있도록, 같은 배치에서 게시물의 lastCommentId 에 댓글 ID 를 적습니다.
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+export const commentsCollection = (postId) => collection(postDoc(postId), 'comments');
+export const commentDoc = (postId, commentId) => doc(postDoc(postId), 'comments', commentId);
+
+const BATCH_LIMIT = 500;
+
+// 쓰기 Promise 를 돌려주므로 호출하는 쪽에서 오프라인 대기(waitForWrite)를 판단합니다.
+export const addComment = (postId, user, text, parentId = null) => {
+    const batch = writeBatch(db);
+    const commentRef = doc(commentsCollection(postId));
+    batch.set(commentRef, {
+        text,
+        parentId,
+        authorId: user.uid,
+        authorName: user.displayName || user.email || '',
+        deleted: false,
+        createdAt: serverTimestamp(),
+    });
+    batch.update(postDoc(postId), { commentCount: increment(1), lastCommentId: commentRef.id });
+    return batch.commit();
+};
+
+// 고정된 답변을 지우면 고정도 함께 해제합니다.
+export const deleteComment = (post, commentId, user) => {
+    const batch = writeBatch(db);
+    batch.update(commentDoc(post.id, commentId), {
+        deleted: true,
+        text: '',
+        deletedAt: serverTimestamp(),
+        deletedBy: user.uid,
+    });
+    const unpin = post.pinnedCommentId === commentId;
+    batch.update(postDoc(post.id), { commentCount: increment(-1), lastCommentId: commentId, ...(unpin ? { pinnedCommentId: null } : {}) });
+    return batch.commit();
+};
+
+// 게시물마다 답변 하나만 고정합니다. commentId 가 null 이면 고정을 해제합니다.
+export const setPinnedComment = (postId, commentId) => updateDoc(postDoc(postId), { pinnedCommentId: commentId });
+
+// 게시물을 영구 삭제한 뒤 남은 댓글을 지웁니다. (Firestore 는 하위 컬렉션을 함께 지우지 않습니다)
+export const deleteThread = async (postId) => {
+    const snapshot = await getDocs(commentsCollection(postId));
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        snapshot.docs.slice(i, i + BATCH_LIMIT).forEach(comment => batch.delete(comment.ref));
+        await batch.commit();
+    }
+    return snapshot.size;
+};
+
+// 댓글 목록을 [{ comment, replies }] 스레드로 묶습니다. 지운 댓글은 답글이 남아 있을 때만 자리를 지킵니다.
+export const buildThreads = (comments) => {
+    const byTime = (a, b) => (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0);
+    const repliesByParent = comments
+        .filter(comment => comment.parentId && !comment.deleted)
+        .reduce((acc, reply) => {
+            (acc[reply.parentId] = acc[reply.parentId] || []).push(reply);
+            return acc;
+        }, {});
+    return comments
+        .filter(comment => !comment.parentId)
+        .sort(byTime)
+        .map(comment => ({ comment, replies: (repliesByParent[comment.id] || []).sort(byTime) }))
+        .filter(({ comment, replies }) => !comment.deleted || replies.length > 0);
+};
+
+export const findPinnedComment = (post, comments) => {
+    if (!post.pinnedCommentId) return null;
+    return comments.find(comment => comment.id === post.pinnedCommentId && !comment.deleted) || null;
+};
@@ -0,0 +1,28 @@
+import { setDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './firebase';
+
+// --- 교육청 공지 피드 ---
+// 교육청도 하나의 테넌트(kind: 'district')로 두고, 교육청 게시물의 audienceSchools 에 받을 학교 appId 를 적습니다.
+// 같은 교육청(districtId)에 속한 학교는 자기 appId 가 들어 있는 교육청 게시물을 자기 게시물과 함께 보여줍니다.
+// 교육청 게시물은 교육청 구성원만 읽을 수 있으므로, Cloud Functions 의 distributeDistrictPost 가 받는 학교마다
+// public/data/district_posts 에 사본(원본 PDF 포함)을 만들고, 학교는 그 사본을 읽습니다.
+// 학교 관리자는 settings/districtFeed 에서 피드를 끄거나(enabled), 공지를 우리 학교에서만 숨길(hiddenPostIds) 수 있습니다.
+
+export const DEFAULT_DISTRICT_FEED_SETTINGS = {
+    enabled: true,
+    hiddenPostIds: [],
+};
+
+export const districtFeedSettingsDoc = () => dataDoc('settings', 'districtFeed');
+
+export const districtPostsCollection = () => dataCollection('district_posts');
+
+export const isDistrictPost = (post) => !!post.districtId;
+
+export const setDistrictFeedEnabled = (enabled) => setDoc(districtFeedSettingsDoc(), { enabled }, { merge: true });
+
+export const setDistrictPostHidden = (postId, hidden) => setDoc(
+    districtFeedSettingsDoc(),
+    { hiddenPostIds: hidden ? arrayUnion(postId) : arrayRemove(postId) },
+    { merge: true }
+);
@@ -0,0 +1,82 @@
+import { parseApplicationEndDate } from './periodParser';
+import { SUMMARY_FIELDS, isEmptyFieldValue } from './summarizers/schema';
+
+// --- 중복 공문 감지 ---
+// 1) PDF 파일 내용의 SHA-256 해시가 같으면 같은 공문으로 봅니다.
+// 2) 해시가 달라도(다른 경로로 받은 스캔본 등) 요약/대상/기간이 충분히 비슷하면 중복 후보로 보여줍니다.
+
+export const SIMILARITY_THRESHOLD = 0.75;
+
+const FIELD_WEIGHTS = {
+    summary: 0.5,
+    target: 0.2,
+    applicationPeriod: 0.15,
+    trainingPeriod: 0.15,
+};
+
+export const hashPdf = async (arrayBuffer) => {
+    const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// 띄어쓰기와 문장부호 차이를 무시하도록 글자와 숫자만 남깁니다.
+const normalizeText = (text) => (text || '').toLowerCase().replace(/[^0-9a-z가-힣]/g, '');
+
+const bigrams = (text) => {
+    const grams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const gram = text.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+};
+
+// 글자 2-gram 기반 Dice 계수 (0~1). 한글은 형태소 분석 없이도 어순/조사 차이에 강합니다.
+export const textSimilarity = (a, b) => {
+    const textA = normalizeText(a);
+    const textB = normalizeText(b);
+    if (!textA && !textB) return 1;
+    if (!textA || !textB) return 0;
+    if (textA === textB) return 1;
+    if (textA.length < 2 || textB.length < 2) return 0;
+
+    const gramsA = bigrams(textA);
+    const gramsB = bigrams(textB);
+    let overlap = 0;
+    gramsA.forEach((count, gram) => { overlap += Math.min(count, gramsB.get(gram) || 0); });
+    return (2 * overlap) / (textA.length - 1 + textB.length - 1);
+};
+
+const sameDeadline = (a, b) => {
+    const deadlineA = parseApplicationEndDate(a.applicationPeriod, a.createdAt?.toDate());
+    const deadlineB = parseApplicationEndDate(b.applicationPeriod, b.createdAt?.toDate());
+    return !!deadlineA && !!deadlineB && deadlineA.getTime() === deadlineB.getTime();
+};
+
+export const postSimilarity = (fields, post) => {
+    const score = Object.entries(FIELD_WEIGHTS).reduce((sum, [field, weight]) => (
+        sum + weight * textSimilarity(fields[field], post[field])
+    ), 0);
+    // 신청 마감일이 같으면 기간 표기가 달라도 같은 일정으로 봅니다.
+    return sameDeadline(fields, post) ? Math.min(1, score + FIELD_WEIGHTS.applicationPeriod) : score;
+};
+
+export const postContentHashes = (post) => post.contentHashes || [];
+
+// 같은 PDF 파일(해시)이 이미 붙어 있는 게시물. 업로드 대기열이 요약 전에 확인합니다.
+export const findPostsWithHash = (contentHash, posts) => posts.filter(post => postContentHashes(post).includes(contentHash));
+
+// 중복 후보를 유사도 높은 순으로 돌려줍니다. reason: 'hash' | 'similar'
+export const findDuplicateCandidates = (fields, contentHash, posts) => posts
+    .map(post => {
+        if (contentHash && postContentHashes(post).includes(contentHash)) return { post, reason: 'hash', score: 1 };
+        return { post, reason: 'similar', score: postSimilarity(fields, post) };
+    })
+    .filter(({ reason, score }) => reason === 'hash' || score >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+// 병합: 기존 게시물 값을 유지하고 비어 있는 필드만 새 값으로 채웁니다.
+export const mergeFields = (existing, incoming) => SUMMARY_FIELDS.reduce((acc, field) => {
+    acc[field] = isEmptyFieldValue(existing[field]) ? incoming[field] : existing[field];
+    return acc;
+}, {});
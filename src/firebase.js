@@ -0,0 +1,44 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, collection, doc } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+
+// --- Firebase 설정 ---
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+export const DEFAULT_APP_ID = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+// 학교(테넌트)마다 artifacts/{appId} 아래에 데이터를 나눠 둡니다.
+// 한 학교만 쓰면 DEFAULT_APP_ID 그대로이고, 여러 학교를 쓰면 TenantGate 가 학교를 정한 뒤 앱을 그리기 전에 setAppId 로 바꿉니다.
+export let appId = DEFAULT_APP_ID;
+export const setAppId = (id) => { appId = id; };
+
+const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+// 마지막으로 받은 데이터를 IndexedDB 에 보관해 오프라인에서도 게시물을 보여주고, 오프라인에서 한 수정은 연결되면 전송합니다.
+// 여러 탭을 열어도 같은 캐시를 나눠 씁니다.
+export const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+export const storage = getStorage(app);
+
+// REACT_APP_USE_EMULATORS=true 이면 로컬 Firebase 에뮬레이터(firebase.json)에 연결합니다.
+if (process.env.REACT_APP_USE_EMULATORS === 'true') {
+    connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, 'localhost', 8080);
+    connectStorageEmulator(storage, 'localhost', 9199);
+}
+
+// --- Firestore 경로 헬퍼 ---
+// 학교 목록(테넌트 등록부)은 학교를 고르기 전에 읽어야 하므로 artifacts 밖에 둡니다.
+export const tenantsCollection = () => collection(db, 'tenants');
+export const tenantDoc = (tenantId) => doc(db, 'tenants', tenantId);
+
+export const dataCollection = (name) => collection(db, 'artifacts', appId, 'public', 'data', name);
+export const dataDoc = (name, id) => doc(db, 'artifacts', appId, 'public', 'data', name, id);
+
+export const postsCollection = () => dataCollection('training_posts');
+export const postDoc = (postId) => dataDoc('training_posts', postId);
+
+// 사용자별 개인 데이터: artifacts/{appId}/users/{uid}/...
+export const userCollection = (uid, name) => collection(db, 'artifacts', appId, 'users', uid, name);
+export const userDoc = (uid, name, id) => doc(db, 'artifacts', appId, 'users', uid, name, id);
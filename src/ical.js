@@ -0,0 +1,134 @@
+// --- iCalendar(.ics) 생성 ---
+// 브라우저의 게시물별 .ics 다운로드와 Cloud Functions 의 구독용 피드(functions/index.js)가 함께 사용합니다.
+// Functions 배포 시 이 파일과 periodParser.js 를 그대로 복사해 쓰므로 다른 모듈을 import 하지 않습니다.
+import { parsePeriod } from './periodParser.js';
+
+const PRODID = '-//Yonggang Training Notice//KO';
+
+// 게시물 ID 와 이벤트 종류로 만든 고정 UID: 수정/삭제가 구독한 캘린더에 그대로 반영됩니다.
+export const eventUid = (appId, postId, kind) => `${postId}-${kind}@${appId}.training-notice`;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+const formatUtc = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const hasTime = (date) => !(date.getHours() === 0 && date.getMinutes() === 0) && !(date.getHours() === 23 && date.getMinutes() === 59);
+
+const escapeText = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// RFC 5545: 한 줄은 75바이트(UTF-8)를 넘지 않도록 접습니다. 한글이 잘리지 않게 글자 단위로 셉니다.
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const toMillis = (timestamp) => (timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : null);
+
+const buildEvent = ({ uid, summary, description, location, start, end, allDay, stamp, sequence }) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatUtc(stamp)}`,
+        `SEQUENCE:${sequence}`,
+    ];
+    if (allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(addDays(end, 1))}`);
+    } else {
+        lines.push(`DTSTART:${formatUtc(start)}`, `DTEND:${formatUtc(end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+};
+
+// 게시물 하나를 신청 마감 이벤트와 연수 기간 이벤트(차수별)로 나눕니다.
+export const buildPostEvents = (post, { appId, now = new Date() }) => {
+    const referenceDate = post.createdAt?.toDate ? post.createdAt.toDate() : now;
+    const updatedMs = toMillis(post.updatedAt) || toMillis(post.createdAt) || now.getTime();
+    const stamp = new Date(updatedMs);
+    const sequence = Math.floor(updatedMs / 1000) % 2147483647;
+    const title = post.summary || '연수 안내';
+    const description = [
+        post.target && `대상: ${post.target}`,
+        post.applicationPeriod && `신청 기간: ${post.applicationPeriod}`,
+        post.trainingPeriod && `연수 기간: ${post.trainingPeriod}`,
+        post.organizer && `주관: ${post.organizer}`,
+        post.applicationUrl && `신청: ${post.applicationUrl}`,
+    ].filter(Boolean).join('\n');
+
+    const events = [];
+    const application = parsePeriod(post.applicationPeriod, { referenceDate });
+    if (application.end) {
+        const timeNote = hasTime(application.end) ? ` (${pad(application.end.getHours())}:${pad(application.end.getMinutes())}까지)` : '';
+        events.push(buildEvent({
+            uid: eventUid(appId, post.id, 'application'),
+            summary: `[신청 마감] ${title}${timeNote}`,
+            description,
+            start: application.end,
+            end: application.end,
+            allDay: true,
+            stamp,
+            sequence,
+        }));
+    }
+
+    const training = parsePeriod(post.trainingPeriod, { referenceDate });
+    training.rounds.forEach((round, i) => {
+        const allDay = !hasTime(round.start);
+        events.push(buildEvent({
+            uid: eventUid(appId, post.id, training.rounds.length > 1 ? `training-${i + 1}` : 'training'),
+            summary: `[연수] ${title}${round.label ? ` (${round.label})` : ''}`,
+            description,
+            location: post.location,
+            start: round.start,
+            end: allDay || round.end > round.start ? round.end : new Date(round.start.getTime() + 60 * 60 * 1000),
+            allDay,
+            stamp,
+            sequence,
+        }));
+    });
+    return events;
+};
+
+// 보관(삭제)된 게시물은 넣지 않으므로, 구독한 캘린더에서도 다음 새로고침 때 사라집니다.
+export const buildCalendar = (posts, { appId, name = '연수 알리미', now = new Date() }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'X-WR-TIMEZONE:Asia/Seoul',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'X-PUBLISHED-TTL:PT6H',
+        ...posts.filter(post => post.archived !== true).flatMap(post => buildPostEvents(post, { appId, now }).flat()),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
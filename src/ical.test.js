@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+import { buildCalendar, buildPostEvents, eventUid } from './ical';
+
+// Firestore Timestamp 대신 쓰는 값
+const timestamp = (date) => ({ toDate: () => date, toMillis: () => date.getTime() });
+
+const post = (extra = {}) => ({
+    id: 'post-1',
+    summary: '2024 디지털 교육 연수',
+    applicationPeriod: '2024. 6. 3. ~ 2024. 6. 14.',
+    trainingPeriod: '2024. 7. 1. ~ 2024. 7. 3.',
+    createdAt: timestamp(new Date(2024, 5, 1)),
+    ...extra,
+});
+
+// 접힌 줄을 다시 펴서 한 줄씩 돌려줍니다.
+const unfoldedLines = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+const eventLines = (lines, uid) => {
+    const start = lines.indexOf(`UID:${uid}`);
+    return lines.slice(start, lines.indexOf('END:VEVENT', start));
+};
+
+describe('buildPostEvents', () => {
+    test('다시 만들어도 UID 가 그대로입니다', () => {
+        const first = buildCalendar([post()], { appId: 'school', now: new Date(2024, 5, 1) });
+        const second = buildCalendar([post({ summary: '제목 변경', updatedAt: timestamp(new Date(2024, 5, 2)) })], { appId: 'school', now: new Date(2024, 5, 5) });
+        const uids = (ics) => unfoldedLines(ics).filter(line => line.startsWith('UID:'));
+
+        expect(uids(first)).toEqual([
+            `UID:${eventUid('school', 'post-1', 'application')}`,
+            `UID:${eventUid('school', 'post-1', 'training')}`,
+        ]);
+        expect(uids(second)).toEqual(uids(first));
+    });
+
+    test('종일 이벤트의 DTEND 는 마지막 날의 다음 날입니다', () => {
+        const [application, training] = buildPostEvents(post(), { appId: 'school' });
+
+        expect(application).toContain('DTSTART;VALUE=DATE:20240614');
+        expect(application).toContain('DTEND;VALUE=DATE:20240615');
+        expect(training).toContain('DTSTART;VALUE=DATE:20240701');
+        expect(training).toContain('DTEND;VALUE=DATE:20240704');
+    });
+
+    test('월말에 끝나는 기간은 다음 달 1일로 넘어갑니다', () => {
+        const [, training] = buildPostEvents(post({ trainingPeriod: '2024. 7. 29. ~ 2024. 7. 31.' }), { appId: 'school' });
+        expect(training).toContain('DTEND;VALUE=DATE:20240801');
+    });
+});
+
+describe('buildCalendar', () => {
+    test('한 줄이 75바이트를 넘으면 한글 글자를 자르지 않고 접습니다', () => {
+        const summary = '교육과정 재구성과 학생 맞춤형 평가를 위한 디지털 선도학교 교원 직무연수 안내'.repeat(3);
+        const ics = buildCalendar([post({ summary })], { appId: 'school' });
+        const physicalLines = ics.split('\r\n').filter(Boolean);
+
+        expect(physicalLines.some(line => line.startsWith(' '))).toBe(true);
+        physicalLines.forEach(line => {
+            expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+            // 3바이트 한글이 줄 사이에서 나뉘었다면 깨진 글자(U+FFFD)로 읽힙니다.
+            expect(Buffer.from(line, 'utf8').toString('utf8')).not.toContain('\uFFFD');
+        });
+        expect(unfoldedLines(ics)).toContain(`SUMMARY:[연수] ${summary}`);
+    });
+
+    test('쉼표, 세미콜론, 역슬래시, 줄바꿈을 이스케이프합니다', () => {
+        const ics = buildCalendar([post({ summary: '연수A, 연수B; 경로 C:\\자료\n2부', location: '본관 3층, 시청각실' })], { appId: 'school' });
+        const lines = eventLines(unfoldedLines(ics), eventUid('school', 'post-1', 'training'));
+
+        expect(lines).toContain('SUMMARY:[연수] 연수A\\, 연수B\\; 경로 C:\\\\자료\\n2부');
+        expect(lines).toContain('LOCATION:본관 3층\\, 시청각실');
+    });
+
+    test('보관된 게시물은 넣지 않습니다', () => {
+        const ics = buildCalendar([post(), post({ id: 'post-2', archived: true })], { appId: 'school' });
+        const uids = unfoldedLines(ics).filter(line => line.startsWith('UID:'));
+
+        expect(uids).toHaveLength(2);
+        expect(uids.every(line => line.includes('post-1-'))).toBe(true);
+    });
+
+    test('줄바꿈은 CRLF 이고 VCALENDAR 로 감쌉니다', () => {
+        const ics = buildCalendar([], { appId: 'school', name: '연수 알리미' });
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(ics).not.toMatch(/[^\r]\n/);
+    });
+});
@@ -0,0 +1,68 @@
+import { writeBatch } from 'firebase/firestore';
+import { db, postDoc } from './firebase';
+import { SCHEMA_VERSION, normalizeTrainingType, parseNumber } from './summarizers/schema';
+import { changeSourceField } from './audit';
+
+// --- 게시물 스키마 마이그레이션 ---
+// schemaVersion 이 없는 게시물은 1 로 봅니다. 버전마다 보정 단계를 두고, 이미 값이 있는 필드는 덮어쓰지 않습니다.
+
+// 한 배치는 최대 500건까지 쓸 수 있습니다.
+const POSTS_PER_BATCH = 500;
+
+export const postSchemaVersion = (post) => post.schemaVersion || 1;
+
+// 1 → 2: 연수 형태/이수 시간/장소/주관 기관/모집 인원/신청 방법/분야 필드를 추가합니다.
+// 기존 요약문에 '원격', '15시간' 처럼 분명히 적혀 있는 값만 채우고 나머지는 비워 둡니다.
+const backfillStructuredFields = (post) => {
+    const text = [post.summary, post.trainingPeriod].filter(Boolean).join(' ');
+    const hours = text.match(/(\d+(?:\.\d+)?)\s*시간/);
+    const defaults = {
+        trainingType: normalizeTrainingType(text),
+        creditHours: hours ? parseNumber(hours[1]) : null,
+        location: '',
+        organizer: '',
+        capacity: null,
+        applicationUrl: '',
+        applicationMethod: '',
+        subjectArea: '',
+    };
+    return Object.keys(defaults).reduce((acc, field) => {
+        if (post[field] === undefined) acc[field] = defaults[field];
+        return acc;
+    }, {});
+};
+
+const MIGRATIONS = {
+    2: backfillStructuredFields,
+};
+
+// 게시물에 필요한 변경 필드를 돌려줍니다. 이미 최신이면 null.
+export const migratePost = (post) => {
+    const from = postSchemaVersion(post);
+    if (from >= SCHEMA_VERSION) return null;
+    let migrated = { ...post };
+    let changes = {};
+    for (let version = from + 1; version <= SCHEMA_VERSION; version++) {
+        const step = MIGRATIONS[version](migrated);
+        migrated = { ...migrated, ...step };
+        changes = { ...changes, ...step };
+    }
+    return { ...changes, schemaVersion: SCHEMA_VERSION };
+};
+
+// 관리자 세션에서 오래된 게시물을 일괄 보정합니다. updatedAt 은 바꾸지 않아 캘린더 구독에 수정으로 잡히지 않습니다.
+export const runPostMigrations = async (posts) => {
+    const pending = posts
+        .map(post => ({ post, changes: migratePost(post) }))
+        .filter(({ changes }) => changes);
+
+    for (let i = 0; i < pending.length; i += POSTS_PER_BATCH) {
+        const batch = writeBatch(db);
+        pending.slice(i, i + POSTS_PER_BATCH).forEach(({ post, changes }) => {
+            // 빈 필드만 추가한 경우처럼 보이는 값이 그대로면 이력 트리거가 항목을 남기지 않습니다.
+            batch.update(postDoc(post.id), { ...changes, ...changeSourceField('migration') });
+        });
+        await batch.commit();
+    }
+    return pending.length;
+};
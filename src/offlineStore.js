@@ -0,0 +1,73 @@
+import { appId } from './firebase';
+
+// --- 오프라인 보관함 (IndexedDB) ---
+// Firestore 는 오프라인에서 한 문서 쓰기를 스스로 보관했다가 전송하지만, 파일은 그렇지 않습니다.
+// 아직 처리하지 못한 업로드 파일과 Storage 에 올리지 못한 원본 PDF 를 여기에 두었다가 연결되면 이어서 처리합니다.
+//   uploads: 업로드 대기열에 넣었지만 요약하지 못한 파일 (key: 대기열 작업 key)
+//   attachments: 게시물은 저장했지만 Storage 에 올리지 못한 원본 PDF (key: 게시물 ID)
+// 한 브라우저에서 여러 학교를 오갈 수 있으므로 저장 키 앞에 학교 appId 를 붙이고, 지금 학교의 것만 읽습니다.
+// tenantId 는 학교를 바꾼 뒤에 끝난 작업이 이전 학교의 파일을 정리할 때만 넘깁니다.
+
+const DB_NAME = 'training-notice-offline';
+const DB_VERSION = 1;
+export const UPLOADS_STORE = 'uploads';
+export const ATTACHMENTS_STORE = 'attachments';
+
+let dbPromise = null;
+
+const scopedKey = (tenantId, key) => `${tenantId}:${key}`;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(UPLOADS_STORE)) db.createObjectStore(UPLOADS_STORE, { keyPath: 'key' });
+                if (!db.objectStoreNames.contains(ATTACHMENTS_STORE)) db.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // 한 번 실패했다면 다음 호출에서 다시 열어봅니다.
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+const runRequest = async (storeName, mode, makeRequest) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// File 은 그대로 저장하면 브라우저에 따라 이름이 빠질 수 있어 Blob 과 이름을 따로 둡니다.
+export const putFile = (storeName, key, file, tenantId = appId) => runRequest(storeName, 'readwrite', store => store.put({
+    key: scopedKey(tenantId, key),
+    tenantId,
+    name: file.name,
+    type: file.type,
+    lastModified: file.lastModified,
+    blob: file,
+    storedAt: Date.now(),
+}));
+
+export const deleteFile = (storeName, key, tenantId = appId) => runRequest(storeName, 'readwrite', store => store.delete(scopedKey(tenantId, key)));
+
+// 지금 학교의 파일을 저장 순서대로 [{ key, file }] 로 돌려줍니다. (key 는 학교 appId 를 뗀 값)
+export const loadFiles = async (storeName) => {
+    const tenantId = appId;
+    const records = await runRequest(storeName, 'readonly', store => store.getAll());
+    return records
+        .filter(record => record.tenantId === tenantId)
+        .sort((a, b) => a.storedAt - b.storedAt)
+        .map(record => ({
+            key: record.key.slice(scopedKey(tenantId, '').length),
+            file: new File([record.blob], record.name, { type: record.type, lastModified: record.lastModified }),
+        }));
+};
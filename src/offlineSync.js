@@ -0,0 +1,57 @@
+import { getDoc, updateDoc, waitForPendingWrites } from 'firebase/firestore';
+import { db, appId, postDoc } from './firebase';
+import { uploadPostPdf, deletePostPdf } from './attachments';
+import { isArchived } from './archive';
+import { ATTACHMENTS_STORE, putFile, deleteFile, loadFiles } from './offlineStore';
+
+// --- 오프라인 쓰기 ---
+// Firestore 의 쓰기 Promise 는 서버가 받아야 끝나므로, 연결이 불안정하면 저장 버튼이 끝없이 멈춰 있게 됩니다.
+// 쓰기는 이미 로컬 캐시에 반영되어 연결되면 전송되므로, 잠시 기다려도 응답이 없으면 "동기화 대기"로 보고 넘어갑니다.
+
+export const WRITE_ACK_TIMEOUT_MS = 5000;
+
+// 서버가 받으면 'saved', 시간 안에 응답이 없으면 'queued' 를 돌려줍니다. 권한 오류 등은 그대로 던집니다.
+export const waitForWrite = (writePromise, timeoutMs = WRITE_ACK_TIMEOUT_MS) => {
+    let timer = null;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve('queued'), timeoutMs); });
+    const saved = writePromise.then(() => 'saved');
+    // 'queued' 로 넘어간 뒤 실패하면 화면에서 받을 곳이 없으므로 기록만 남깁니다.
+    saved.catch(error => console.error("동기화 대기 중이던 변경 전송 실패:", error));
+    return Promise.race([saved, timeout]).finally(() => clearTimeout(timer));
+};
+
+// 원본 PDF 를 올리거나, 오프라인이면 IndexedDB 에 두고 null 을 돌려줍니다. (연결되면 syncPendingAttachments 가 올립니다)
+export const uploadOrDeferPdf = async (postId, file, online) => {
+    if (online) return uploadPostPdf(postId, file);
+    await putFile(ATTACHMENTS_STORE, postId, file);
+    return null;
+};
+
+// 오프라인에서 저장한 게시물의 원본 PDF 를 올리고 게시물에 연결합니다. 올린 개수를 돌려줍니다.
+// 그사이 게시물이 삭제·보관됐다면 파일을 버립니다. 지금 학교의 파일만 다루고, 도중에 학교를 바꾸면 멈춥니다.
+export const syncPendingAttachments = async () => {
+    const tenantId = appId;
+    const pending = await loadFiles(ATTACHMENTS_STORE);
+    if (pending.length === 0) return 0;
+    // 오프라인에서 만든 게시물 문서가 먼저 서버에 도착해야 존재 여부를 바르게 판단할 수 있습니다.
+    await waitForPendingWrites(db);
+    let synced = 0;
+    for (const { key: postId, file } of pending) {
+        if (appId !== tenantId) break;
+        const snapshot = await getDoc(postDoc(postId));
+        if (!snapshot.exists() || isArchived(snapshot.data())) {
+            await deleteFile(ATTACHMENTS_STORE, postId, tenantId);
+            continue;
+        }
+        const attachment = await uploadPostPdf(postId, file);
+        try {
+            await updateDoc(postDoc(postId), { attachment });
+        } catch (error) {
+            await deletePostPdf(attachment).catch(err => console.error("업로드한 원본 PDF 정리 실패:", err));
+            throw error;
+        }
+        await deleteFile(ATTACHMENTS_STORE, postId, tenantId);
+        synced += 1;
+    }
+    return synced;
+};
@@ -0,0 +1,69 @@
+// --- PDF 내용 추출 ---
+// 공문 전체 페이지를 읽어 텍스트 레이어가 있으면 텍스트를, 스캔본처럼 텍스트가 없으면 페이지 이미지를 사용합니다.
+
+// 요약에 사용할 최대 페이지 수 (REACT_APP_PDF_MAX_PAGES 로 변경 가능)
+export const PDF_MAX_PAGES = parseInt(process.env.REACT_APP_PDF_MAX_PAGES, 10) || 5;
+
+// 페이지 텍스트가 이 글자 수보다 짧으면 스캔본으로 보고 이미지로 대체합니다.
+const MIN_TEXT_LENGTH = 20;
+
+const extractPageText = async (page) => {
+    const textContent = await page.getTextContent();
+    return textContent.items
+        .map(item => (item.hasEOL ? `${item.str}\n` : item.str))
+        .join('')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n+/g, '\n')
+        .trim();
+};
+
+export const renderPageToImage = async (page, scale = 1.5) => {
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.height = viewport.height;
+    canvas.width = viewport.width;
+
+    await page.render({ canvasContext: context, viewport: viewport }).promise;
+    return canvas.toDataURL('image/png').split(',')[1];
+};
+
+// renderPreviews 를 켜면 검토 화면에 보여줄 페이지 미리보기 이미지(preview)도 함께 만듭니다.
+export const extractPdfContent = async (pdfDoc, { maxPages = PDF_MAX_PAGES, renderPreviews = false, onProgress } = {}) => {
+    const pageCount = Math.min(pdfDoc.numPages, maxPages);
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        if (onProgress) onProgress(pageNumber, pageCount);
+        const page = await pdfDoc.getPage(pageNumber);
+        const text = await extractPageText(page);
+        const pageContent = { pageNumber, text };
+        if (text.replace(/\s/g, '').length < MIN_TEXT_LENGTH) {
+            pageContent.image = await renderPageToImage(page);
+        }
+        if (renderPreviews) {
+            pageContent.preview = pageContent.image || await renderPageToImage(page, 1.0);
+        }
+        pages.push(pageContent);
+        page.cleanup();
+    }
+
+    return { pages, totalPages: pdfDoc.numPages, truncated: pdfDoc.numPages > pageCount };
+};
+
+// 추출한 페이지들을 Gemini 요청의 parts 배열로 변환합니다.
+export const toGeminiParts = ({ pages, totalPages, truncated }) => {
+    const parts = [];
+    pages.forEach(({ pageNumber, text, image }) => {
+        if (image) {
+            parts.push({ text: `[${pageNumber}페이지 - 이미지]` });
+            parts.push({ inlineData: { mimeType: "image/png", data: image } });
+        } else {
+            parts.push({ text: `[${pageNumber}페이지]\n${text}` });
+        }
+    });
+    if (truncated) {
+        parts.push({ text: `(전체 ${totalPages}페이지 중 앞 ${pages.length}페이지만 포함되었습니다.)` });
+    }
+    return parts;
+};
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf';
+import { extractPdfContent, toGeminiParts } from './pdfContent';
+
+// 고정 PDF: text-7pages.pdf 는 모든 페이지에 텍스트가 있고, mixed-3pages.pdf 는 2페이지가 텍스트 없는 그림뿐입니다.
+const loadFixture = (name) => pdfjsLib.getDocument({
+    data: new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', name))),
+    verbosity: pdfjsLib.VerbosityLevel.ERRORS,
+}).promise;
+
+// jsdom 에는 canvas 가 없으므로, 페이지 렌더링은 건너뛰고 고정된 이미지 데이터를 돌려줍니다.
+const FAKE_IMAGE = 'RkFLRQ==';
+const withFakeRendering = (pdfDoc) => ({
+    numPages: pdfDoc.numPages,
+    getPage: async (pageNumber) => {
+        const page = await pdfDoc.getPage(pageNumber);
+        page.render = () => ({ promise: Promise.resolve() });
+        return page;
+    },
+});
+
+beforeEach(() => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({});
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue(`data:image/png;base64,${FAKE_IMAGE}`);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('extractPdfContent', () => {
+    test('텍스트 레이어가 있는 페이지는 텍스트만 추출합니다', async () => {
+        const pdfDoc = await loadFixture('text-7pages.pdf');
+        const { pages } = await extractPdfContent(withFakeRendering(pdfDoc), { maxPages: 3 });
+
+        expect(pages.map(page => page.pageNumber)).toEqual([1, 2, 3]);
+        expect(pages[1].text).toContain('Training notice page 2');
+        expect(pages[1].text).toContain('Period: 2024.3.2 - 2024.3.12');
+        expect(pages.every(page => page.image === undefined)).toBe(true);
+    });
+
+    test('최대 페이지 수를 넘는 공문은 앞부분만 읽고 잘렸다고 표시합니다', async () => {
+        const pdfDoc = await loadFixture('text-7pages.pdf');
+        const progress = [];
+        const result = await extractPdfContent(withFakeRendering(pdfDoc), {
+            maxPages: 5,
+            onProgress: (current, total) => progress.push([current, total]),
+        });
+
+        expect(result.pages).toHaveLength(5);
+        expect(result.totalPages).toBe(7);
+        expect(result.truncated).toBe(true);
+        expect(progress).toEqual([[1, 5], [2, 5], [3, 5], [4, 5], [5, 5]]);
+    });
+
+    test('최대 페이지 수 이하의 공문은 잘리지 않습니다', async () => {
+        const pdfDoc = await loadFixture('mixed-3pages.pdf');
+        const result = await extractPdfContent(withFakeRendering(pdfDoc), { maxPages: 5 });
+
+        expect(result.pages).toHaveLength(3);
+        expect(result.totalPages).toBe(3);
+        expect(result.truncated).toBe(false);
+    });
+
+    test('텍스트가 없는 스캔 페이지는 이미지로 대체합니다', async () => {
+        const pdfDoc = await loadFixture('mixed-3pages.pdf');
+        const { pages } = await extractPdfContent(withFakeRendering(pdfDoc));
+
+        expect(pages[0].image).toBeUndefined();
+        expect(pages[1].text).toBe('');
+        expect(pages[1].image).toBe(FAKE_IMAGE);
+        expect(pages[2].image).toBeUndefined();
+    });
+
+    test('renderPreviews 를 켜면 모든 페이지에 미리보기를 만듭니다', async () => {
+        const pdfDoc = await loadFixture('mixed-3pages.pdf');
+        const { pages } = await extractPdfContent(withFakeRendering(pdfDoc), { renderPreviews: true });
+
+        expect(pages.every(page => page.preview === FAKE_IMAGE)).toBe(true);
+        expect(pages[0].image).toBeUndefined();
+    });
+});
+
+describe('toGeminiParts', () => {
+    test('텍스트 페이지와 이미지 페이지를 순서대로 변환하고 잘린 경우 안내를 덧붙입니다', () => {
+        const parts = toGeminiParts({
+            pages: [
+                { pageNumber: 1, text: '연수 안내' },
+                { pageNumber: 2, text: '', image: FAKE_IMAGE },
+            ],
+            totalPages: 7,
+            truncated: true,
+        });
+
+        expect(parts).toEqual([
+            { text: '[1페이지]\n연수 안내' },
+            { text: '[2페이지 - 이미지]' },
+            { inlineData: { mimeType: 'image/png', data: FAKE_IMAGE } },
+            { text: '(전체 7페이지 중 앞 2페이지만 포함되었습니다.)' },
+        ]);
+    });
+
+    test('모두 포함된 경우에는 안내를 붙이지 않습니다', () => {
+        const parts = toGeminiParts({ pages: [{ pageNumber: 1, text: '본문' }], totalPages: 1, truncated: false });
+        expect(parts).toEqual([{ text: '[1페이지]\n본문' }]);
+    });
+});
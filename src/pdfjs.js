@@ -0,0 +1,8 @@
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf';
+
+// --- pdf.js ---
+// CDN 대신 앱과 함께 번들해 오프라인에서도 PDF 를 읽을 수 있게 합니다.
+// 워커 파일은 webpack 이 정적 파일로 내보내고, 서비스 워커가 다른 빌드 파일과 함께 캐시합니다.
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/legacy/build/pdf.worker.min.js', import.meta.url).toString();
+
+export default pdfjsLib;
@@ -0,0 +1,243 @@
+// --- 신청/연수 기간 파서 ---
+// 공문에 흔한 날짜 표기를 읽어 { start, end, rounds[], ambiguities[] } 로 돌려줍니다.
+//   2024. 6. 3.(월) ~ 6. 14.(금)      종료일의 연도 생략
+//   6월 3일 ~ 6월 14일, 6. 3. ~ 14.    연도/월 생략 (시작일 또는 게시일 기준으로 추정)
+//   2024. 6. 14.(금) 18:00까지          시각 포함
+//   1차: 6. 3.~6. 7. / 2차: 6. 10.~6. 14.  여러 차수
+// 날짜를 찾지 못하거나 추정이 필요한 경우 null 대신 ambiguities 에 사유를 남깁니다.
+
+export const AMBIGUITY = {
+    NO_DATE: 'NO_DATE',
+    YEAR_INFERRED: 'YEAR_INFERRED',
+    INVALID_DATE: 'INVALID_DATE',
+    END_BEFORE_START: 'END_BEFORE_START',
+};
+
+const AMBIGUITY_MESSAGES = {
+    [AMBIGUITY.NO_DATE]: '날짜를 찾을 수 없습니다.',
+    [AMBIGUITY.YEAR_INFERRED]: '연도가 없어 게시일 기준으로 추정했습니다.',
+    [AMBIGUITY.INVALID_DATE]: '존재하지 않는 날짜가 있어 제외했습니다.',
+    [AMBIGUITY.END_BEFORE_START]: '종료일이 시작일보다 앞서 있어 순서를 바꿨습니다.',
+};
+
+// 위치 기준(sticky) 날짜 패턴. 앞에 있는 패턴이 우선합니다.
+const DATE_PATTERNS = [
+    // 2024년 6월 3일
+    { re: /(\d{4})\s*년\s*(\d{1,2})\s*월\s*(\d{1,2})\s*일/y, read: m => ({ year: +m[1], month: +m[2], day: +m[3] }) },
+    // 2024. 6. 3. / 2024-06-03 / 2024/6/3 / 24.6.3
+    { re: /(\d{4}|[2-9]\d)\s*([./-])\s*(\d{1,2})\s*\2\s*(\d{1,2})(?!\d)\.?/y, read: m => ({ year: m[1].length === 2 ? 2000 + +m[1] : +m[1], month: +m[3], day: +m[4] }) },
+    // 20240603
+    { re: /((?:19|20)\d{2})(\d{2})(\d{2})(?!\d)/y, read: m => ({ year: +m[1], month: +m[2], day: +m[3] }) },
+    // 6월 3일
+    { re: /(\d{1,2})\s*월\s*(\d{1,2})\s*일/y, read: m => ({ month: +m[1], day: +m[2] }) },
+    // 6. 3. / 6/3
+    { re: /(\d{1,2})\s*[./]\s*(\d{1,2})(?!\d)\.?/y, read: m => ({ month: +m[1], day: +m[2] }) },
+];
+
+// 범위 뒤쪽에서만 허용하는 일(day) 단독 표기: "6. 3. ~ 14." / "6월 3일 ~ 14일"
+const DAY_ONLY_PATTERN = /(\d{1,2})\s*(?:일|\.)(?!\s*\d)/y;
+
+const WEEKDAY_PATTERN = /\s*\(\s*[월화수목금토일](?:요일)?\s*\)/y;
+
+const TIME_PATTERN = /\s*(?:(오전|오후)\s*)?(\d{1,2})\s*(?::\s*(\d{2})|시(?:\s*(\d{1,2})\s*분)?)/y;
+
+// 두 날짜 사이가 이 패턴이면 하나의 기간(시작~종료)으로 묶습니다.
+const RANGE_GAP = /^\s*(?:부터\s*)?(?:~|∼|～|〜|-|–|—)?\s*$/;
+
+const ROUND_PATTERN = /(?:제\s*)?(\d+)\s*(차|기)(?!시)/g;
+
+const matchAt = (re, text, index) => {
+    re.lastIndex = index;
+    return re.exec(text);
+};
+
+const isRangeGap = (gap) => gap.trim() !== '' && RANGE_GAP.test(gap);
+
+const readTime = (text, index) => {
+    const m = matchAt(TIME_PATTERN, text, index);
+    if (!m) return null;
+    let hour = +m[2];
+    const minute = +(m[3] || m[4] || 0);
+    if (m[1] === '오후' && hour < 12) hour += 12;
+    if (m[1] === '오전' && hour === 12) hour = 0;
+    if (hour > 24 || minute > 59) return null;
+    return { hour, minute, end: index + m[0].length };
+};
+
+// 날짜 뒤에 붙은 요일과 시각을 함께 읽습니다.
+const readSuffix = (text, token) => {
+    const weekday = matchAt(WEEKDAY_PATTERN, text, token.end);
+    if (weekday) token.end += weekday[0].length;
+    const time = readTime(text, token.end);
+    if (time) {
+        token.hour = time.hour;
+        token.minute = time.minute;
+        token.end = time.end;
+    }
+    return token;
+};
+
+const tokenize = (text) => {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        if (!/\d/.test(text[i]) || (i > 0 && /\d/.test(text[i - 1]))) { i++; continue; }
+
+        let token = null;
+        for (const { re, read } of DATE_PATTERNS) {
+            const m = matchAt(re, text, i);
+            if (m) {
+                token = { ...read(m), start: i, end: i + m[0].length };
+                break;
+            }
+        }
+        const prev = tokens[tokens.length - 1];
+        if (!token && prev && isRangeGap(text.slice(prev.end, i))) {
+            const m = matchAt(DAY_ONLY_PATTERN, text, i);
+            if (m) token = { day: +m[1], dayOnly: true, start: i, end: i + m[0].length };
+        }
+
+        if (token) {
+            tokens.push(readSuffix(text, token));
+            i = token.end;
+        } else {
+            i++;
+        }
+    }
+    return tokens;
+};
+
+const isValidDate = (year, month, day) => {
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+const dayValue = ({ year, month, day }) => year * 10000 + month * 100 + day;
+
+// 게시일과 가장 가까운 연도를 고릅니다. (예: 12월에 올라온 "1. 6." 공문은 다음 해)
+const nearestYear = (month, day, referenceDate) => {
+    const refYear = referenceDate.getFullYear();
+    const candidates = [refYear - 1, refYear, refYear + 1];
+    return candidates.reduce((best, year) => (
+        Math.abs(new Date(year, month - 1, day) - referenceDate) < Math.abs(new Date(best, month - 1, day) - referenceDate) ? year : best
+    ), refYear);
+};
+
+// 뒤 날짜의 월이 반년 넘게 앞서면("12. 28. ~ 1. 3.") 해가 바뀐 것으로 봅니다.
+// 그 밖에 거꾸로 적힌 기간("6. 3. ~ 6. 1.")은 같은 해로 두어 END_BEFORE_START 로 알립니다.
+const crossesYearEnd = (earlier, later) => earlier.month - later.month > 6;
+
+// 연도/월이 생략된 날짜를 앞뒤 날짜를 기준으로 채웁니다.
+// 생략된 날짜는 시간순으로 이어진다고 보고, 일만 적은 날짜가 앞 날짜보다 이르면 다음 달로,
+// 해가 바뀌는 기간이면 다음 해로 넘깁니다.
+const resolveTokens = (tokens, referenceDate, ambiguities) => {
+    const firstExplicit = tokens.findIndex(token => token.year !== undefined);
+
+    tokens.forEach((token, index) => {
+        if (!token.dayOnly) return;
+        const prev = tokens[index - 1];
+        token.month = token.day < prev.day ? prev.month % 12 + 1 : prev.month;
+        if (prev.year !== undefined && prev.month === 12 && token.month === 1) token.year = prev.year + 1;
+        else if (prev.year !== undefined) token.year = prev.year;
+    });
+
+    if (firstExplicit === -1) {
+        const first = tokens[0];
+        first.year = nearestYear(first.month, first.day, referenceDate);
+        ambiguities.add(AMBIGUITY.YEAR_INFERRED);
+    }
+
+    const anchor = firstExplicit === -1 ? 0 : firstExplicit;
+    for (let i = anchor - 1; i >= 0; i--) {
+        const next = tokens[i + 1];
+        if (tokens[i].year !== undefined) continue;
+        tokens[i].year = next.year;
+        if (dayValue(tokens[i]) > dayValue(next) && crossesYearEnd(tokens[i], next)) tokens[i].year -= 1;
+    }
+    for (let i = anchor + 1; i < tokens.length; i++) {
+        const prev = tokens[i - 1];
+        if (tokens[i].year !== undefined) continue;
+        tokens[i].year = prev.year;
+        if (dayValue(tokens[i]) < dayValue(prev) && crossesYearEnd(prev, tokens[i])) tokens[i].year += 1;
+    }
+
+    return tokens.filter(token => {
+        const valid = token.month >= 1 && token.month <= 12 && isValidDate(token.year, token.month, token.day);
+        if (!valid) ambiguities.add(AMBIGUITY.INVALID_DATE);
+        return valid;
+    });
+};
+
+const toDate = (token, isEnd) => {
+    if (token.hour !== undefined) return new Date(token.year, token.month - 1, token.day, token.hour, token.minute);
+    return isEnd
+        ? new Date(token.year, token.month - 1, token.day, 23, 59, 59)
+        : new Date(token.year, token.month - 1, token.day);
+};
+
+const pairRanges = (text, tokens, ambiguities) => {
+    const ranges = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const startToken = tokens[i];
+        const next = tokens[i + 1];
+        const endToken = next && isRangeGap(text.slice(startToken.end, next.start)) ? next : startToken;
+        if (endToken === next) i++;
+
+        // 날짜 하나만 있으면("…까지") 그날 하루 전체를 기간으로 봅니다.
+        let start = endToken === startToken ? toDate({ ...startToken, hour: undefined }, false) : toDate(startToken, false);
+        let end = toDate(endToken, true);
+        if (end < start) {
+            ambiguities.add(AMBIGUITY.END_BEFORE_START);
+            [start, end] = [toDate(endToken, false), toDate(startToken, true)];
+        }
+        ranges.push({ start, end, index: startToken.start });
+    }
+    return ranges;
+};
+
+// 차수 표기("1차", "2기")가 있으면 해당 위치 뒤의 기간들을 그 차수로 묶습니다.
+const groupRounds = (text, ranges) => {
+    const markers = [...text.matchAll(ROUND_PATTERN)].map(m => ({ label: `${m[1]}${m[2]}`, index: m.index }));
+    if (markers.length === 0) {
+        return ranges.map(({ start, end }) => ({ label: null, start, end }));
+    }
+
+    const rounds = [];
+    ranges.forEach(range => {
+        const marker = [...markers].reverse().find(m => m.index <= range.index);
+        const label = marker ? marker.label : null;
+        const current = rounds[rounds.length - 1];
+        if (current && current.label === label && label !== null) {
+            if (range.start < current.start) current.start = range.start;
+            if (range.end > current.end) current.end = range.end;
+        } else {
+            rounds.push({ label, start: range.start, end: range.end });
+        }
+    });
+    return rounds;
+};
+
+export const parsePeriod = (periodString, { referenceDate = new Date() } = {}) => {
+    const ambiguitySet = new Set();
+    const text = typeof periodString === 'string' ? periodString : '';
+
+    let rounds = [];
+    const tokens = tokenize(text);
+    if (tokens.length > 0) {
+        const resolved = resolveTokens(tokens, referenceDate, ambiguitySet);
+        rounds = groupRounds(text, pairRanges(text, resolved, ambiguitySet));
+    }
+    if (rounds.length === 0) ambiguitySet.add(AMBIGUITY.NO_DATE);
+
+    const start = rounds.length ? new Date(Math.min(...rounds.map(round => round.start))) : null;
+    const end = rounds.length ? new Date(Math.max(...rounds.map(round => round.end))) : null;
+    const ambiguities = [...ambiguitySet].map(code => ({ code, message: AMBIGUITY_MESSAGES[code] }));
+
+    return { start, end, rounds, ambiguities };
+};
+
+// 신청 마감 시각. 여러 차수가 있으면 마지막 차수의 마감을 기준으로 합니다.
+export const parseApplicationEndDate = (periodString, referenceDate) => {
+    if (!periodString || typeof periodString !== 'string') return null;
+    return parsePeriod(periodString, { referenceDate: referenceDate || new Date() }).end;
+};
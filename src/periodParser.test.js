@@ -0,0 +1,175 @@
+import { parsePeriod, parseApplicationEndDate, AMBIGUITY } from './periodParser';
+
+// 모든 경우 게시일은 2024-05-20 로 고정합니다. (연도 추정 기준)
+const REFERENCE_DATE = new Date(2024, 4, 20);
+
+const format = (date) => {
+    if (!date) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const parse = (text, referenceDate = REFERENCE_DATE) => {
+    const result = parsePeriod(text, { referenceDate });
+    return {
+        start: format(result.start),
+        end: format(result.end),
+        rounds: result.rounds.map(round => [round.label, format(round.start), format(round.end)]),
+        ambiguities: result.ambiguities.map(ambiguity => ambiguity.code),
+    };
+};
+
+describe('연도가 있는 전체 표기', () => {
+    test.each([
+        ['2024. 6. 3. ~ 2024. 6. 14.', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['2024-06-03 ~ 2024-06-14', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['2024/6/3 - 2024/6/14', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['24.6.3 ~ 24.6.14', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['20240603 ~ 20240614', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['2024년 6월 3일부터 2024년 6월 14일', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['2024. 6. 3.(월) ~ 2024. 6. 14.(금요일)', '2024-06-03 00:00', '2024-06-14 23:59'],
+    ])('%s', (text, start, end) => {
+        expect(parse(text)).toMatchObject({ start, end, ambiguities: [] });
+    });
+});
+
+describe('종료일의 연도 생략', () => {
+    test.each([
+        ['2024. 6. 3.(월) ~ 6. 14.(금)', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['2024. 6. 3. ~ 14.', '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['2024. 6. 24. ~ 7. 5.', '2024-06-24 00:00', '2024-07-05 23:59'],
+        ['2024. 12. 23. ~ 1. 10.', '2024-12-23 00:00', '2025-01-10 23:59'],
+        ['2024. 6. 28. ~ 3.', '2024-06-28 00:00', '2024-07-03 23:59'],
+    ])('%s', (text, start, end) => {
+        expect(parse(text)).toMatchObject({ start, end, ambiguities: [] });
+    });
+});
+
+describe('연도가 전혀 없으면 게시일 기준으로 추정합니다', () => {
+    test.each([
+        ['6. 3. ~ 6. 14.', REFERENCE_DATE, '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['6/3 ~ 6/14', REFERENCE_DATE, '2024-06-03 00:00', '2024-06-14 23:59'],
+        ['6. 3. ~ 14.', REFERENCE_DATE, '2024-06-03 00:00', '2024-06-14 23:59'],
+        // 12월에 올라온 1월 연수는 다음 해
+        ['1. 6. ~ 1. 10.', new Date(2024, 11, 15), '2025-01-06 00:00', '2025-01-10 23:59'],
+        // 1월에 올라온 12월 일정은 지난해
+        ['12. 28. ~ 1. 3.', new Date(2025, 0, 2), '2024-12-28 00:00', '2025-01-03 23:59'],
+        // 겨울방학처럼 해를 넘기는 기간
+        ['11. 25. ~ 2. 7.', new Date(2024, 10, 1), '2024-11-25 00:00', '2025-02-07 23:59'],
+    ])('%s', (text, referenceDate, start, end) => {
+        expect(parse(text, referenceDate)).toMatchObject({ start, end, ambiguities: [AMBIGUITY.YEAR_INFERRED] });
+    });
+});
+
+describe('월/일 표기', () => {
+    test.each([
+        ['6월 3일 ~ 6월 14일', '2024-06-03 00:00', '2024-06-14 23:59', [AMBIGUITY.YEAR_INFERRED]],
+        ['6월 3일(월) ~ 6월 14일(금)', '2024-06-03 00:00', '2024-06-14 23:59', [AMBIGUITY.YEAR_INFERRED]],
+        ['6월 3일 ~ 14일', '2024-06-03 00:00', '2024-06-14 23:59', [AMBIGUITY.YEAR_INFERRED]],
+        ['2024년 6월 3일 ~ 6월 14일', '2024-06-03 00:00', '2024-06-14 23:59', []],
+        ['6월 24일부터 7월 5일', '2024-06-24 00:00', '2024-07-05 23:59', [AMBIGUITY.YEAR_INFERRED]],
+    ])('%s', (text, start, end, ambiguities) => {
+        expect(parse(text)).toMatchObject({ start, end, ambiguities });
+    });
+});
+
+describe('시각 포함', () => {
+    test.each([
+        ['2024. 6. 14.(금) 18:00까지', '2024-06-14 00:00', '2024-06-14 18:00'],
+        ['2024. 6. 14. 17시까지', '2024-06-14 00:00', '2024-06-14 17:00'],
+        ['2024. 6. 14. 17시 30분까지', '2024-06-14 00:00', '2024-06-14 17:30'],
+        ['2024. 6. 14. 오후 5시까지', '2024-06-14 00:00', '2024-06-14 17:00'],
+        ['2024. 6. 3. 09:00 ~ 6. 14. 18:00', '2024-06-03 09:00', '2024-06-14 18:00'],
+        ['2024. 6. 3. 오전 9시 ~ 6. 7. 오후 4시', '2024-06-03 09:00', '2024-06-07 16:00'],
+    ])('%s', (text, start, end) => {
+        expect(parse(text)).toMatchObject({ start, end, ambiguities: [] });
+    });
+});
+
+describe('여러 차수', () => {
+    test.each([
+        [
+            '1차: 2024. 6. 3.~6. 7. / 2차: 6. 10.~6. 14.',
+            [['1차', '2024-06-03 00:00', '2024-06-07 23:59'], ['2차', '2024-06-10 00:00', '2024-06-14 23:59']],
+        ],
+        [
+            '제1기 2024. 7. 22.~7. 26., 제2기 2024. 8. 5.~8. 9.',
+            [['1기', '2024-07-22 00:00', '2024-07-26 23:59'], ['2기', '2024-08-05 00:00', '2024-08-09 23:59']],
+        ],
+        [
+            '1차 6월 3일~6월 7일, 2차 6월 10일~6월 14일',
+            [['1차', '2024-06-03 00:00', '2024-06-07 23:59'], ['2차', '2024-06-10 00:00', '2024-06-14 23:59']],
+        ],
+    ])('%s', (text, rounds) => {
+        const result = parse(text);
+        expect(result.rounds).toEqual(rounds);
+        expect(result.start).toBe(rounds[0][1]);
+        expect(result.end).toBe(rounds[rounds.length - 1][2]);
+    });
+
+    test('차수 표기가 없으면 label 은 null 입니다', () => {
+        expect(parse('2024. 6. 3. ~ 6. 7.').rounds).toEqual([[null, '2024-06-03 00:00', '2024-06-07 23:59']]);
+    });
+
+    test('시각의 "시"는 차수로 읽지 않습니다', () => {
+        expect(parse('2024. 6. 14. 3시까지').rounds).toEqual([[null, '2024-06-14 00:00', '2024-06-14 03:00']]);
+    });
+});
+
+describe('날짜가 없거나 잘못된 표기', () => {
+    test.each([
+        ['상시'],
+        ['상시 모집'],
+        ['추후 안내'],
+        ['선착순 마감 시까지'],
+        [''],
+    ])('%s → NO_DATE', (text) => {
+        expect(parse(text)).toEqual({ start: null, end: null, rounds: [], ambiguities: [AMBIGUITY.NO_DATE] });
+    });
+
+    test('문자열이 아니면 NO_DATE 로 처리합니다', () => {
+        expect(parsePeriod(undefined).ambiguities.map(ambiguity => ambiguity.code)).toEqual([AMBIGUITY.NO_DATE]);
+    });
+
+    test('존재하지 않는 날짜는 제외하고 사유를 남깁니다', () => {
+        const result = parse('2024. 2. 30. ~ 2024. 3. 8.');
+        expect(result.ambiguities).toContain(AMBIGUITY.INVALID_DATE);
+        expect(result.end).toBe('2024-03-08 23:59');
+    });
+
+    test('종료일이 시작일보다 앞서면 순서를 바꿉니다', () => {
+        expect(parse('2024. 6. 14. ~ 2024. 6. 3.')).toMatchObject({
+            start: '2024-06-03 00:00',
+            end: '2024-06-14 23:59',
+            ambiguities: [AMBIGUITY.END_BEFORE_START],
+        });
+    });
+
+    test.each([
+        ['6. 3. ~ 6. 1.', '2024-06-01 00:00', '2024-06-03 23:59', [AMBIGUITY.YEAR_INFERRED, AMBIGUITY.END_BEFORE_START]],
+        ['6. 14. ~ 3. 2.', '2024-03-02 00:00', '2024-06-14 23:59', [AMBIGUITY.YEAR_INFERRED, AMBIGUITY.END_BEFORE_START]],
+        ['2024. 6. 14. ~ 6. 3.', '2024-06-03 00:00', '2024-06-14 23:59', [AMBIGUITY.END_BEFORE_START]],
+        ['6. 14. ~ 2024. 6. 3.', '2024-06-03 00:00', '2024-06-14 23:59', [AMBIGUITY.END_BEFORE_START]],
+    ])('연도가 생략되어도 해가 바뀌는 기간이 아니면 거꾸로 적힌 것으로 봅니다: %s', (text, start, end, ambiguities) => {
+        expect(parse(text)).toMatchObject({ start, end, ambiguities });
+    });
+
+    test('모든 사유에는 안내 문구가 있습니다', () => {
+        const { ambiguities } = parsePeriod('6. 3. ~ 6. 1.', { referenceDate: REFERENCE_DATE });
+        expect(ambiguities.map(ambiguity => ambiguity.code)).toContain(AMBIGUITY.END_BEFORE_START);
+        expect(ambiguities.every(ambiguity => typeof ambiguity.message === 'string' && ambiguity.message.length > 0)).toBe(true);
+    });
+});
+
+describe('parseApplicationEndDate', () => {
+    test.each([
+        ['2024. 6. 3.(월) ~ 6. 14.(금) 18:00까지', '2024-06-14 18:00'],
+        ['1차: 2024. 6. 3.~6. 7. / 2차: 6. 10.~6. 14.', '2024-06-14 23:59'],
+        ['6월 3일 ~ 6월 14일', '2024-06-14 23:59'],
+        ['상시', null],
+        ['', null],
+        [null, null],
+    ])('%s → %s', (text, end) => {
+        expect(format(parseApplicationEndDate(text, REFERENCE_DATE))).toBe(end);
+    });
+});
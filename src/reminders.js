@@ -0,0 +1,151 @@
+import { parseApplicationEndDate } from './periodParser';
+import { isArchived } from './archive';
+
+// --- 마감 알림 ---
+// 사용자는 게시물 하나(type: 'post') 또는 연수 대상(type: 'target')을 구독하고,
+// 구독한 게시물의 신청 마감 daysBefore 일 전에 앱 내 알림과 브라우저 알림을 받습니다.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_REMINDER_DAYS = 3;
+
+export const CLOSING_SOON_DAYS = 7;
+
+export const subscriptionId = (type, value) => `${type}_${encodeURIComponent(value)}`;
+
+export const getDeadline = (post) => parseApplicationEndDate(post.applicationPeriod, post.createdAt?.toDate());
+
+// 대상 구독은 대상 분류 그룹(post.targetGroups) 중 하나라도 같으면 알립니다.
+const matchesSubscription = (post, subscription) => (
+    subscription.type === 'post'
+        ? subscription.postId === post.id
+        : (post.targetGroups || [post.target || '기타']).includes(subscription.target)
+);
+
+// 마감이 바뀌면(게시물 수정) 다시 알리도록 마감 시각을 키에 포함합니다.
+export const reminderKey = (postId, deadline, daysBefore) => `${postId}:${deadline.getTime()}:${daysBefore}`;
+
+// 지금 보내야 할 알림(due)과 다음 알림 시각(nextAt)을 계산합니다. 시계(now)를 인자로 받아 테스트에서 고정할 수 있습니다.
+export const computeReminderSchedule = ({ posts, subscriptions, daysBefore, sentKeys, now }) => {
+    const due = [];
+    let nextAt = null;
+
+    posts.forEach(post => {
+        if (isArchived(post) || !subscriptions.some(sub => matchesSubscription(post, sub))) return;
+        const deadline = getDeadline(post);
+        if (!deadline || deadline <= now) return;
+
+        const key = reminderKey(post.id, deadline, daysBefore);
+        const remindAt = deadline.getTime() - daysBefore * DAY_MS;
+        if (remindAt <= now.getTime()) {
+            if (!sentKeys.has(key)) due.push({ key, post, deadline });
+        } else if (nextAt === null || remindAt < nextAt) {
+            nextAt = remindAt;
+        }
+    });
+
+    return { due, nextAt };
+};
+
+export const daysUntil = (deadline, now) => Math.max(0, Math.ceil((deadline.getTime() - now.getTime()) / DAY_MS));
+
+// 이번 주(7일 이내)에 신청이 마감되는 게시물, 마감이 가까운 순
+export const findClosingSoon = (posts, now, withinDays = CLOSING_SOON_DAYS) => posts
+    .filter(post => !isArchived(post))
+    .map(post => ({ post, deadline: getDeadline(post) }))
+    .filter(({ deadline }) => deadline && deadline > now && deadline.getTime() - now.getTime() <= withinDays * DAY_MS)
+    .sort((a, b) => a.deadline - b.deadline);
+
+// --- 스케줄러 ---
+// clock 을 바꿔 끼우면 가짜 시계로 테스트할 수 있습니다. { now(), setTimeout(fn, ms), clearTimeout(id) }
+export const systemClock = {
+    now: () => new Date(),
+    setTimeout: (fn, ms) => window.setTimeout(fn, ms),
+    clearTimeout: (id) => window.clearTimeout(id),
+};
+
+// 탭이 오래 열려 있어도 최소한 이 주기로 다시 계산합니다. (게시물 변경은 refresh 로 즉시 반영)
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+export const createReminderScheduler = ({ clock = systemClock, getSchedule, onDue, maxDelayMs = MAX_DELAY_MS }) => {
+    let timer = null;
+
+    const stop = () => {
+        if (timer !== null) clock.clearTimeout(timer);
+        timer = null;
+    };
+
+    const check = () => {
+        timer = null;
+        const now = clock.now();
+        const { due, nextAt } = getSchedule(now);
+        if (due.length > 0) onDue(due, now);
+        const delay = nextAt === null ? maxDelayMs : Math.min(maxDelayMs, Math.max(0, nextAt - now.getTime()));
+        timer = clock.setTimeout(check, delay);
+    };
+
+    return {
+        start: check,
+        refresh: () => { stop(); check(); },
+        stop,
+    };
+};
+
+// --- 보낸 알림 기록 (브라우저 localStorage) ---
+const MAX_LOG_ENTRIES = 30;
+
+const logStorageKey = (appId, uid) => `reminderLog_${appId}_${uid}`;
+
+export const loadReminderLog = (appId, uid) => {
+    try {
+        return JSON.parse(localStorage.getItem(logStorageKey(appId, uid))) || [];
+    } catch (error) {
+        console.error("알림 기록을 읽는 중 오류 발생:", error);
+        return [];
+    }
+};
+
+export const saveReminderLog = (appId, uid, log) => {
+    try {
+        localStorage.setItem(logStorageKey(appId, uid), JSON.stringify(log.slice(0, MAX_LOG_ENTRIES)));
+    } catch (error) {
+        console.error("알림 기록을 저장하는 중 오류 발생:", error);
+    }
+};
+
+// --- 보낸 알림 키 (브라우저 localStorage) ---
+// 위의 기록은 화면에 보여줄 만큼만 남기므로, 같은 알림을 다시 보내지 않도록 보낸 키는 { key: 마감 시각 } 으로 따로 둡니다.
+// 개수로 자르지 않고, 마감이 지나 더 이상 알림 대상이 아닌 키만 지웁니다.
+const sentStorageKey = (appId, uid) => `reminderSent_${appId}_${uid}`;
+
+export const pruneSentReminders = (sent, now) => Object.fromEntries(
+    Object.entries(sent).filter(([, deadline]) => deadline > now.getTime())
+);
+
+// 이전 버전은 기록(log)의 키로만 중복을 막았으므로, 처음 읽을 때 기록에 남은 키도 함께 옮겨 둡니다.
+export const loadSentReminders = (appId, uid, log = []) => {
+    const fromLog = Object.fromEntries(log.map(entry => [entry.key, entry.deadline]));
+    try {
+        return { ...fromLog, ...JSON.parse(localStorage.getItem(sentStorageKey(appId, uid))) };
+    } catch (error) {
+        console.error("보낸 알림 기록을 읽는 중 오류 발생:", error);
+        return fromLog;
+    }
+};
+
+export const saveSentReminders = (appId, uid, sent) => {
+    try {
+        localStorage.setItem(sentStorageKey(appId, uid), JSON.stringify(sent));
+    } catch (error) {
+        console.error("보낸 알림 기록을 저장하는 중 오류 발생:", error);
+    }
+};
+
+export const showBrowserNotification = (title, body) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    try {
+        new Notification(title, { body });
+    } catch (error) {
+        console.error("브라우저 알림 표시 실패:", error);
+    }
+};
@@ -0,0 +1,180 @@
+import {
+    DAY_MS, computeReminderSchedule, createReminderScheduler, reminderKey, findClosingSoon,
+    saveReminderLog, loadReminderLog, loadSentReminders, saveSentReminders, pruneSentReminders,
+} from './reminders';
+
+// archive.js 는 Firebase 를 초기화하므로 보관 여부 판단만 가져옵니다.
+jest.mock('./archive', () => ({ isArchived: (post) => post.archived === true }));
+
+// 가짜 시계: advance 로 시간을 흘려 보내며 그 사이에 예약된 타이머를 차례로 실행합니다.
+const createFakeClock = (start) => {
+    let current = start.getTime();
+    let nextId = 1;
+    let timers = [];
+    return {
+        now: () => new Date(current),
+        setTimeout: (fn, ms) => {
+            const id = nextId++;
+            timers.push({ id, at: current + ms, fn });
+            return id;
+        },
+        clearTimeout: (id) => { timers = timers.filter(timer => timer.id !== id); },
+        advance: (ms) => {
+            const target = current + ms;
+            for (;;) {
+                const next = timers.filter(timer => timer.at <= target).sort((a, b) => a.at - b.at)[0];
+                if (!next) break;
+                timers = timers.filter(timer => timer !== next);
+                current = next.at;
+                next.fn();
+            }
+            current = target;
+        },
+        pendingCount: () => timers.length,
+    };
+};
+
+const NOW = new Date(2024, 5, 10, 9, 0);
+const post = (id, applicationPeriod, extra = {}) => ({ id, summary: `연수 ${id}`, applicationPeriod, ...extra });
+const subscribedTo = (...postIds) => postIds.map(postId => ({ type: 'post', postId }));
+
+describe('computeReminderSchedule', () => {
+    test('마감 daysBefore 일 전이 지났으면 due 에, 아직이면 nextAt 에 넣습니다', () => {
+        const posts = [
+            post('soon', '2024. 6. 3. ~ 6. 12.'),
+            post('later', '2024. 6. 3. ~ 6. 20.'),
+        ];
+        const { due, nextAt } = computeReminderSchedule({ posts, subscriptions: subscribedTo('soon', 'later'), daysBefore: 3, sentKeys: new Set(), now: NOW });
+
+        expect(due.map(item => item.post.id)).toEqual(['soon']);
+        expect(nextAt).toBe(new Date(2024, 5, 20, 23, 59, 59).getTime() - 3 * DAY_MS);
+    });
+
+    test('이미 보낸 키, 구독하지 않은 게시물, 보관된 게시물, 마감이 지난 게시물은 건너뜁니다', () => {
+        const deadline = new Date(2024, 5, 12, 23, 59, 59);
+        const posts = [
+            post('sent', '2024. 6. 3. ~ 6. 12.'),
+            post('unsubscribed', '2024. 6. 3. ~ 6. 12.'),
+            post('archived', '2024. 6. 3. ~ 6. 12.', { archived: true }),
+            post('closed', '2024. 6. 1. ~ 6. 5.'),
+        ];
+        const { due } = computeReminderSchedule({
+            posts,
+            subscriptions: subscribedTo('sent', 'archived', 'closed'),
+            daysBefore: 3,
+            sentKeys: new Set([reminderKey('sent', deadline, 3)]),
+            now: NOW,
+        });
+        expect(due).toEqual([]);
+    });
+
+    test('대상 구독은 게시물의 대상 그룹 중 하나만 같아도 알립니다', () => {
+        const posts = [post('p1', '2024. 6. 3. ~ 6. 11.', { targetGroups: ['중등 교사', '교감'] })];
+        const { due } = computeReminderSchedule({ posts, subscriptions: [{ type: 'target', target: '교감' }], daysBefore: 3, sentKeys: new Set(), now: NOW });
+        expect(due).toHaveLength(1);
+    });
+});
+
+describe('createReminderScheduler', () => {
+    const setup = (posts, { daysBefore = 3, maxDelayMs } = {}) => {
+        const clock = createFakeClock(NOW);
+        const sentKeys = new Set();
+        const delivered = [];
+        const scheduler = createReminderScheduler({
+            clock,
+            maxDelayMs,
+            getSchedule: (now) => computeReminderSchedule({ posts, subscriptions: subscribedTo(...posts.map(p => p.id)), daysBefore, sentKeys, now }),
+            onDue: (due, now) => due.forEach(({ key, post }) => {
+                sentKeys.add(key);
+                delivered.push([post.id, now.getTime()]);
+            }),
+        });
+        return { clock, scheduler, delivered };
+    };
+
+    test('시작할 때 이미 보낼 때가 된 알림을 보냅니다', () => {
+        const { scheduler, delivered } = setup([post('soon', '2024. 6. 3. ~ 6. 12.')]);
+        scheduler.start();
+        expect(delivered).toEqual([['soon', NOW.getTime()]]);
+        scheduler.stop();
+    });
+
+    test('다음 알림 시각에 맞춰 한 번만 보냅니다', () => {
+        const { clock, scheduler, delivered } = setup([post('later', '2024. 6. 3. ~ 6. 20.')]);
+        const remindAt = new Date(2024, 5, 20, 23, 59, 59).getTime() - 3 * DAY_MS;
+        scheduler.start();
+        expect(delivered).toEqual([]);
+
+        clock.advance(remindAt - NOW.getTime() - 1);
+        expect(delivered).toEqual([]);
+
+        clock.advance(1);
+        expect(delivered).toEqual([['later', remindAt]]);
+
+        clock.advance(2 * DAY_MS);
+        expect(delivered).toHaveLength(1);
+        scheduler.stop();
+    });
+
+    test('알릴 게시물이 없어도 maxDelayMs 주기로 다시 계산합니다', () => {
+        const clock = createFakeClock(NOW);
+        const getSchedule = jest.fn(() => ({ due: [], nextAt: null }));
+        const scheduler = createReminderScheduler({ clock, getSchedule, onDue: jest.fn(), maxDelayMs: 1000 });
+        scheduler.start();
+        clock.advance(3000);
+        expect(getSchedule).toHaveBeenCalledTimes(4);
+        scheduler.stop();
+        expect(clock.pendingCount()).toBe(0);
+    });
+
+    test('refresh 는 예약된 타이머를 바꿔 끼워 타이머가 쌓이지 않습니다', () => {
+        const { clock, scheduler } = setup([post('later', '2024. 6. 3. ~ 6. 20.')]);
+        scheduler.start();
+        scheduler.refresh();
+        scheduler.refresh();
+        expect(clock.pendingCount()).toBe(1);
+        scheduler.stop();
+        expect(clock.pendingCount()).toBe(0);
+    });
+});
+
+describe('findClosingSoon', () => {
+    test('7일 안에 마감되는 게시물을 마감이 가까운 순으로 돌려줍니다', () => {
+        const posts = [
+            post('week', '2024. 6. 3. ~ 6. 16.'),
+            post('tomorrow', '2024. 6. 3. ~ 6. 11.'),
+            post('far', '2024. 6. 3. ~ 6. 30.'),
+            post('closed', '2024. 6. 1. ~ 6. 5.'),
+        ];
+        expect(findClosingSoon(posts, NOW).map(({ post }) => post.id)).toEqual(['tomorrow', 'week']);
+    });
+});
+
+describe('보낸 알림 키', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('화면 기록이 개수 제한으로 잘려도 보낸 키는 남아 다시 알리지 않습니다', () => {
+        const deadline = new Date(2024, 5, 12, 23, 59, 59).getTime();
+        const firstKey = `first:${deadline}:3`;
+        const log = [
+            ...Array.from({ length: 40 }, (_, i) => ({ key: `other-${i}:${deadline}:3`, deadline })),
+            { key: firstKey, deadline },
+        ];
+        saveReminderLog('app', 'uid', log);
+        saveSentReminders('app', 'uid', Object.fromEntries(log.map(entry => [entry.key, entry.deadline])));
+
+        const reloadedLog = loadReminderLog('app', 'uid');
+        expect(reloadedLog.some(entry => entry.key === firstKey)).toBe(false);
+        expect(loadSentReminders('app', 'uid', reloadedLog)).toHaveProperty([firstKey], deadline);
+    });
+
+    test('처음 읽을 때는 이전 버전 기록의 키도 옮겨 옵니다', () => {
+        const log = [{ key: 'p1:100:3', deadline: 100 }];
+        expect(loadSentReminders('app', 'uid', log)).toEqual({ 'p1:100:3': 100 });
+    });
+
+    test('마감이 지난 키만 지웁니다', () => {
+        const sent = { past: NOW.getTime() - 1, future: NOW.getTime() + DAY_MS };
+        expect(pruneSentReminders(sent, NOW)).toEqual({ future: NOW.getTime() + DAY_MS });
+    });
+});
@@ -0,0 +1,194 @@
+import { parsePeriod } from './periodParser';
+import { getDeadline, CLOSING_SOON_DAYS, DAY_MS } from './reminders';
+import { SUMMARY_FIELDS, TRAINING_TYPE_LABELS } from './summarizers/schema';
+
+// --- 검색과 필터 ---
+// 검색어는 공백으로 나눈 낱말(토큰)이 모두 들어 있는 게시물을 찾습니다.
+// 띄어쓰기를 지운 문자열끼리 비교하므로 '담임 교사'와 '담임교사'가 서로 찾아집니다.
+
+// 검색어 끝의 조사는 떼고도 한 번 더 찾습니다. ('연수를' → '연수')
+const PARTICLES = ['에서', '으로', '에게', '까지', '부터', '은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과', '도', '만'];
+
+export const compactText = (text) => String(text ?? '').toLowerCase().replace(/[\s.,·:;()[\]{}<>'"~/-]+/g, '');
+
+const stripParticle = (token) => {
+    const particle = PARTICLES.find(p => token.length > p.length + 1 && token.endsWith(p));
+    return particle ? token.slice(0, -particle.length) : token;
+};
+
+export const tokenize = (query) => (query || '').split(/\s+/).map(compactText).filter(Boolean);
+
+const searchableText = (post) => compactText([
+    ...SUMMARY_FIELDS.map(field => post[field]),
+    TRAINING_TYPE_LABELS[post.trainingType],
+    post.authorName,
+].filter(value => value !== null && value !== undefined).join(' '));
+
+export const matchesQuery = (post, tokens) => {
+    if (tokens.length === 0) return true;
+    const text = searchableText(post);
+    return tokens.every(token => text.includes(token) || text.includes(stripParticle(token)));
+};
+
+// --- 상태 ---
+export const POST_STATUSES = ['open', 'closingSoon', 'closed'];
+
+export const POST_STATUS_LABELS = {
+    open: '신청 중',
+    closingSoon: '마감 임박',
+    closed: '마감',
+};
+
+// 마감일을 읽을 수 없는 게시물은 신청 중으로 봅니다.
+export const postStatus = (post, now) => {
+    const deadline = getDeadline(post);
+    if (!deadline) return 'open';
+    if (deadline <= now) return 'closed';
+    return deadline.getTime() - now.getTime() <= CLOSING_SOON_DAYS * DAY_MS ? 'closingSoon' : 'open';
+};
+
+// --- 기간 ---
+// 날짜 입력값('YYYY-MM-DD')은 그 날 하루 전체로 봅니다.
+const startOfDay = (value) => (value ? new Date(`${value}T00:00:00`) : null);
+const endOfDay = (value) => (value ? new Date(`${value}T23:59:59`) : null);
+
+const overlaps = (start, end, from, to) => (!from || end >= from) && (!to || start <= to);
+
+const matchesDeadlineRange = (post, from, to) => {
+    if (!from && !to) return true;
+    const deadline = getDeadline(post);
+    return !!deadline && overlaps(deadline, deadline, from, to);
+};
+
+const matchesTrainingRange = (post, from, to) => {
+    if (!from && !to) return true;
+    const parsed = parsePeriod(post.trainingPeriod, { referenceDate: post.createdAt?.toDate() });
+    return !!parsed.start && overlaps(parsed.start, parsed.end, from, to);
+};
+
+// 대상 분류표로 찾은 그룹 (App 에서 targetGroups 로 붙여 둡니다)
+export const postTargetGroups = (post) => post.targetGroups || [post.target || '기타'];
+
+export const applyFilters = (posts, filters, now = new Date()) => {
+    const tokens = tokenize(filters.q);
+    const deadlineFrom = startOfDay(filters.deadlineFrom);
+    const deadlineTo = endOfDay(filters.deadlineTo);
+    const trainingFrom = startOfDay(filters.trainingFrom);
+    const trainingTo = endOfDay(filters.trainingTo);
+    return posts.filter(post => (
+        (filters.targets.length === 0 || postTargetGroups(post).some(group => filters.targets.includes(group))) &&
+        (filters.statuses.length === 0 || filters.statuses.includes(postStatus(post, now))) &&
+        matchesDeadlineRange(post, deadlineFrom, deadlineTo) &&
+        matchesTrainingRange(post, trainingFrom, trainingTo) &&
+        matchesQuery(post, tokens)
+    ));
+};
+
+// --- 정렬 ---
+export const SORT_OPTIONS = {
+    deadline: '마감 임박순',
+    newest: '최근 게시순',
+    oldest: '오래된 게시순',
+    trainingStart: '연수 시작일순',
+    creditHours: '이수 시간 많은순',
+    title: '제목순',
+};
+
+export const DEFAULT_SORT = 'deadline';
+
+const createdMs = (post) => post.createdAt?.toMillis() || 0;
+
+const trainingStart = (post) => parsePeriod(post.trainingPeriod, { referenceDate: post.createdAt?.toDate() }).start;
+
+// 마감 전 게시물은 마감이 가까운 순, 마감된 게시물은 그 뒤에 최근 마감 순으로 둡니다.
+const compareByDeadline = (now) => (a, b) => {
+    const dateA = getDeadline(a);
+    const dateB = getDeadline(b);
+    const aIsPast = dateA && dateA < now;
+    const bIsPast = dateB && dateB < now;
+
+    if (aIsPast && !bIsPast) return 1;
+    if (!aIsPast && bIsPast) return -1;
+    if (dateA && dateB) {
+        if (aIsPast && bIsPast) return dateB - dateA;
+        return dateA - dateB;
+    }
+    if (dateA) return -1;
+    if (dateB) return 1;
+    return createdMs(b) - createdMs(a);
+};
+
+// 값이 없는 게시물은 항상 뒤로 보냅니다.
+const compareMissingLast = (getValue, direction = 1) => (a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (valueA == null && valueB == null) return createdMs(b) - createdMs(a);
+    if (valueA == null) return 1;
+    if (valueB == null) return -1;
+    return direction * (valueA - valueB);
+};
+
+const COMPARATORS = {
+    deadline: compareByDeadline,
+    newest: () => (a, b) => createdMs(b) - createdMs(a),
+    oldest: () => (a, b) => createdMs(a) - createdMs(b),
+    trainingStart: () => compareMissingLast(trainingStart),
+    creditHours: () => compareMissingLast(post => post.creditHours, -1),
+    title: () => (a, b) => (a.summary || '').localeCompare(b.summary || '', 'ko'),
+};
+
+export const sortPosts = (posts, sort, now = new Date()) => {
+    const comparator = (COMPARATORS[sort] || COMPARATORS[DEFAULT_SORT])(now);
+    return [...posts].sort(comparator);
+};
+
+// --- URL 쿼리 문자열 ---
+// 필터 상태를 주소에 담아 링크로 공유할 수 있게 합니다. 여러 값은 같은 키를 반복합니다. (?target=담임교사&status=open)
+export const DEFAULT_FILTERS = {
+    q: '',
+    targets: [],
+    statuses: [],
+    deadlineFrom: '',
+    deadlineTo: '',
+    trainingFrom: '',
+    trainingTo: '',
+    sort: DEFAULT_SORT,
+    archive: false,
+};
+
+const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
+
+const dateParam = (params, key) => {
+    const value = params.get(key) || '';
+    return DATE_PARAM.test(value) ? value : '';
+};
+
+export const parseFilterParams = (search) => {
+    const params = new URLSearchParams(search);
+    const sort = params.get('sort');
+    return {
+        q: params.get('q') || '',
+        targets: params.getAll('target').filter(Boolean),
+        statuses: params.getAll('status').filter(status => POST_STATUSES.includes(status)),
+        deadlineFrom: dateParam(params, 'deadlineFrom'),
+        deadlineTo: dateParam(params, 'deadlineTo'),
+        trainingFrom: dateParam(params, 'trainingFrom'),
+        trainingTo: dateParam(params, 'trainingTo'),
+        sort: SORT_OPTIONS[sort] ? sort : DEFAULT_SORT,
+        archive: params.get('view') === 'archive',
+    };
+};
+
+// 기본값과 같은 항목은 주소에 남기지 않습니다.
+export const toFilterParams = (filters) => {
+    const params = new URLSearchParams();
+    if (filters.q.trim()) params.set('q', filters.q.trim());
+    filters.targets.forEach(target => params.append('target', target));
+    filters.statuses.forEach(status => params.append('status', status));
+    ['deadlineFrom', 'deadlineTo', 'trainingFrom', 'trainingTo'].forEach(key => {
+        if (filters[key]) params.set(key, filters[key]);
+    });
+    if (filters.sort !== DEFAULT_SORT) params.set('sort', filters.sort);
+    if (filters.archive) params.set('view', 'archive');
+    return params.toString();
+};
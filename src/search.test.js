@@ -0,0 +1,121 @@
+import { tokenize, matchesQuery, applyFilters, sortPosts, parseFilterParams, toFilterParams, DEFAULT_FILTERS } from './search';
+
+// reminders.js 가 불러오는 archive.js 는 Firebase 를 초기화하므로 보관 여부 판단만 가져옵니다.
+jest.mock('./archive', () => ({ isArchived: (post) => post.archived === true }));
+
+const NOW = new Date(2024, 5, 10, 9, 0);
+const timestamp = (date) => ({ toDate: () => date, toMillis: () => date.getTime() });
+
+const post = (id, extra = {}) => ({
+    id,
+    summary: `연수 ${id}`,
+    target: '중등 교사',
+    createdAt: timestamp(new Date(2024, 5, 1)),
+    ...extra,
+});
+
+const ids = (posts) => posts.map(p => p.id);
+
+describe('matchesQuery', () => {
+    const found = (query, extra) => matchesQuery(post('p1', extra), tokenize(query));
+
+    test('띄어쓰기와 대소문자, 문장부호를 무시합니다', () => {
+        expect(found('담임 교사', { target: '담임교사' })).toBe(true);
+        expect(found('담임교사', { target: '초등 담임 교사' })).toBe(true);
+        expect(found('AI·디지털', { summary: 'ai 디지털 역량 연수' })).toBe(true);
+    });
+
+    test('낱말이 모두 들어 있어야 찾습니다', () => {
+        expect(found('디지털 집합', { summary: '디지털 연수', trainingType: 'online' })).toBe(false);
+        expect(found('디지털 원격', { summary: '디지털 연수', trainingType: 'online' })).toBe(true);
+    });
+
+    test('끝에 붙은 조사를 떼고도 찾습니다', () => {
+        expect(found('연수원에서', { organizer: '경기도교육연수원' })).toBe(true);
+        expect(found('코딩을', { summary: '코딩 교육' })).toBe(true);
+    });
+
+    test('조사를 떼면 한 글자만 남는 낱말은 그대로 찾습니다', () => {
+        expect(found('과의', { summary: '교육과정' })).toBe(false);
+    });
+
+    test('검색어가 없으면 모두 찾습니다', () => {
+        expect(found('   ')).toBe(true);
+    });
+});
+
+describe('applyFilters', () => {
+    const posts = [
+        post('open', { applicationPeriod: '2024. 6. 3. ~ 6. 30.', trainingPeriod: '2024. 7. 15. ~ 7. 19.', targetGroups: ['중등 교사'] }),
+        post('soon', { applicationPeriod: '2024. 6. 3. ~ 6. 12.', trainingPeriod: '2024. 7. 1. ~ 7. 3.', targetGroups: ['교감', '중등 교사'] }),
+        post('closed', { applicationPeriod: '2024. 5. 20. ~ 6. 5.', trainingPeriod: '2024. 6. 24. ~ 6. 28.', targetGroups: ['초등 교사'] }),
+        post('always', { applicationPeriod: '상시', targetGroups: ['초등 교사'] }),
+    ];
+    const filter = (changes) => ids(applyFilters(posts, { ...DEFAULT_FILTERS, ...changes }, NOW));
+
+    test('상태로 거르고, 마감일을 읽을 수 없으면 신청 중으로 봅니다', () => {
+        expect(filter({ statuses: ['closingSoon'] })).toEqual(['soon']);
+        expect(filter({ statuses: ['open'] })).toEqual(['open', 'always']);
+        expect(filter({ statuses: ['closed'] })).toEqual(['closed']);
+    });
+
+    test('대상 그룹 중 하나만 같아도 찾습니다', () => {
+        expect(filter({ targets: ['교감'] })).toEqual(['soon']);
+        expect(filter({ targets: ['중등 교사'] })).toEqual(['open', 'soon']);
+    });
+
+    test('마감일과 연수 기간은 그 날 하루 전체를 포함해 비교합니다', () => {
+        expect(filter({ deadlineFrom: '2024-06-12', deadlineTo: '2024-06-12' })).toEqual(['soon']);
+        expect(filter({ trainingFrom: '2024-07-03', trainingTo: '2024-07-15' })).toEqual(['open', 'soon']);
+    });
+});
+
+describe('sortPosts', () => {
+    test('마감 임박순은 마감 전 게시물 뒤에 마감된 게시물을 최근 마감 순으로 둡니다', () => {
+        const posts = [
+            post('closed-old', { applicationPeriod: '2024. 5. 1. ~ 5. 10.' }),
+            post('later', { applicationPeriod: '2024. 6. 3. ~ 6. 30.' }),
+            post('no-date', { applicationPeriod: '상시' }),
+            post('closed-recent', { applicationPeriod: '2024. 5. 20. ~ 6. 5.' }),
+            post('soon', { applicationPeriod: '2024. 6. 3. ~ 6. 12.' }),
+        ];
+        expect(ids(sortPosts(posts, 'deadline', NOW))).toEqual(['soon', 'later', 'no-date', 'closed-recent', 'closed-old']);
+    });
+
+    test('값이 없는 게시물은 어느 방향으로 정렬해도 뒤에 둡니다', () => {
+        const posts = [post('none'), post('few', { creditHours: 15 }), post('many', { creditHours: 30 })];
+        expect(ids(sortPosts(posts, 'creditHours', NOW))).toEqual(['many', 'few', 'none']);
+    });
+
+    test('알 수 없는 정렬은 기본 정렬을 씁니다', () => {
+        const posts = [post('later', { applicationPeriod: '2024. 6. 3. ~ 6. 30.' }), post('soon', { applicationPeriod: '2024. 6. 3. ~ 6. 12.' })];
+        expect(ids(sortPosts(posts, 'unknown', NOW))).toEqual(['soon', 'later']);
+    });
+});
+
+describe('주소 쿼리 문자열', () => {
+    test('필터를 주소로 바꿨다가 다시 읽으면 같은 필터입니다', () => {
+        const filters = {
+            ...DEFAULT_FILTERS,
+            q: '디지털 연수',
+            targets: ['담임교사', '교감'],
+            statuses: ['open', 'closingSoon'],
+            deadlineFrom: '2024-06-01',
+            trainingTo: '2024-08-31',
+            sort: 'newest',
+            archive: true,
+        };
+        expect(parseFilterParams(`?${toFilterParams(filters)}`)).toEqual(filters);
+    });
+
+    test('기본값은 주소에 남기지 않습니다', () => {
+        expect(toFilterParams({ ...DEFAULT_FILTERS, q: '  ' })).toBe('');
+    });
+
+    test('올바르지 않은 상태, 날짜, 정렬은 버립니다', () => {
+        expect(parseFilterParams('?status=open&status=deleted&deadlineFrom=2024-6-1&trainingTo=tomorrow&sort=random&view=trash')).toEqual({
+            ...DEFAULT_FILTERS,
+            statuses: ['open'],
+        });
+    });
+});
@@ -0,0 +1,33 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+
+// --- 서비스 워커 ---
+// 빌드 결과물(JS, CSS, pdf.js 워커)을 미리 캐시해 학교 Wi-Fi 가 끊겨도 앱을 열 수 있게 합니다.
+// 게시물 데이터는 Firestore 오프라인 캐시가 맡으므로 여기서는 정적 파일만 다룹니다.
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// 주소창에서 여는 모든 화면 요청(필터가 담긴 주소 포함)에 index.html 을 돌려줍니다.
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate'
+        && url.origin === self.location.origin
+        && !url.pathname.startsWith('/_')
+        && !url.pathname.match(fileExtensionRegexp),
+    createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// public 폴더의 아이콘처럼 빌드에 포함되지 않는 정적 파일
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /\.(svg|png|ico)$/.test(url.pathname),
+    new CacheFirst({
+        cacheName: 'static-assets',
+        plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+    })
+);
@@ -0,0 +1,22 @@
+// --- 서비스 워커 등록 ---
+// 개발 서버에서는 캐시 때문에 수정 사항이 가려지지 않도록 프로덕션 빌드에서만 등록합니다.
+// 새 버전은 열려 있는 탭을 모두 닫은 뒤 다음 접속부터 적용됩니다.
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    // PUBLIC_URL 이 다른 도메인(CDN)이면 서비스 워커를 쓸 수 없습니다.
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker
+            .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .catch(error => console.error("서비스 워커 등록 실패:", error));
+    });
+};
+
+export const unregister = () => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.unregister())
+        .catch(error => console.error("서비스 워커 해제 실패:", error));
+};
@@ -0,0 +1,60 @@
+// --- 요약 오류 타입 ---
+// userMessage 는 화면에 그대로 보여줄 수 있는 문장입니다.
+export class SummarizerError extends Error {
+    constructor(message, { userMessage, retryable = false, cause } = {}) {
+        super(message);
+        this.name = 'SummarizerError';
+        this.userMessage = userMessage || `AI 요약 중 오류가 발생했습니다: ${message}`;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+export class SummarizerConfigError extends SummarizerError {
+    constructor(message) {
+        super(message, { userMessage: `AI 요약 설정이 올바르지 않습니다: ${message}` });
+        this.name = 'SummarizerConfigError';
+    }
+}
+
+export class RateLimitError extends SummarizerError {
+    constructor(status, retryAfterMs) {
+        super(`API 요청 한도 초과: ${status}`, {
+            userMessage: 'AI 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+            retryable: true,
+        });
+        this.name = 'RateLimitError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+export class ServiceUnavailableError extends SummarizerError {
+    constructor(status, retryAfterMs) {
+        super(`API 서버 오류: ${status}`, {
+            userMessage: 'AI 서비스가 일시적으로 응답하지 않습니다. 잠시 후 다시 시도해주세요.',
+            retryable: true,
+        });
+        this.name = 'ServiceUnavailableError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+export class NetworkError extends SummarizerError {
+    constructor(cause) {
+        super(`네트워크 오류: ${cause.message}`, {
+            userMessage: 'AI 서비스에 연결할 수 없습니다. 인터넷 연결을 확인해주세요.',
+            retryable: true,
+            cause,
+        });
+        this.name = 'NetworkError';
+    }
+}
+
+export class InvalidResponseError extends SummarizerError {
+    constructor(message, cause) {
+        super(message, { userMessage: `AI가 올바른 요약 결과를 돌려주지 않았습니다: ${message}`, cause });
+        this.name = 'InvalidResponseError';
+    }
+}
@@ -0,0 +1,63 @@
+import { toGeminiParts } from '../pdfContent';
+import { SUMMARY_FIELDS, SUMMARY_FIELD_DESCRIPTIONS, SUMMARY_RESPONSE_SCHEMA, normalizeSummary } from './schema';
+import { InvalidResponseError, NetworkError, RateLimitError, ServiceUnavailableError, SummarizerError } from './errors';
+import { withRetry, parseRetryAfter } from './retry';
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const buildPrompt = () => {
+    const fieldList = SUMMARY_FIELDS.map((field, i) => `${i + 1}. ${field}: ${SUMMARY_FIELD_DESCRIPTIONS[field]}.`).join(' ');
+    return `첨부된 연수 안내문(여러 페이지의 텍스트 또는 이미지)에서 다음 정보를 추출하여 JSON 형식으로 응답해 주세요: ${fieldList} 정보가 없으면 빈 문자열로, 숫자 항목(creditHours, capacity)과 trainingType 은 null 로 응답하세요.`;
+};
+
+// --- Gemini 요약 제공자 ---
+export const createGeminiProvider = ({ apiKey = '', model = 'gemini-2.0-flash', retry = {}, fetchImpl } = {}) => {
+    const apiUrl = `${API_BASE_URL}/${model}:generateContent?key=${apiKey}`;
+
+    const requestOnce = async (payload) => {
+        let response;
+        try {
+            response = await (fetchImpl || fetch)(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+        } catch (error) {
+            throw new NetworkError(error);
+        }
+
+        if (response.status === 429) throw new RateLimitError(response.status, parseRetryAfter(response.headers.get('Retry-After')));
+        if (response.status >= 500) throw new ServiceUnavailableError(response.status, parseRetryAfter(response.headers.get('Retry-After')));
+        if (!response.ok) throw new SummarizerError(`API 요청 실패: ${response.status}`);
+
+        let result;
+        try {
+            result = await response.json();
+        } catch (error) {
+            throw new InvalidResponseError('응답 본문을 JSON 으로 해석할 수 없습니다.', error);
+        }
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) throw new InvalidResponseError("API에서 유효한 요약 데이터를 받지 못했습니다.");
+        try {
+            return normalizeSummary(JSON.parse(text));
+        } catch (error) {
+            throw new InvalidResponseError('응답 JSON 을 해석할 수 없습니다.', error);
+        }
+    };
+
+    return {
+        name: 'gemini',
+        summarize: (content, { onRetry } = {}) => {
+            const payload = {
+                contents: [{
+                    role: "user",
+                    parts: [
+                        { text: buildPrompt() },
+                        ...toGeminiParts(content)
+                    ]
+                }],
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: SUMMARY_RESPONSE_SCHEMA
+                }
+            };
+            return withRetry(() => requestOnce(payload), { ...retry, onRetry });
+        },
+    };
+};
@@ -0,0 +1,91 @@
+import { createGeminiProvider } from './geminiProvider';
+import { InvalidResponseError, NetworkError, RateLimitError, ServiceUnavailableError, SummarizerError, SUMMARY_FIELDS } from '.';
+
+const CONTENT = { pages: [{ pageNumber: 1, text: '2024 디지털 교육 연수 안내' }], totalPages: 1, truncated: false };
+
+const jsonResponse = (status, body, headers = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+});
+
+const candidate = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+
+// 재시도 없이 한 번만 요청하도록 만든 제공자
+const providerWith = (...responses) => {
+    const fetchImpl = jest.fn();
+    responses.forEach(response => fetchImpl.mockResolvedValueOnce(response));
+    const provider = createGeminiProvider({ apiKey: 'test-key', retry: { retries: 0 }, fetchImpl });
+    return { provider, fetchImpl };
+};
+
+describe('createGeminiProvider', () => {
+    test('응답의 JSON 을 스키마 필드로 정리해 돌려줍니다', async () => {
+        const { provider, fetchImpl } = providerWith(jsonResponse(200, candidate(JSON.stringify({ summary: ' 디지털 연수 ', creditHours: '15시간', trainingType: '원격' }))));
+        const summary = await provider.summarize(CONTENT);
+
+        expect(Object.keys(summary)).toEqual(SUMMARY_FIELDS);
+        expect(summary).toMatchObject({ summary: '디지털 연수', creditHours: 15, trainingType: 'online', location: '' });
+        expect(fetchImpl.mock.calls[0][0]).toContain('key=test-key');
+    });
+
+    test('429 는 Retry-After 를 담은 재시도 가능한 RateLimitError 입니다', async () => {
+        const { provider } = providerWith(jsonResponse(429, {}, { 'Retry-After': '3' }));
+        const error = await provider.summarize(CONTENT).catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.retryable).toBe(true);
+        expect(error.retryAfterMs).toBe(3000);
+    });
+
+    test('429 뒤에는 Retry-After 만큼 기다렸다가 다시 요청합니다', async () => {
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(jsonResponse(429, {}, { 'Retry-After': '2' }))
+            .mockResolvedValueOnce(jsonResponse(200, candidate('{"summary":"연수"}')));
+        const sleep = jest.fn(async () => {});
+        const onRetry = jest.fn();
+        const provider = createGeminiProvider({ retry: { retries: 1, sleep }, fetchImpl });
+
+        await expect(provider.summarize(CONTENT, { onRetry })).resolves.toMatchObject({ summary: '연수' });
+        expect(sleep).toHaveBeenCalledWith(2000);
+        expect(onRetry).toHaveBeenCalledWith(1, 2000, expect.any(RateLimitError));
+    });
+
+    test('5xx 는 재시도 가능한 ServiceUnavailableError 입니다', async () => {
+        const { provider } = providerWith(jsonResponse(503, {}));
+        const error = await provider.summarize(CONTENT).catch(e => e);
+
+        expect(error).toBeInstanceOf(ServiceUnavailableError);
+        expect(error.retryable).toBe(true);
+    });
+
+    test('그 밖의 4xx 는 재시도하지 않습니다', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(400, {}));
+        const provider = createGeminiProvider({ retry: { retries: 3, sleep: async () => {} }, fetchImpl });
+        const error = await provider.summarize(CONTENT).catch(e => e);
+
+        expect(error).toBeInstanceOf(SummarizerError);
+        expect(error).not.toBeInstanceOf(RateLimitError);
+        expect(error.retryable).toBe(false);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    test('연결 실패는 NetworkError 입니다', async () => {
+        const fetchImpl = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+        const provider = createGeminiProvider({ retry: { retries: 0 }, fetchImpl });
+        await expect(provider.summarize(CONTENT)).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    test.each([
+        ['본문이 JSON 이 아님', jsonResponse(200, '<html>오류</html>')],
+        ['후보가 없음', jsonResponse(200, { candidates: [] })],
+        ['요약 텍스트가 JSON 이 아님', jsonResponse(200, candidate('요약: 디지털 연수'))],
+    ])('%s: InvalidResponseError 이고 재시도하지 않습니다', async (_, response) => {
+        const { provider } = providerWith(response);
+        const error = await provider.summarize(CONTENT).catch(e => e);
+
+        expect(error).toBeInstanceOf(InvalidResponseError);
+        expect(error.retryable).toBe(false);
+    });
+});
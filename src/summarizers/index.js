@@ -0,0 +1,29 @@
+import { createGeminiProvider } from './geminiProvider';
+import { createMockProvider } from './mockProvider';
+import { SummarizerConfigError } from './errors';
+
+export * from './errors';
+export * from './schema';
+
+// --- 요약 제공자 설정 ---
+// REACT_APP_SUMMARIZER: 'gemini'(기본) | 'mock'
+// REACT_APP_GEMINI_MODEL, REACT_APP_GEMINI_API_KEY: Gemini 모델 이름과 API 키
+export const summarizerConfig = {
+    provider: process.env.REACT_APP_SUMMARIZER || 'gemini',
+    gemini: {
+        apiKey: process.env.REACT_APP_GEMINI_API_KEY || '',
+        model: process.env.REACT_APP_GEMINI_MODEL || 'gemini-2.0-flash',
+        retry: { retries: 3, baseDelayMs: 1000 },
+    },
+};
+
+const providerFactories = {
+    gemini: (config) => createGeminiProvider(config.gemini),
+    mock: () => createMockProvider(),
+};
+
+export const createSummarizer = (config = summarizerConfig) => {
+    const factory = providerFactories[config.provider];
+    if (!factory) throw new SummarizerConfigError(`알 수 없는 요약 제공자입니다: ${config.provider}`);
+    return factory(config);
+};
@@ -0,0 +1,12 @@
+import { createSummarizer, SummarizerConfigError } from '.';
+
+describe('createSummarizer', () => {
+    test('설정의 provider 로 제공자를 고릅니다', () => {
+        expect(createSummarizer({ provider: 'mock' }).name).toBe('mock');
+        expect(createSummarizer({ provider: 'gemini', gemini: { apiKey: 'test-key' } }).name).toBe('gemini');
+    });
+
+    test('알 수 없는 provider 는 SummarizerConfigError 입니다', () => {
+        expect(() => createSummarizer({ provider: 'unknown' })).toThrow(SummarizerConfigError);
+    });
+});
@@ -0,0 +1,67 @@
+import { normalizeSummary } from './schema';
+
+// --- 로컬(모의) 요약 제공자 ---
+// 네트워크 없이 PDF 텍스트 레이어에 정규식 규칙을 적용해 항상 같은 결과를 돌려줍니다.
+// 오프라인 개발과 업로드 흐름 테스트용이며, 스캔본처럼 텍스트가 없는 페이지는 읽지 못합니다.
+
+const LABEL_PATTERNS = {
+    applicationPeriod: /^(?:신청|접수|모집)\s*(?:기간|기한|일정|마감)\s*[:：]?\s*(.+)/,
+    trainingPeriod: /^(?:연수|교육|운영|이수)\s*(?:기간|일시|일정)\s*[:：]?\s*(.+)/,
+    target: /^(?:연수|교육|신청|모집)?\s*대\s*상\s*(?:자)?\s*[:：]?\s*(.+)/,
+    trainingType: /^(?:연수|교육|운영)\s*(?:형태|방식|방법)\s*[:：]?\s*(.+)/,
+    creditHours: /^(?:이수|연수|교육)\s*(?:시간|학점)\s*[:：]?\s*(.+)/,
+    location: /^(?:연수|교육)?\s*장\s*소\s*[:：]?\s*(.+)/,
+    organizer: /^(?:주\s*관|주\s*최|운영\s*기관|주관\s*기관)\s*[:：]?\s*(.+)/,
+    capacity: /^(?:모집|신청|연수)?\s*(?:인\s*원|정\s*원)\s*[:：]?\s*(.+)/,
+    applicationMethod: /^(?:신청|접수)\s*방\s*법\s*[:：]?\s*(.+)/,
+    subjectArea: /^(?:연수|교육)?\s*분\s*야\s*[:：]?\s*(.+)/,
+};
+
+const URL_PATTERN = /https?:\/\/[^\s)<>"']+/;
+
+// '2학점' 처럼 학점만 적힌 경우 1학점을 15시간으로 환산합니다.
+const toCreditHours = (text) => {
+    const hours = text.match(/(\d+(?:\.\d+)?)\s*시간/);
+    if (hours) return Number(hours[1]);
+    const credits = text.match(/(\d+(?:\.\d+)?)\s*학점/);
+    return credits ? Number(credits[1]) * 15 : text;
+};
+
+const TITLE_PATTERN = /^(?:제\s*목|과\s*정\s*명|연\s*수\s*명)\s*[:：]?\s*(.+)/;
+
+const BULLET = /^\s*(?:\d+[.)]|\(\d+\)|[가-힣][.)]|[□■○●◦∙·※*-])\s*/;
+
+const cleanLine = (line) => line.replace(BULLET, '').trim();
+
+const findLabelled = (lines, pattern) => {
+    for (const line of lines) {
+        const match = cleanLine(line).match(pattern);
+        if (match && match[1].trim()) return match[1].trim();
+    }
+    return '';
+};
+
+export const extractSummaryHeuristically = (text) => {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const title = findLabelled(lines, TITLE_PATTERN) || lines[0] || '';
+
+    const labelled = Object.keys(LABEL_PATTERNS).reduce((acc, field) => {
+        acc[field] = findLabelled(lines, LABEL_PATTERNS[field]);
+        return acc;
+    }, {});
+
+    return normalizeSummary({
+        ...labelled,
+        summary: title.slice(0, 200),
+        creditHours: toCreditHours(labelled.creditHours),
+        applicationUrl: (text.match(URL_PATTERN) || [''])[0],
+    });
+};
+
+export const createMockProvider = () => ({
+    name: 'mock',
+    summarize: async (content) => {
+        const text = content.pages.map(page => page.text).join('\n');
+        return extractSummaryHeuristically(text);
+    },
+});
@@ -0,0 +1,42 @@
+import { createMockProvider, extractSummaryHeuristically } from './mockProvider';
+import { SUMMARY_FIELDS, normalizeSummary } from './schema';
+
+const NOTICE = [
+    '2024 디지털 교육 역량 강화 직무연수 안내',
+    '1. 신청 기간: 2024. 6. 3.(월) ~ 6. 14.(금) 18:00까지',
+    '2. 연수 기간: 2024. 7. 1. ~ 7. 3.',
+    '3. 대상: 중등 교사',
+    '4. 연수 형태: 원격',
+    '5. 이수 시간: 2학점',
+    '6. 모집 인원: 30명',
+    '7. 주관: 경기도교육연수원',
+    '※ 신청 방법: 연수원 누리집 https://example.go.kr/apply 에서 신청',
+].join('\n');
+
+describe('createMockProvider', () => {
+    test('네트워크 없이 스키마에 맞는 요약을 돌려줍니다', async () => {
+        const fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(() => { throw new Error('네트워크를 쓰면 안 됩니다'); });
+        const summary = await createMockProvider().summarize({ pages: [{ pageNumber: 1, text: NOTICE }], totalPages: 1, truncated: false });
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+        fetchSpy.mockRestore();
+        expect(Object.keys(summary)).toEqual(SUMMARY_FIELDS);
+        expect(normalizeSummary(summary)).toEqual(summary);
+        expect(summary).toMatchObject({
+            summary: '2024 디지털 교육 역량 강화 직무연수 안내',
+            applicationPeriod: '2024. 6. 3.(월) ~ 6. 14.(금) 18:00까지',
+            trainingPeriod: '2024. 7. 1. ~ 7. 3.',
+            target: '중등 교사',
+            trainingType: 'online',
+            creditHours: 30,
+            capacity: 30,
+            organizer: '경기도교육연수원',
+            applicationUrl: 'https://example.go.kr/apply',
+        });
+    });
+
+    test('찾지 못한 항목은 빈 문자열이나 null 입니다', () => {
+        const summary = extractSummaryHeuristically('연수 안내');
+        expect(summary).toMatchObject({ summary: '연수 안내', location: '', creditHours: null, capacity: null, trainingType: '' });
+    });
+});
@@ -0,0 +1,27 @@
+// --- 재시도 (지수 백오프) ---
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// retryable 오류(429/5xx/네트워크)만 재시도하며, 서버가 Retry-After 를 주면 그 값을 우선합니다 (maxDelayMs 까지만 기다립니다).
+export const withRetry = async (task, { retries = 3, baseDelayMs = 1000, maxDelayMs = 15000, sleep = defaultSleep, onRetry } = {}) => {
+    let attempt = 0;
+    for (;;) {
+        try {
+            return await task(attempt);
+        } catch (error) {
+            if (!error.retryable || attempt >= retries) throw error;
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delay = error.retryAfterMs != null ? Math.min(error.retryAfterMs, maxDelayMs) : Math.round(backoff / 2 + Math.random() * backoff / 2);
+            attempt++;
+            if (onRetry) onRetry(attempt, delay, error);
+            await sleep(delay);
+        }
+    }
+};
+
+export const parseRetryAfter = (headerValue) => {
+    if (!headerValue) return undefined;
+    const seconds = Number(headerValue);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(headerValue);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
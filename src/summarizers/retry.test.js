@@ -0,0 +1,24 @@
+import { withRetry } from './retry';
+
+const retryableError = (retryAfterMs) => Object.assign(new Error('429'), { retryable: true, retryAfterMs });
+
+describe('withRetry', () => {
+    test('Retry-After 값을 따르되 maxDelayMs 를 넘지 않습니다', async () => {
+        const delays = [];
+        const task = jest.fn()
+            .mockRejectedValueOnce(retryableError(2000))
+            .mockRejectedValueOnce(retryableError(10 * 60 * 1000))
+            .mockResolvedValue('ok');
+
+        const result = await withRetry(task, { maxDelayMs: 15000, sleep: async (ms) => { delays.push(ms); } });
+
+        expect(result).toBe('ok');
+        expect(delays).toEqual([2000, 15000]);
+    });
+
+    test('retryable 이 아닌 오류는 바로 던집니다', async () => {
+        const task = jest.fn().mockRejectedValue(new Error('bad request'));
+        await expect(withRetry(task, { sleep: async () => {} })).rejects.toThrow('bad request');
+        expect(task).toHaveBeenCalledTimes(1);
+    });
+});
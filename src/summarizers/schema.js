@@ -0,0 +1,100 @@
+// --- 요약 응답 스키마 ---
+// 모든 요약 제공자(provider)는 이 필드를 가진 객체를 반환해야 합니다.
+// 필드를 추가하거나 형식을 바꾸면 SCHEMA_VERSION 을 올리고 migrations.js 에 기존 게시물 보정 단계를 추가합니다.
+export const SCHEMA_VERSION = 2;
+
+export const SUMMARY_FIELDS = [
+    'summary', 'applicationPeriod', 'trainingPeriod', 'target',
+    'trainingType', 'creditHours', 'location', 'organizer', 'capacity', 'applicationUrl', 'applicationMethod', 'subjectArea',
+];
+
+// 숫자로 저장하는 필드 (모르면 null)
+export const NUMBER_FIELDS = ['creditHours', 'capacity'];
+
+export const TRAINING_TYPES = ['online', 'offline', 'blended'];
+
+export const TRAINING_TYPE_LABELS = {
+    online: '온라인(원격)',
+    offline: '집합(대면)',
+    blended: '혼합',
+};
+
+// 화면에 보여줄 필드 이름 (검토·수정 화면, 변경 이력)
+export const SUMMARY_FIELD_LABELS = {
+    summary: '연수 개요',
+    applicationPeriod: '신청 기간',
+    trainingPeriod: '연수 기간',
+    target: '연수 대상',
+    trainingType: '연수 형태',
+    creditHours: '이수 시간',
+    location: '장소',
+    organizer: '주관 기관',
+    capacity: '모집 인원',
+    applicationUrl: '신청 주소(URL)',
+    applicationMethod: '신청 방법',
+    subjectArea: '연수 분야',
+};
+
+export const SUMMARY_FIELD_DESCRIPTIONS = {
+    summary: '연수 내용에 대한 핵심 요약',
+    applicationPeriod: '연수 신청 기간',
+    trainingPeriod: '실제 연수 이수 기간',
+    target: '연수 대상',
+    trainingType: '연수 형태. 온라인(원격)이면 online, 집합(대면)이면 offline, 둘을 함께 운영하면 blended',
+    creditHours: '이수 시간(숫자, 시간 단위). 학점으로만 나와 있으면 1학점을 15시간으로 환산',
+    location: '연수 장소 (온라인이면 연수 플랫폼이나 사이트 이름)',
+    organizer: '연수를 주관하거나 주최하는 기관',
+    capacity: '모집 인원(숫자)',
+    applicationUrl: '신청 사이트 주소(URL)',
+    applicationMethod: '신청 방법 (예: 나이스 연수 신청, 공문 회신, 구글 설문)',
+    subjectArea: '연수 분야 (예: 디지털·AI, 교과 수업, 생활지도, 안전, 진로)',
+};
+
+const responseFieldSchema = (field) => {
+    if (NUMBER_FIELDS.includes(field)) return { type: "NUMBER", nullable: true };
+    if (field === 'trainingType') return { type: "STRING", enum: TRAINING_TYPES, nullable: true };
+    return { type: "STRING" };
+};
+
+// Gemini responseSchema 형식
+export const SUMMARY_RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: SUMMARY_FIELDS.reduce((acc, field) => {
+        acc[field] = responseFieldSchema(field);
+        return acc;
+    }, {}),
+    required: SUMMARY_FIELDS,
+};
+
+// '30명', '15시간' 처럼 단위가 붙은 값도 숫자로 읽습니다.
+export const parseNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    if (typeof value !== 'string') return null;
+    const match = value.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    return match ? Number(match[0]) : null;
+};
+
+// 제공자가 영문 값 대신 '원격', '집합' 같은 표현을 돌려줘도 같은 값으로 맞춥니다.
+export const normalizeTrainingType = (value) => {
+    if (typeof value !== 'string') return '';
+    const text = value.trim().toLowerCase();
+    if (TRAINING_TYPES.includes(text)) return text;
+    if (/혼합|블렌디드|병행|blended/.test(text)) return 'blended';
+    if (/온라인|원격|비대면|실시간\s*쌍방향|online/.test(text)) return 'online';
+    if (/집합|대면|오프라인|offline/.test(text)) return 'offline';
+    return '';
+};
+
+const normalizeField = (field, value) => {
+    if (NUMBER_FIELDS.includes(field)) return parseNumber(value);
+    if (field === 'trainingType') return normalizeTrainingType(value);
+    return typeof value === 'string' ? value.trim() : '';
+};
+
+// 제공자 응답이나 기존 게시물에서 스키마 필드만 추려냅니다. 문자열은 다듬고, 숫자 필드는 숫자 또는 null 입니다.
+export const normalizeSummary = (data = {}) => SUMMARY_FIELDS.reduce((acc, field) => {
+    acc[field] = normalizeField(field, data[field]);
+    return acc;
+}, {});
+
+export const isEmptyFieldValue = (value) => value === null || value === undefined || (typeof value === 'string' && !value.trim());
@@ -0,0 +1,72 @@
+// --- 연수 대상 분류 ---
+// AI 가 추출한 대상 문자열('1학년 담임, 교과교사')을 관리자가 정한 대표 그룹(담임교사, 교과교사 …)으로 묶습니다.
+// 그룹마다 별칭(aliases)을 두고, 띄어쓰기·문장부호를 지운 문자열이 같으면 같은 대상으로 봅니다.
+// Functions 배포 시 이 파일을 그대로 복사해 쓰므로 다른 모듈을 import 하지 않습니다.
+
+export const UNCLASSIFIED_GROUP = '기타';
+
+// 여러 대상을 나열할 때 쓰는 구분자: 쉼표, 빗금, '및', '또는'
+// 가운뎃점은 '초·중등 교사'처럼 한 대상 안에서도 쓰여 나누지 않습니다. ('교장·교감'은 별칭을 두 그룹에 넣어 연결)
+const SEPARATORS = /\s*(?:[,，、/;\n]|\s및\s|\s또는\s)\s*/;
+
+export const targetKey = (text) => String(text || '').toLowerCase().replace(/[\s.,·:;()[\]{}<>'"~/-]+/g, '');
+
+export const splitTargets = (text) => String(text || '').split(SEPARATORS).map(part => part.trim()).filter(Boolean);
+
+// 별칭 → 그룹 이름 목록. 한 별칭이 여러 그룹에 들어 있으면 모든 그룹으로 연결합니다.
+const buildAliasIndex = (groups) => {
+    const index = new Map();
+    groups.forEach(group => {
+        [group.name, ...(group.aliases || [])].forEach(alias => {
+            const key = targetKey(alias);
+            if (!key) return;
+            const names = index.get(key) || [];
+            if (!names.includes(group.name)) names.push(group.name);
+            index.set(key, names);
+        });
+    });
+    return index;
+};
+
+// 대상 문자열 전체가 별칭과 같으면 그대로 쓰고, 아니면 나열된 대상마다 찾아 봅니다.
+// 반환값: { groups: 연결된 그룹 이름들, unmapped: 어느 그룹에도 없는 대상들 }
+export const createTargetMapper = (groups = []) => {
+    const index = buildAliasIndex(groups);
+    return (text) => {
+        const whole = index.get(targetKey(text));
+        if (whole) return { groups: [...whole], unmapped: [] };
+
+        const result = { groups: [], unmapped: [] };
+        splitTargets(text).forEach(part => {
+            const names = index.get(targetKey(part));
+            if (!names) {
+                result.unmapped.push(part);
+                return;
+            }
+            names.forEach(name => { if (!result.groups.includes(name)) result.groups.push(name); });
+        });
+        return result;
+    };
+};
+
+// 게시물이 속한 그룹들. 분류표가 아직 없으면 추출된 대상 문자열을 그대로 그룹으로 씁니다.
+export const targetGroupsOf = (post, groups, mapper = createTargetMapper(groups)) => {
+    if (groups.length === 0) return [post.target || UNCLASSIFIED_GROUP];
+    const mapped = mapper(post.target).groups;
+    return mapped.length > 0 ? mapped : [UNCLASSIFIED_GROUP];
+};
+
+// 관리자 확인 대기열: 어느 그룹에도 연결되지 않은 대상 값을 많이 나온 순으로 모읍니다.
+export const findUnmappedTargets = (posts, groups) => {
+    const mapper = createTargetMapper(groups);
+    const entries = new Map();
+    posts.forEach(post => {
+        mapper(post.target).unmapped.forEach(value => {
+            const key = targetKey(value);
+            const entry = entries.get(key) || { key, value, postIds: [] };
+            if (!entry.postIds.includes(post.id)) entry.postIds.push(post.id);
+            entries.set(key, entry);
+        });
+    });
+    return Array.from(entries.values()).sort((a, b) => b.postIds.length - a.postIds.length || a.value.localeCompare(b.value, 'ko'));
+};
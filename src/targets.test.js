@@ -0,0 +1,70 @@
+import { createTargetMapper, findUnmappedTargets, splitTargets, targetGroupsOf, UNCLASSIFIED_GROUP } from './targets';
+
+const GROUPS = [
+    { name: '담임교사', aliases: ['학급 담임', '1학년 담임', '담임 교사'] },
+    { name: '교과교사', aliases: ['교과 교사', '중등 교과교사'] },
+    { name: '교장', aliases: ['교장·교감', '학교장'] },
+    { name: '교감', aliases: ['교장·교감'] },
+    { name: '초중등 교사', aliases: ['초·중등 교사'] },
+];
+
+describe('splitTargets', () => {
+    test('쉼표, 빗금, 및, 또는 으로 나누고 가운뎃점은 나누지 않습니다', () => {
+        expect(splitTargets('1학년 담임, 교과교사/보건교사 및 영양교사 또는 초·중등 교사')).toEqual([
+            '1학년 담임', '교과교사', '보건교사', '영양교사', '초·중등 교사',
+        ]);
+    });
+
+    test('낱말 안의 및/또는 은 나누지 않습니다', () => {
+        expect(splitTargets('또는교사 및')).toEqual(['또는교사 및']);
+    });
+});
+
+describe('createTargetMapper', () => {
+    const mapper = createTargetMapper(GROUPS);
+
+    test('띄어쓰기와 문장부호를 무시하고 별칭으로 그룹을 찾습니다', () => {
+        expect(mapper('학급담임')).toEqual({ groups: ['담임교사'], unmapped: [] });
+        expect(mapper(' 담임  교사. ')).toEqual({ groups: ['담임교사'], unmapped: [] });
+    });
+
+    test('나열된 대상마다 그룹을 찾고, 찾지 못한 대상은 unmapped 에 남깁니다', () => {
+        expect(mapper('1학년 담임, 교과 교사 및 보건교사')).toEqual({ groups: ['담임교사', '교과교사'], unmapped: ['보건교사'] });
+    });
+
+    test('가운뎃점이 든 대상은 하나로 보고 찾습니다', () => {
+        expect(mapper('초·중등 교사')).toEqual({ groups: ['초중등 교사'], unmapped: [] });
+    });
+
+    test('한 별칭이 여러 그룹에 있으면 모든 그룹으로 연결합니다', () => {
+        expect(mapper('교장·교감')).toEqual({ groups: ['교장', '교감'], unmapped: [] });
+        expect(mapper('학교장, 교장·교감')).toEqual({ groups: ['교장', '교감'], unmapped: [] });
+    });
+});
+
+describe('targetGroupsOf', () => {
+    test('어느 그룹에도 없으면 기타로 둡니다', () => {
+        expect(targetGroupsOf({ target: '보건교사' }, GROUPS)).toEqual([UNCLASSIFIED_GROUP]);
+        expect(targetGroupsOf({ target: '' }, GROUPS)).toEqual([UNCLASSIFIED_GROUP]);
+    });
+
+    test('분류표가 없으면 대상 문자열을 그대로 그룹으로 씁니다', () => {
+        expect(targetGroupsOf({ target: '보건교사' }, [])).toEqual(['보건교사']);
+        expect(targetGroupsOf({}, [])).toEqual([UNCLASSIFIED_GROUP]);
+    });
+});
+
+describe('findUnmappedTargets', () => {
+    test('그룹에 없는 대상을 게시물 수가 많은 순으로 모읍니다', () => {
+        const posts = [
+            { id: 'p1', target: '보건교사, 1학년 담임' },
+            { id: 'p2', target: '영양교사 및 보건 교사' },
+            { id: 'p3', target: '영양교사' },
+            { id: 'p4', target: '보건교사, 보건 교사' },
+        ];
+        expect(findUnmappedTargets(posts, GROUPS)).toEqual([
+            { key: '보건교사', value: '보건교사', postIds: ['p1', 'p2', 'p4'] },
+            { key: '영양교사', value: '영양교사', postIds: ['p2', 'p3'] },
+        ]);
+    });
+});
@@ -0,0 +1,102 @@
+import { getDoc, getDocs, query, where } from 'firebase/firestore';
+import { DEFAULT_APP_ID, tenantDoc, tenantsCollection } from './firebase';
+import { SCHOOL_DOMAIN } from './auth';
+
+// --- 학교(테넌트) ---
+// 학교마다 appId 하나를 쓰고, 그 학교의 게시물·대상 분류·관리자·설정은 모두 artifacts/{appId} 아래에 둡니다.
+// 여러 학교를 쓰려면 REACT_APP_MULTI_TENANT=true 로 빌드하고 tenants/{appId} 문서에 학교를 등록합니다.
+//   { name: '용강중학교', kind: 'school' | 'district', districtId: 교육청 appId | null, emailDomain: 'school.example.kr' }
+// 학교는 주소 경로(/s/{appId}), 하위 도메인({appId}.REACT_APP_TENANT_ROOT_DOMAIN), 이전에 고른 학교,
+// 로그인한 계정의 도메인(emailDomain) 순서로 정합니다.
+
+export const MULTI_TENANT = process.env.REACT_APP_MULTI_TENANT === 'true';
+export const TENANT_ROOT_DOMAIN = (process.env.REACT_APP_TENANT_ROOT_DOMAIN || '').toLowerCase();
+
+export const TENANT_KINDS = { SCHOOL: 'school', DISTRICT: 'district' };
+
+const TENANT_PATH = /^\/s\/([A-Za-z0-9_-]+)(?:\/|$)/;
+const STORED_TENANT_KEY = 'tenantId';
+
+// 한 학교만 쓰는 기존 배포: __app_id 를 그대로 쓰고, tenants/{__app_id} 문서가 있으면 그 설정(emailDomain 등)을 씁니다.
+export const defaultTenant = () => ({ id: DEFAULT_APP_ID, name: '', kind: TENANT_KINDS.SCHOOL, districtId: null, emailDomain: '' });
+
+const toTenant = (snapshot) => ({
+    id: snapshot.id,
+    name: '',
+    kind: TENANT_KINDS.SCHOOL,
+    districtId: null,
+    emailDomain: '',
+    ...snapshot.data(),
+});
+
+export const isDistrictTenant = (tenant) => tenant?.kind === TENANT_KINDS.DISTRICT;
+
+// 로그인을 허용할 계정 도메인. 보안 규칙과 같은 tenants/{appId}.emailDomain 을 씁니다.
+// REACT_APP_SCHOOL_DOMAIN 은 tenants 문서를 아직 만들지 않은 한 학교 배포에서 로그인 화면에만 쓰입니다.
+export const schoolDomainOf = (tenant) => tenant.emailDomain || (MULTI_TENANT ? '' : SCHOOL_DOMAIN);
+
+// 주소에서 학교를 찾습니다. via: 'path' | 'subdomain'
+export const tenantIdFromLocation = (location = window.location) => {
+    const pathMatch = location.pathname.match(TENANT_PATH);
+    if (pathMatch) return { id: pathMatch[1], via: 'path' };
+    const hostname = location.hostname.toLowerCase();
+    if (TENANT_ROOT_DOMAIN && hostname.endsWith(`.${TENANT_ROOT_DOMAIN}`)) {
+        const label = hostname.slice(0, -(TENANT_ROOT_DOMAIN.length + 1));
+        if (label && !label.includes('.') && label !== 'www') return { id: label, via: 'subdomain' };
+    }
+    return null;
+};
+
+export const loadStoredTenantId = () => {
+    try {
+        return localStorage.getItem(STORED_TENANT_KEY);
+    } catch (error) {
+        return null;
+    }
+};
+
+export const rememberTenant = (tenantId) => {
+    try {
+        localStorage.setItem(STORED_TENANT_KEY, tenantId);
+    } catch (error) {
+        console.error("선택한 학교 저장 실패:", error);
+    }
+};
+
+export const forgetTenant = () => {
+    try {
+        localStorage.removeItem(STORED_TENANT_KEY);
+    } catch (error) {
+        console.error("선택한 학교 삭제 실패:", error);
+    }
+};
+
+export const loadTenant = async (tenantId) => {
+    const snapshot = await getDoc(tenantDoc(tenantId));
+    return snapshot.exists() ? toTenant(snapshot) : null;
+};
+
+// 학교 목록은 학교 → 교육청 순, 이름 순으로 돌려줍니다.
+export const loadTenants = async () => {
+    const snapshot = await getDocs(tenantsCollection());
+    return snapshot.docs
+        .map(toTenant)
+        .filter(tenant => tenant.active !== false)
+        .sort((a, b) => (isDistrictTenant(a) - isDistrictTenant(b)) || a.name.localeCompare(b.name, 'ko'));
+};
+
+// 같은 도메인을 여러 학교가 함께 쓰면(교육청 공용 계정 등) 여러 곳이 나올 수 있습니다.
+export const findTenantsByEmail = async (email) => {
+    const domain = (email || '').split('@')[1]?.toLowerCase();
+    if (!domain) return [];
+    const snapshot = await getDocs(query(tenantsCollection(), where('emailDomain', '==', domain)));
+    return snapshot.docs.map(toTenant).filter(tenant => tenant.active !== false);
+};
+
+export const loadDistrictSchools = async (districtId) => {
+    const snapshot = await getDocs(query(tenantsCollection(), where('districtId', '==', districtId)));
+    return snapshot.docs
+        .map(toTenant)
+        .filter(tenant => tenant.active !== false)
+        .sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+};
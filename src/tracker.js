@@ -0,0 +1,102 @@
+import { writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db, dataDoc, userDoc } from './firebase';
+import { parsePeriod } from './periodParser';
+
+// --- 나의 연수 기록 ---
+// 사용자별 기록은 users/{uid}/trackers/{postId} 에 두고, 게시물이 보관·삭제돼도 보고서에 남도록 제목 등을 함께 저장합니다.
+// 관리자 집계용으로 상태와 이름만 public/data/participation/{postId}_{uid} 에 함께 씁니다. (이수 시간은 본인만 봅니다)
+
+export const TRACKER_STATUSES = ['interested', 'applied', 'completed'];
+
+export const TRACKER_STATUS_LABELS = {
+    interested: '관심',
+    applied: '신청',
+    completed: '이수',
+};
+
+export const trackerDoc = (uid, postId) => userDoc(uid, 'trackers', postId);
+
+export const participationDoc = (postId, uid) => dataDoc('participation', `${postId}_${uid}`);
+
+const toDateInput = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// 이수일 기본값: 연수가 끝나는 날(이미 지났다면), 아니면 오늘
+export const defaultCompletedOn = (post, now = new Date()) => {
+    const { end } = parsePeriod(post.trainingPeriod, { referenceDate: post.createdAt?.toDate() });
+    return toDateInput(end && end < now ? end : now);
+};
+
+export const saveTracker = async (user, post, { status, hours, completedOn }) => {
+    const batch = writeBatch(db);
+    batch.set(trackerDoc(user.uid, post.id), {
+        postId: post.id,
+        status,
+        hours: status === 'completed' ? hours : null,
+        completedOn: status === 'completed' ? completedOn : null,
+        title: post.summary || '',
+        organizer: post.organizer || '',
+        trainingPeriod: post.trainingPeriod || '',
+        updatedAt: serverTimestamp(),
+    });
+    batch.set(participationDoc(post.id, user.uid), {
+        postId: post.id,
+        uid: user.uid,
+        name: user.displayName || user.email || '',
+        status,
+        updatedAt: serverTimestamp(),
+    });
+    await batch.commit();
+};
+
+export const removeTracker = async (uid, postId) => {
+    const batch = writeBatch(db);
+    batch.delete(trackerDoc(uid, postId));
+    batch.delete(participationDoc(postId, uid));
+    await batch.commit();
+};
+
+// 이수한 연수는 이수일의 연도, 나머지는 마지막으로 바꾼 날의 연도에 넣습니다.
+export const trackerYear = (entry) => {
+    if (entry.status === 'completed' && entry.completedOn) return Number(entry.completedOn.slice(0, 4));
+    return (entry.updatedAt?.toDate() || new Date()).getFullYear();
+};
+
+export const trackerYears = (entries, now = new Date()) => (
+    Array.from(new Set([now.getFullYear(), ...entries.map(trackerYear)])).sort((a, b) => b - a)
+);
+
+export const summarizeYear = (entries, year) => {
+    const yearEntries = entries
+        .filter(entry => trackerYear(entry) === year)
+        .sort((a, b) => (a.completedOn || '9999').localeCompare(b.completedOn || '9999') || a.title.localeCompare(b.title, 'ko'));
+    const completed = yearEntries.filter(entry => entry.status === 'completed');
+    return {
+        entries: yearEntries,
+        completedCount: completed.length,
+        totalHours: completed.reduce((sum, entry) => sum + (Number(entry.hours) || 0), 0),
+    };
+};
+
+const CSV_COLUMNS = [
+    ['상태', entry => TRACKER_STATUS_LABELS[entry.status]],
+    ['연수명', entry => entry.title],
+    ['주관 기관', entry => entry.organizer],
+    ['연수 기간', entry => entry.trainingPeriod],
+    ['이수일', entry => entry.completedOn || ''],
+    ['이수 시간', entry => (entry.status === 'completed' && entry.hours != null ? entry.hours : '')],
+];
+
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 엑셀에서 한글이 깨지지 않도록 BOM 을 붙입니다.
+export const buildTrackerCsv = (summary) => {
+    const rows = [
+        CSV_COLUMNS.map(([label]) => label),
+        ...summary.entries.map(entry => CSV_COLUMNS.map(([, getValue]) => getValue(entry))),
+        ['합계', '', '', '', '', summary.totalHours],
+    ];
+    return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
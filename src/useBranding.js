@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { brandingDoc, appTitle, isHexColor, DEFAULT_BRANDING, DEFAULT_THEME_COLOR } from './branding';
+
+// --- 학교별 제목·로고·테마 색 ---
+// 브라우저 탭 제목과 theme-color(설치한 앱의 상단 막대 색)도 함께 바꿉니다.
+export const useBranding = (tenant) => {
+    const [branding, setBranding] = useState(DEFAULT_BRANDING);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(brandingDoc(), (snapshot) => {
+            setBranding({ ...DEFAULT_BRANDING, ...(snapshot.exists() ? snapshot.data() : {}) });
+        }, (error) => console.error("학교 설정 수신 실패:", error));
+        return () => unsubscribe();
+    }, [tenant.id]);
+
+    const title = appTitle(tenant, branding);
+    const themeColor = isHexColor(branding.themeColor) ? branding.themeColor : DEFAULT_THEME_COLOR;
+
+    useEffect(() => {
+        document.title = title;
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) meta.setAttribute('content', themeColor);
+    }, [title, themeColor]);
+
+    return { ...branding, title, themeColor };
+};
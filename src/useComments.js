@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { commentsCollection, addComment, deleteComment, setPinnedComment } from './comments';
+import { waitForWrite } from './offlineSync';
+
+// --- 게시물 댓글 훅 ---
+// 댓글 창이 열려 있는 동안만 구독하고, 아직 서버에 가지 않은 댓글은 pending 으로 표시합니다.
+export const useComments = ({ post, user, onError }) => {
+    const postId = post.id;
+    const [comments, setComments] = useState([]);
+    const [loaded, setLoaded] = useState(false);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(commentsCollection(postId), { includeMetadataChanges: true }, (snapshot) => {
+            setComments(snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data({ serverTimestamps: 'estimate' }),
+                pending: doc.metadata.hasPendingWrites,
+            })));
+            setLoaded(true);
+        }, (error) => {
+            console.error("댓글 수신 실패:", error);
+            onError(`댓글을 불러오는데 실패했습니다: ${error.message}`);
+        });
+        return () => unsubscribe();
+    }, [postId, onError]);
+
+    const add = useCallback(async (text, parentId) => {
+        try {
+            await waitForWrite(addComment(postId, user, text, parentId));
+            return true;
+        } catch (error) {
+            console.error("댓글 등록 실패:", error);
+            onError(`댓글 등록 오류: ${error.message}`);
+            return false;
+        }
+    }, [postId, user, onError]);
+
+    const remove = useCallback(async (commentId) => {
+        try {
+            await waitForWrite(deleteComment(post, commentId, user));
+        } catch (error) {
+            console.error("댓글 삭제 실패:", error);
+            onError(`댓글 삭제 오류: ${error.message}`);
+        }
+    }, [post, user, onError]);
+
+    const pin = useCallback(async (commentId) => {
+        try {
+            await waitForWrite(setPinnedComment(postId, commentId));
+        } catch (error) {
+            console.error("답변 고정 실패:", error);
+            onError(`답변 고정 오류: ${error.message}`);
+        }
+    }, [postId, onError]);
+
+    return { comments, loaded, add, remove, pin };
+};
@@ -0,0 +1,75 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { districtPostsCollection, districtFeedSettingsDoc, setDistrictPostHidden, DEFAULT_DISTRICT_FEED_SETTINGS } from './districtFeed';
+import { loadDistrictSchools, isDistrictTenant } from './tenant';
+import { isArchived } from './archive';
+
+// --- 교육청 공지 훅 (학교) ---
+// posts: 우리 학교에 보내진 교육청 게시물 (districtId 와 우리 학교에서 숨겼는지 hiddenHere 를 붙여 둡니다)
+export const useDistrictFeed = ({ tenant, uid, onError }) => {
+    const districtId = isDistrictTenant(tenant) ? null : tenant.districtId;
+    const [settings, setSettings] = useState(DEFAULT_DISTRICT_FEED_SETTINGS);
+    const [districtPosts, setDistrictPosts] = useState([]);
+
+    useEffect(() => {
+        if (!districtId) return;
+        const unsubscribe = onSnapshot(districtFeedSettingsDoc(), (snapshot) => {
+            setSettings({ ...DEFAULT_DISTRICT_FEED_SETTINGS, ...(snapshot.exists() ? snapshot.data() : {}) });
+        }, (error) => console.error("교육청 공지 설정 수신 실패:", error));
+        return () => unsubscribe();
+    }, [districtId]);
+
+    const enabled = !!districtId && !!uid && settings.enabled;
+    useEffect(() => {
+        if (!enabled) {
+            setDistrictPosts([]);
+            return;
+        }
+        const unsubscribe = onSnapshot(districtPostsCollection(), (snapshot) => {
+            setDistrictPosts(snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }), districtId }))
+                .filter(post => !isArchived(post)));
+        }, (error) => {
+            console.error("교육청 공지 수신 실패:", error);
+            onError(`교육청 공지를 불러오는데 실패했습니다: ${error.message}`);
+        });
+        return () => unsubscribe();
+    }, [enabled, districtId, onError]);
+
+    const hiddenPostIds = settings.hiddenPostIds;
+    const posts = useMemo(() => (
+        districtPosts.map(post => ({ ...post, hiddenHere: hiddenPostIds.includes(post.id) }))
+    ), [districtPosts, hiddenPostIds]);
+
+    const setHidden = useCallback(async (postId, hidden) => {
+        try {
+            await setDistrictPostHidden(postId, hidden);
+        } catch (error) {
+            console.error("교육청 공지 표시 설정 실패:", error);
+            onError(`교육청 공지 표시 설정 오류: ${error.message}`);
+        }
+    }, [onError]);
+
+    return { available: !!districtId, settings, posts, setHidden };
+};
+
+// --- 교육청 소속 학교 목록 (교육청) ---
+// 교육청 게시물을 받을 학교를 고를 때 씁니다.
+export const useDistrictSchools = ({ tenant, onError }) => {
+    const [schools, setSchools] = useState([]);
+    const district = isDistrictTenant(tenant);
+
+    useEffect(() => {
+        if (!district) return;
+        let cancelled = false;
+        loadDistrictSchools(tenant.id)
+            .then(result => { if (!cancelled) setSchools(result); })
+            .catch(error => {
+                console.error("소속 학교 목록 불러오기 실패:", error);
+                onError(`소속 학교 목록을 불러오는데 실패했습니다: ${error.message}`);
+            });
+        return () => { cancelled = true; };
+    }, [district, tenant.id, onError]);
+
+    return schools;
+};
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+// --- 네트워크 연결 상태 ---
+// navigator.onLine 은 "연결 없음"만 확실히 알려주므로, 실제 데이터가 최신인지는 Firestore 스냅샷의 fromCache 로 따로 판단합니다.
+export const useOnlineStatus = () => {
+    const [online, setOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    return online;
+};
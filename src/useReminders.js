@@ -0,0 +1,121 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { onSnapshot, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { appId, userCollection, userDoc } from './firebase';
+import {
+    DEFAULT_REMINDER_DAYS, subscriptionId, computeReminderSchedule, createReminderScheduler, systemClock,
+    loadReminderLog, saveReminderLog, loadSentReminders, saveSentReminders, pruneSentReminders, showBrowserNotification, daysUntil,
+} from './reminders';
+
+// --- 마감 알림 훅 ---
+// 구독 목록과 알림 설정은 사용자별 Firestore 문서에, 보낸 알림 기록과 보낸 키는 이 브라우저에 저장합니다.
+export const useReminders = ({ uid, posts, onError, clock = systemClock }) => {
+    const [subscriptions, setSubscriptions] = useState([]);
+    const [daysBefore, setDaysBeforeState] = useState(DEFAULT_REMINDER_DAYS);
+    const [notifications, setNotifications] = useState([]);
+    const [permission, setPermission] = useState(typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+    const schedulerRef = useRef(null);
+    const latestRef = useRef({});
+    const sentRef = useRef({});
+    latestRef.current = { posts, subscriptions, daysBefore, notifications };
+
+    useEffect(() => {
+        if (!uid) return;
+        const log = loadReminderLog(appId, uid);
+        sentRef.current = loadSentReminders(appId, uid, log);
+        setNotifications(log);
+        const unsubscribeSubs = onSnapshot(userCollection(uid, 'reminders'), (snapshot) => {
+            setSubscriptions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("알림 구독 정보 수신 실패:", error);
+            onError(`알림 구독 정보를 불러오는데 실패했습니다: ${error.message}`);
+        });
+        const unsubscribePrefs = onSnapshot(userDoc(uid, 'settings', 'reminders'), (snapshot) => {
+            setDaysBeforeState(snapshot.exists() ? snapshot.data().daysBefore : DEFAULT_REMINDER_DAYS);
+        }, (error) => console.error("알림 설정 수신 실패:", error));
+        return () => { unsubscribeSubs(); unsubscribePrefs(); };
+    }, [uid, onError]);
+
+    useEffect(() => {
+        if (!uid) return;
+        const scheduler = createReminderScheduler({
+            clock,
+            getSchedule: (now) => {
+                const { posts, subscriptions, daysBefore } = latestRef.current;
+                const sentKeys = new Set(Object.keys(sentRef.current));
+                return computeReminderSchedule({ posts, subscriptions, daysBefore, sentKeys, now });
+            },
+            onDue: (due, now) => {
+                const entries = due.map(({ key, post, deadline }) => ({
+                    key,
+                    postId: post.id,
+                    title: post.summary || '연수 안내',
+                    deadline: deadline.getTime(),
+                    notifiedAt: now.getTime(),
+                    read: false,
+                }));
+                entries.forEach(entry => {
+                    showBrowserNotification(`신청 마감 D-${daysUntil(new Date(entry.deadline), now)}`, entry.title);
+                });
+                const sent = { ...sentRef.current };
+                entries.forEach(entry => { sent[entry.key] = entry.deadline; });
+                sentRef.current = pruneSentReminders(sent, now);
+                saveSentReminders(appId, uid, sentRef.current);
+                const log = [...entries, ...latestRef.current.notifications];
+                latestRef.current.notifications = log;
+                setNotifications(log);
+                saveReminderLog(appId, uid, log);
+            },
+        });
+        schedulerRef.current = scheduler;
+        scheduler.start();
+        return () => scheduler.stop();
+    }, [uid, clock]);
+
+    // 게시물이나 구독이 바뀌면 다음 알림 시각을 다시 계산합니다.
+    useEffect(() => {
+        if (schedulerRef.current) schedulerRef.current.refresh();
+    }, [posts, subscriptions, daysBefore]);
+
+    const isSubscribed = useCallback((type, value) => (
+        subscriptions.some(sub => sub.id === subscriptionId(type, value))
+    ), [subscriptions]);
+
+    const toggleSubscription = useCallback(async (type, value) => {
+        const ref = userDoc(uid, 'reminders', subscriptionId(type, value));
+        try {
+            if (subscriptions.some(sub => sub.id === ref.id)) {
+                await deleteDoc(ref);
+            } else {
+                await setDoc(ref, { type, [type === 'post' ? 'postId' : 'target']: value, createdAt: serverTimestamp() });
+                if (permission === 'default') {
+                    setPermission(await Notification.requestPermission());
+                }
+            }
+        } catch (error) {
+            console.error("알림 구독 변경 실패:", error);
+            onError(`알림 설정 오류: ${error.message}`);
+        }
+    }, [uid, subscriptions, permission, onError]);
+
+    const setDaysBefore = useCallback(async (days) => {
+        try {
+            await setDoc(userDoc(uid, 'settings', 'reminders'), { daysBefore: days });
+        } catch (error) {
+            onError(`알림 설정 오류: ${error.message}`);
+        }
+    }, [uid, onError]);
+
+    const requestPermission = useCallback(async () => {
+        if (typeof Notification === 'undefined') return;
+        setPermission(await Notification.requestPermission());
+    }, []);
+
+    const markAllRead = useCallback(() => {
+        const log = latestRef.current.notifications.map(entry => ({ ...entry, read: true }));
+        latestRef.current.notifications = log;
+        setNotifications(log);
+        saveReminderLog(appId, uid, log);
+    }, [uid]);
+
+    return { subscriptions, isSubscribed, toggleSubscription, daysBefore, setDaysBefore, notifications, markAllRead, permission, requestPermission };
+};
@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { userCollection } from './firebase';
+import { saveTracker, removeTracker } from './tracker';
+
+// --- 나의 연수 기록 훅 ---
+// entries: 기록 목록, byPostId: 게시물 카드에서 바로 찾아 쓰는 색인
+export const useTracker = ({ user, onError }) => {
+    const uid = user?.uid;
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!uid) return;
+        const unsubscribe = onSnapshot(userCollection(uid, 'trackers'), (snapshot) => {
+            setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("연수 기록 수신 실패:", error);
+            onError(`나의 연수 기록을 불러오는데 실패했습니다: ${error.message}`);
+        });
+        return () => unsubscribe();
+    }, [uid, onError]);
+
+    const byPostId = entries.reduce((acc, entry) => {
+        acc[entry.postId] = entry;
+        return acc;
+    }, {});
+
+    const save = useCallback(async (post, values) => {
+        try {
+            await saveTracker(user, post, values);
+            return true;
+        } catch (error) {
+            console.error("연수 기록 저장 실패:", error);
+            onError(`연수 기록 저장 오류: ${error.message}`);
+            return false;
+        }
+    }, [user, onError]);
+
+    const remove = useCallback(async (postId) => {
+        try {
+            await removeTracker(uid, postId);
+            return true;
+        } catch (error) {
+            console.error("연수 기록 삭제 실패:", error);
+            onError(`연수 기록 삭제 오류: ${error.message}`);
+            return false;
+        }
+    }, [uid, onError]);
+
+    return { entries, byPostId, save, remove };
+};
@@ -0,0 +1,193 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { extractPdfContent } from './pdfContent';
+import { createSummarizer, SummarizerError } from './summarizers';
+import { hashPdf } from './duplicates';
+import { MAX_PDF_BYTES, MAX_PDF_SIZE_MB } from './attachments';
+import pdfjsLib from './pdfjs';
+import { appId } from './firebase';
+import { UPLOADS_STORE, putFile, deleteFile, loadFiles } from './offlineStore';
+
+// --- PDF 일괄 업로드 대기열 ---
+// 파일마다 작업(job)을 만들어 대기 → 읽는 중 → 요약 중 → 검토 대기 → 저장됨/실패 순서로 진행합니다.
+// 검토와 저장은 업로더가 직접 하므로 이 훅은 요약 결과까지만 만들고, 저장 여부는 markSaved 로 알려줍니다.
+// 같은 PDF 가 이미 게시되어 있으면(findDuplicates) 요약 요청을 보내기 전에 멈추고, 업로더가 그래도 요약할지 고릅니다.
+// 오프라인이면 대기 중인 작업을 시작하지 않고, 아직 요약하지 못한 파일은 IndexedDB 에 두어 새로고침해도 이어서 처리합니다.
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    PARSING: 'parsing',
+    SUMMARIZING: 'summarizing',
+    DUPLICATE: 'duplicate',
+    REVIEW: 'review',
+    SAVED: 'saved',
+    FAILED: 'failed',
+};
+
+export const JOB_STATUS_LABELS = {
+    queued: '대기 중',
+    parsing: 'PDF 읽는 중',
+    summarizing: 'AI 요약 중',
+    duplicate: '중복 확인',
+    review: '검토 대기',
+    saved: '저장됨',
+    failed: '실패',
+};
+
+// 동시에 처리할 파일 수. 요약 API 요청 한도를 넘지 않도록 작게 유지합니다.
+export const UPLOAD_CONCURRENCY = 2;
+
+const isRunning = (job) => job.status === JOB_STATUS.PARSING || job.status === JOB_STATUS.SUMMARIZING;
+
+const validateFile = (file) => {
+    if (file.type !== 'application/pdf') return 'PDF 파일만 업로드할 수 있습니다.';
+    if (file.size > MAX_PDF_BYTES) return `PDF 파일은 ${MAX_PDF_SIZE_MB}MB 이하만 업로드할 수 있습니다.`;
+    return null;
+};
+
+const forgetFile = (job) => {
+    if (job?.storageKey) deleteFile(UPLOADS_STORE, job.storageKey, job.tenantId).catch(error => console.error("보관한 업로드 파일 삭제 실패:", error));
+};
+
+// findDuplicates(contentHash): 같은 PDF 가 붙어 있는 게시물 목록
+export const useUploadQueue = ({ online, findDuplicates, concurrency = UPLOAD_CONCURRENCY }) => {
+    const [jobs, setJobs] = useState([]);
+    const findDuplicatesRef = useRef(findDuplicates);
+    findDuplicatesRef.current = findDuplicates;
+    const nextIdRef = useRef(1);
+    const startedRef = useRef(new Set());
+    const restoredRef = useRef(false);
+    const jobsRef = useRef(jobs);
+    jobsRef.current = jobs;
+
+    const updateJob = useCallback((id, changes) => {
+        setJobs(current => current.map(job => (job.id === id ? { ...job, ...changes } : job)));
+    }, []);
+
+    const runJob = useCallback(async (job) => {
+        const { id, file, checkDuplicates } = job;
+        updateJob(id, { status: JOB_STATUS.PARSING, message: '', error: null });
+        try {
+            const buffer = await file.arrayBuffer();
+            // pdf.js 가 버퍼를 워커로 넘기기 전에 원본 파일의 해시를 먼저 계산합니다.
+            const contentHash = await hashPdf(buffer);
+            const duplicates = checkDuplicates && findDuplicatesRef.current ? findDuplicatesRef.current(contentHash) : [];
+            if (duplicates.length > 0) {
+                updateJob(id, { status: JOB_STATUS.DUPLICATE, message: `이미 게시된 공문입니다: ${duplicates[0].summary || '정보 없음'}` });
+                return;
+            }
+            // 페이지 내용은 글자와 이미지 데이터로 옮겨 두므로, 다 읽으면 워커의 문서와 페이지를 바로 정리합니다.
+            const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(buffer) });
+            let content;
+            try {
+                const pdfDoc = await loadingTask.promise;
+                content = await extractPdfContent(pdfDoc, {
+                    renderPreviews: true,
+                    onProgress: (pageNumber, pageCount) => updateJob(id, { message: `${pageNumber}/${pageCount}페이지` }),
+                });
+            } finally {
+                loadingTask.destroy();
+            }
+
+            updateJob(id, { status: JOB_STATUS.SUMMARIZING, message: '' });
+            const summarizer = createSummarizer();
+            const data = await summarizer.summarize(content, {
+                onRetry: (attempt, delay) => updateJob(id, { message: `다시 시도 ${attempt}회 (${Math.ceil(delay / 1000)}초 후)` }),
+            });
+            updateJob(id, { status: JOB_STATUS.REVIEW, message: '', result: { data, contentHash, previewPages: content.pages } });
+        } catch (error) {
+            console.error(`${file.name} 처리 오류:`, error);
+            const message = error instanceof SummarizerError
+                ? error.userMessage
+                : `PDF 파일을 처리하지 못했습니다. 파일이 손상되었거나 지원하지 않는 형식일 수 있습니다. (오류: ${error.message})`;
+            updateJob(id, { status: JOB_STATUS.FAILED, message: '', error: message, retryable: true });
+        }
+    }, [updateJob]);
+
+    // 실행 중인 작업이 concurrency 보다 적으면 대기 중인 작업을 순서대로 시작합니다.
+    useEffect(() => {
+        if (!online) return;
+        const available = concurrency - jobs.filter(isRunning).length;
+        jobs
+            .filter(job => job.status === JOB_STATUS.QUEUED && !startedRef.current.has(job.runKey))
+            .slice(0, Math.max(0, available))
+            .forEach(job => {
+                startedRef.current.add(job.runKey);
+                runJob(job);
+            });
+    }, [jobs, online, concurrency, runJob]);
+
+    const createJob = useCallback((file, storageKey) => {
+        const id = nextIdRef.current++;
+        const error = validateFile(file);
+        return {
+            id,
+            runKey: `${id}-1`,
+            storageKey: error ? null : storageKey || `${Date.now()}-${id}`,
+            tenantId: appId,
+            attempt: 1,
+            checkDuplicates: true,
+            file,
+            status: error ? JOB_STATUS.FAILED : JOB_STATUS.QUEUED,
+            message: '',
+            error,
+            retryable: false,
+            result: null,
+        };
+    }, []);
+
+    // 지난번에 처리하지 못하고 닫은 파일을 대기열로 되돌립니다.
+    useEffect(() => {
+        if (restoredRef.current) return;
+        restoredRef.current = true;
+        loadFiles(UPLOADS_STORE)
+            .then(records => {
+                if (records.length === 0) return;
+                setJobs(current => [...records.map(({ key, file }) => createJob(file, key)), ...current]);
+            })
+            .catch(error => console.error("보관한 업로드 파일 불러오기 실패:", error));
+    }, [createJob]);
+
+    const enqueueFiles = useCallback((files) => {
+        const newJobs = Array.from(files).map(file => createJob(file));
+        newJobs
+            .filter(job => job.storageKey)
+            .forEach(job => putFile(UPLOADS_STORE, job.storageKey, job.file, job.tenantId).catch(error => console.error("업로드 파일 보관 실패:", error)));
+        setJobs(current => [...current, ...newJobs]);
+    }, [createJob]);
+
+    const retryJob = useCallback((id) => {
+        setJobs(current => current.map(job => {
+            if (job.id !== id || job.status !== JOB_STATUS.FAILED || !job.retryable) return job;
+            const attempt = job.attempt + 1;
+            return { ...job, attempt, runKey: `${id}-${attempt}`, status: JOB_STATUS.QUEUED, error: null };
+        }));
+    }, []);
+
+    // 같은 PDF 가 있어도 새로 요약합니다. (저장할 때 병합/교체/새로 추가를 다시 고를 수 있습니다)
+    const summarizeAnyway = useCallback((id) => {
+        setJobs(current => current.map(job => {
+            if (job.id !== id || job.status !== JOB_STATUS.DUPLICATE) return job;
+            const attempt = job.attempt + 1;
+            return { ...job, attempt, runKey: `${id}-${attempt}`, checkDuplicates: false, status: JOB_STATUS.QUEUED, message: '' };
+        }));
+    }, []);
+
+    const markSaved = useCallback((id, message = '') => {
+        // 저장이 끝난 작업은 미리보기 이미지를 놓아 메모리를 돌려줍니다.
+        forgetFile(jobsRef.current.find(job => job.id === id));
+        updateJob(id, { status: JOB_STATUS.SAVED, message, result: null });
+    }, [updateJob]);
+
+    const removeJob = useCallback((id) => {
+        const job = jobsRef.current.find(item => item.id === id);
+        if (!job || isRunning(job)) return;
+        forgetFile(job);
+        setJobs(current => current.filter(item => item.id !== id));
+    }, []);
+
+    const clearFinished = useCallback(() => {
+        setJobs(current => current.filter(job => job.status !== JOB_STATUS.SAVED));
+    }, []);
+
+    return { jobs, enqueueFiles, retryJob, summarizeAnyway, markSaved, removeJob, clearFinished };
+};
@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { parseFilterParams, toFilterParams } from './search';
+
+// --- 주소(URL)와 동기화되는 필터 상태 ---
+// 필터를 바꾸면 history.pushState 로 방문 기록을 남겨, 뒤로/앞으로 가기를 하면 주소에서 다시 읽습니다.
+// 검색어만 바뀐 경우는 글자마다 기록이 쌓이지 않도록 replaceState 로 지금 기록만 고칩니다.
+export const useUrlFilters = () => {
+    const [filters, setFiltersState] = useState(() => parseFilterParams(window.location.search));
+    const lastSyncedRef = useRef(filters);
+
+    useEffect(() => {
+        const handlePopState = () => setFiltersState(parseFilterParams(window.location.search));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    useEffect(() => {
+        const query = toFilterParams(filters);
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            const onlyQueryChanged = toFilterParams({ ...lastSyncedRef.current, q: filters.q }) === query;
+            if (onlyQueryChanged) window.history.replaceState(window.history.state, '', url);
+            else window.history.pushState(window.history.state, '', url);
+        }
+        lastSyncedRef.current = filters;
+    }, [filters]);
+
+    const updateFilters = useCallback((changes) => setFiltersState(current => ({ ...current, ...changes })), []);
+
+    return [filters, updateFilters];
+};